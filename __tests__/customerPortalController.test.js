@@ -0,0 +1,74 @@
+/**
+ * Customer portal login codes are throttled per phone number, registered or not
+ * The models are stubbed, so no database is needed (codes go to the console SMS transport).
+ */
+
+const Customer = require('../models/Customer');
+const CustomerOtp = require('../models/CustomerOtp');
+const OtpRequest = require('../models/OtpRequest');
+const { requestOtp } = require('../controllers/customerPortalController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Earlier requests for the number, newest first
+const mockRecentRequests = (minutesAgo) => {
+  const requests = minutesAgo.map(minutes => ({ createdAt: new Date(Date.now() - minutes * 60 * 1000) }));
+  jest.spyOn(OtpRequest, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(requests) });
+};
+
+beforeEach(() => {
+  jest.spyOn(OtpRequest, 'create').mockResolvedValue({});
+  jest.spyOn(CustomerOtp, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requestOtp', () => {
+  test.each([
+    ['registered', { _id: 'customer' }],
+    ['unregistered', null]
+  ])('a %s number gets the same response and is counted', async (_, customer) => {
+    mockRecentRequests([]);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(customer);
+
+    const res = mockResponse();
+    await requestOtp({ body: { phone: '0501234567' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].message).toBe('If this number is registered, a login code has been sent');
+    expect(OtpRequest.create).toHaveBeenCalledWith({ phone: '+971501234567' });
+    expect(CustomerOtp.create).toHaveBeenCalledTimes(customer ? 1 : 0);
+  });
+
+  test.each([
+    ['registered', { _id: 'customer' }],
+    ['unregistered', null]
+  ])('a %s number is throttled after too many requests in an hour', async (_, customer) => {
+    mockRecentRequests([5, 15, 25, 35, 45]);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(customer);
+
+    const res = mockResponse();
+    await requestOtp({ body: { phone: '0501234567' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json.mock.calls[0][0].message).toBe('Too many codes requested. Please try again later.');
+    expect(OtpRequest.create).not.toHaveBeenCalled();
+  });
+
+  test('an unregistered number must wait before asking again', async () => {
+    mockRecentRequests([0.5]);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(null);
+
+    const res = mockResponse();
+    await requestOtp({ body: { phone: '0501234567' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+});
\ No newline at end of file
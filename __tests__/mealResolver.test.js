@@ -0,0 +1,146 @@
+/**
+ * Meal resolver: plan settings, subscription overrides and their validation
+ * Pure functions, no database needed.
+ */
+
+const { resolveMeal, resolveMeals, validateMealSetting, getEnabledMealTypes } = require('../utils/mealResolver');
+
+const slots = {
+  breakfast: {
+    'standard': { key: 'standard', displayTime: '7:00-9:00 AM', isActive: true }
+  },
+  lunch: {
+    'standard': { key: 'standard', displayTime: '11:00 AM-1:00 PM', isActive: true },
+    'early-morning': { key: 'early-morning', displayTime: '7:00-9:00 AM', isActive: true },
+    'late-afternoon': { key: 'late-afternoon', displayTime: '3:00-5:00 PM', isActive: false }
+  },
+  dinner: {
+    'standard': { key: 'standard', displayTime: '6:00-8:00 PM', isActive: true }
+  }
+};
+
+const officeAddress = { area: 'Business Bay', buildingName: 'Bay Square 5', flatNumber: '402' };
+
+describe('resolveMeal', () => {
+  test.each([
+    // Plan settings only
+    ['boolean plan meal, enabled', { lunch: true }, undefined, { enabled: true, deliveryTime: 'standard', overridden: false }],
+    ['boolean plan meal, disabled', { lunch: false }, undefined, { enabled: false, deliveryTime: 'standard', overridden: false }],
+    ['object plan meal with a delivery time', { lunch: { enabled: true, deliveryTime: 'early-morning' } }, undefined, { enabled: true, deliveryTime: 'early-morning', overridden: false }],
+    ['object plan meal without a delivery time', { lunch: { enabled: true } }, undefined, { enabled: true, deliveryTime: 'standard', overridden: false }],
+    ['object plan meal, disabled', { lunch: { enabled: false, deliveryTime: 'early-morning' } }, undefined, { enabled: false, deliveryTime: 'early-morning', overridden: false }],
+    ['meal missing from the plan', {}, undefined, { enabled: false, deliveryTime: 'standard', overridden: false }],
+
+    // null/undefined overrides fall back to the plan
+    ['null override', { lunch: { enabled: true, deliveryTime: 'early-morning' } }, null, { enabled: true, deliveryTime: 'early-morning', overridden: false }],
+    ['undefined override', { lunch: true }, undefined, { enabled: true, deliveryTime: 'standard', overridden: false }],
+    ['empty object override', { lunch: true }, {}, { enabled: true, deliveryTime: 'standard', overridden: false }],
+    ['null fields in the override', { lunch: { enabled: true, deliveryTime: 'early-morning' } }, { enabled: null, deliveryTime: null, address: null }, { enabled: true, deliveryTime: 'early-morning', overridden: false }],
+
+    // Boolean overrides
+    ['boolean override turns a meal off', { lunch: true }, false, { enabled: false, deliveryTime: 'standard', overridden: true }],
+    ['boolean override turns a meal on', { lunch: false }, true, { enabled: true, deliveryTime: 'standard', overridden: true }],
+    ['boolean override keeps the plan delivery time', { lunch: { enabled: false, deliveryTime: 'early-morning' } }, true, { enabled: true, deliveryTime: 'early-morning', overridden: true }],
+
+    // Object overrides
+    ['object override with both fields', { lunch: true }, { enabled: true, deliveryTime: 'early-morning' }, { enabled: true, deliveryTime: 'early-morning', overridden: true }],
+    ['object override turns a meal off', { lunch: { enabled: true, deliveryTime: 'early-morning' } }, { enabled: false }, { enabled: false, deliveryTime: 'early-morning', overridden: true }],
+    ['deliveryTime-only override keeps the plan selection', { lunch: true }, { deliveryTime: 'early-morning' }, { enabled: true, deliveryTime: 'early-morning', overridden: true }],
+    ['deliveryTime-only override does not enable a meal', { lunch: false }, { deliveryTime: 'early-morning' }, { enabled: false, deliveryTime: 'early-morning', overridden: true }],
+    ['deliveryTime-only override replaces the plan delivery time', { lunch: { enabled: true, deliveryTime: 'early-morning' } }, { deliveryTime: 'standard' }, { enabled: true, deliveryTime: 'standard', overridden: true }]
+  ])('%s', (_, planMeals, customLunch, expected) => {
+    const meal = resolveMeal({ customMeals: { lunch: customLunch } }, { meals: planMeals }, 'lunch');
+
+    expect(meal).toMatchObject(expected);
+  });
+
+  test.each([
+    ['no override', undefined, null],
+    ['boolean override', true, null],
+    ['address-only override', { address: officeAddress }, officeAddress],
+    ['address with a delivery time', { deliveryTime: 'early-morning', address: officeAddress }, officeAddress]
+  ])('address: %s', (_, customLunch, expectedAddress) => {
+    const meal = resolveMeal({ customMeals: { lunch: customLunch } }, { meals: { lunch: true } }, 'lunch');
+
+    expect(meal.address).toEqual(expectedAddress);
+    expect(meal.enabled).toBe(true);
+    expect(meal.overridden).toBe(customLunch !== undefined);
+  });
+
+  test.each([
+    ['a slot of the meal', 'early-morning', '7:00-9:00 AM'],
+    ['an inactive slot', 'late-afternoon', '3:00-5:00 PM'],
+    ['an unknown slot, falling back to standard', 'removed-slot', '11:00 AM-1:00 PM']
+  ])('deliveryTimeDisplay of %s', (_, deliveryTime, expectedDisplay) => {
+    const meal = resolveMeal({ customMeals: { lunch: { deliveryTime } } }, { meals: { lunch: true } }, 'lunch', slots);
+
+    expect(meal.deliveryTimeDisplay).toBe(expectedDisplay);
+  });
+
+  test('deliveryTimeDisplay is null without slots', () => {
+    expect(resolveMeal(null, { meals: { lunch: true } }, 'lunch').deliveryTimeDisplay).toBeNull();
+  });
+
+  test('works without a subscription or a meal plan', () => {
+    expect(resolveMeal(null, { meals: { lunch: true } }, 'lunch')).toMatchObject({ enabled: true, overridden: false });
+    expect(resolveMeal({ customMeals: { lunch: true } }, null, 'lunch')).toMatchObject({ enabled: true, overridden: true });
+    expect(resolveMeal(null, null, 'lunch')).toMatchObject({ enabled: false, deliveryTime: 'standard' });
+  });
+});
+
+describe('resolveMeals and getEnabledMealTypes', () => {
+  test.each([
+    ['plan meals only', { breakfast: true, lunch: { enabled: true }, dinner: false }, {}, ['breakfast', 'lunch']],
+    ['overrides in both formats', { breakfast: true, lunch: true, dinner: false }, { breakfast: false, dinner: { enabled: true } }, ['lunch', 'dinner']],
+    ['null overrides', { breakfast: false, lunch: true, dinner: true }, { breakfast: null, lunch: null, dinner: null }, ['lunch', 'dinner']],
+    ['delivery time overrides only', { breakfast: false, lunch: true, dinner: false }, { lunch: { deliveryTime: 'early-morning' }, dinner: { deliveryTime: 'standard' } }, ['lunch']]
+  ])('%s', (_, planMeals, customMeals, expectedMealTypes) => {
+    const subscription = { customMeals };
+    const mealPlan = { meals: planMeals };
+
+    const meals = resolveMeals(subscription, mealPlan);
+
+    expect(Object.keys(meals)).toEqual(['breakfast', 'lunch', 'dinner']);
+    expect(Object.keys(meals).filter(mealType => meals[mealType].enabled)).toEqual(expectedMealTypes);
+    expect(getEnabledMealTypes(subscription, mealPlan)).toEqual(expectedMealTypes);
+  });
+});
+
+describe('validateMealSetting', () => {
+  test.each([
+    ['null', null],
+    ['undefined', undefined],
+    ['true', true],
+    ['false', false],
+    ['empty object', {}],
+    ['enabled only', { enabled: true }],
+    ['null fields', { enabled: null, deliveryTime: null, address: null }],
+    ['active slot', { enabled: true, deliveryTime: 'early-morning' }],
+    ['inactive slot already stored', { deliveryTime: 'late-afternoon' }],
+    ['address without emirate', { address: officeAddress }],
+    ['address with emirate and coordinates', { address: { ...officeAddress, emirates: 'Dubai', coordinates: { latitude: 25.18, longitude: 55.27 } } }]
+  ])('accepts %s', (_, value) => {
+    expect(validateMealSetting('lunch', value, slots)).toBeNull();
+  });
+
+  test.each([
+    ['a string', 'yes', 'Custom lunch must be true, false, null or an object with enabled, deliveryTime and address'],
+    ['a number', 1, 'Custom lunch must be true, false, null or an object with enabled, deliveryTime and address'],
+    ['an array', [true], 'Custom lunch must be true, false, null or an object with enabled, deliveryTime and address'],
+    ['a non-boolean enabled', { enabled: 'yes' }, 'Custom lunch enabled must be true, false or null'],
+    ['an unknown delivery time', { deliveryTime: 'midnight' }, "Invalid delivery time 'midnight' for lunch. Valid options: standard, early-morning"],
+    ['an address that is not an object', { address: 'Office' }, 'Delivery address for lunch must be an object'],
+    ['an address given as an array', { address: [officeAddress] }, 'Delivery address for lunch must be an object'],
+    ['an address missing fields', { address: { area: 'Business Bay', buildingName: ' ' } }, 'Delivery address for lunch is missing: buildingName, flatNumber'],
+    ['an unknown emirate', { address: { ...officeAddress, emirates: 'Doha' } }, "Invalid emirate 'Doha' in lunch delivery address"],
+    ['an out of range latitude', { address: { ...officeAddress, coordinates: { latitude: 91, longitude: 55 } } }, 'Invalid coordinates in lunch delivery address'],
+    ['an out of range longitude', { address: { ...officeAddress, coordinates: { latitude: 25, longitude: -181 } } }, 'Invalid coordinates in lunch delivery address']
+  ])('rejects %s', (_, value, expectedError) => {
+    expect(validateMealSetting('lunch', value, slots)).toBe(expectedError);
+  });
+
+  test('leaves delivery times unchecked without slots', () => {
+    expect(validateMealSetting('lunch', { deliveryTime: 'midnight' })).toBeNull();
+    expect(validateMealSetting('lunch', { enabled: 'yes', deliveryTime: 'midnight' })).toBe('Custom lunch enabled must be true, false or null');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Payment create/update only copy the fields staff may edit
+ * The models are stubbed, so no database is needed.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const { createPayment, updatePayment } = require('../controllers/paymentController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Server-managed fields a client must not be able to set
+const serverManagedFields = {
+  invoiceNumber: 'INV-2026-000001',
+  invoiceIssuedAt: '2026-01-01',
+  paymentHistory: [{ amount: 100, paymentMethod: 'cash', receiptNumber: 'RCP-2026-000001' }],
+  refunds: [{ amount: 100, refundNumber: 'RFD-2026-000001' }],
+  amountRefunded: 100,
+  deletedAt: '2026-01-01',
+  deletedBy: 'Someone',
+  subscriptionId: new mongoose.Types.ObjectId().toString(),
+  _id: new mongoose.Types.ObjectId().toString(),
+  __v: 3
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('updatePayment', () => {
+  test('ignores server-managed fields', async () => {
+    const updated = { _id: 'payment' };
+    const findByIdAndUpdate = jest.spyOn(Payment, 'findByIdAndUpdate')
+      .mockReturnValue({ populate: jest.fn().mockResolvedValue(updated) });
+
+    const res = mockResponse();
+    await updatePayment({
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: { ...serverManagedFields, notes: 'Paid at the counter', amount: '450' }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [, updateData] = findByIdAndUpdate.mock.calls[0];
+    expect(updateData).toEqual({ notes: 'Paid at the counter', amountDue: 450 });
+  });
+});
+
+describe('createPayment', () => {
+  test('ignores server-managed fields', async () => {
+    const customerId = new mongoose.Types.ObjectId();
+    jest.spyOn(Customer, 'findById').mockResolvedValue({ _id: customerId, messPlans: [] });
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Payment, 'create').mockResolvedValue({ populate: jest.fn() });
+
+    const res = mockResponse();
+    await createPayment({
+      body: {
+        ...serverManagedFields,
+        customerId: customerId.toString(),
+        amount: '900',
+        month: '2026-02-01',
+        dueDate: '2026-02-05'
+      }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [createData] = create.mock.calls[0];
+    Object.keys(serverManagedFields).forEach(field => {
+      expect(createData).not.toHaveProperty(field);
+    });
+    expect(createData).toMatchObject({ customer: customerId.toString(), amountDue: 900, month: 2, year: 2026 });
+  });
+});
\ No newline at end of file
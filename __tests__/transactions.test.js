@@ -0,0 +1,210 @@
+/**
+ * Subscription create, auto-extend, delete and rollback are all-or-nothing
+ * Runs against an in-memory single-node replica set (transactions need one). Each test forces a
+ * write in the middle of the transaction to fail and checks that nothing before it was kept.
+ * The suite is skipped, with the reason, when no mongod binary is cached and none can be downloaded.
+ */
+
+const { spawnSync } = require('child_process');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Customer = require('../models/Customer');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const MealPlan = require('../models/MealPlan');
+const Payment = require('../models/Payment');
+const SkipDay = require('../models/SkipDay');
+const WalletTransaction = require('../models/WalletTransaction');
+const AutoExtensionBatch = require('../models/AutoExtensionBatch');
+const { createSubscription, rollbackAutoExtension } = require('../controllers/subscriptionController');
+const { runAutoExtension } = require('../services/billingService');
+const { softDeleteCustomer } = require('../services/trashService');
+
+// Resolve (and if needed download) mongod up front, so a machine without one skips instead of failing
+const mongodCheck = spawnSync(process.execPath, ['-e', `
+  require('mongodb-memory-server').MongoBinary.getPath()
+    .catch(error => { console.error(error.message); process.exit(1); });
+`], { cwd: __dirname, encoding: 'utf8', timeout: 120000 });
+const mongodAvailable = mongodCheck.status === 0;
+
+if (!mongodAvailable) {
+  console.warn(`Skipping transaction tests: no mongod binary for mongodb-memory-server (${(mongodCheck.stderr || 'timed out').trim()}). Cache the binary or set MONGOMS_SYSTEM_BINARY to run them.`);
+}
+
+const describeWithMongod = mongodAvailable ? describe : describe.skip;
+
+let replSet;
+
+const simulatedFailure = () => new Error('Simulated failure mid-transaction');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const createCustomer = (overrides = {}) => Customer.create({
+  name: 'Test Customer',
+  phone: '501234567',
+  emirates: 'Dubai',
+  deliveryAddress: { area: 'Marina', buildingName: 'Tower 1', flatNumber: '101' },
+  ...overrides
+});
+
+const createMealPlan = () => MealPlan.create({
+  planName: 'Lunch Only',
+  planCode: 'LUNCH',
+  meals: { breakfast: false, lunch: true, dinner: false },
+  pricing: { basePrice: 900 }
+});
+
+// A January 2026 subscription running to the last day of the month, with one skipped lunch credited
+const createJanuarySubscription = async (customer, mealPlan) => {
+  const subscription = await CustomerSubscription.create({
+    customerId: customer._id,
+    mealPlanId: mealPlan._id,
+    subscriptionPeriod: { month: 1, year: 2026 },
+    pricing: { basePricePerMonth: 900, finalPrice: 900 },
+    startDate: new Date(2026, 0, 1),
+    endDate: new Date(2026, 0, 31),
+    status: 'active'
+  });
+
+  const skip = await SkipDay.create({
+    subscriptionId: subscription._id,
+    customerId: customer._id,
+    date: new Date(2026, 0, 15),
+    mealType: 'lunch',
+    creditAmount: 30
+  });
+
+  return { subscription, skip };
+};
+
+beforeAll(async () => {
+  if (!mongodAvailable) return;
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+}, 120000);
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  if (!replSet) return;
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+});
+
+afterAll(async () => {
+  if (!replSet) return;
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+describeWithMongod('createSubscription', () => {
+  const buildRequest = (customer, mealPlan) => ({
+    body: {
+      customerId: customer._id,
+      mealPlanId: mealPlan._id,
+      subscriptionPeriod: { month: 2, year: 2026 },
+      pricing: { basePricePerMonth: 900 },
+      startDate: '2026-02-01',
+      endDate: '2026-02-28',
+      createdBy: 'Front Desk'
+    },
+    user: { id: new mongoose.Types.ObjectId(), name: 'Tester' }
+  });
+
+  test('keeps nothing when the wallet draw fails', async () => {
+    const customer = await createCustomer({ walletBalance: 50 });
+    const mealPlan = await createMealPlan();
+    const { skip } = await createJanuarySubscription(customer, mealPlan);
+
+    // The wallet draw is the last write, after the subscription, skip credit and payment
+    jest.spyOn(WalletTransaction, 'create').mockRejectedValueOnce(simulatedFailure());
+
+    const res = mockResponse();
+    await createSubscription(buildRequest(customer, mealPlan), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(await CustomerSubscription.countDocuments({ 'subscriptionPeriod.month': 2 })).toBe(0);
+    expect(await Payment.countDocuments()).toBe(0);
+    expect((await SkipDay.findById(skip._id)).creditAppliedTo).toBeNull();
+    expect((await Customer.findById(customer._id)).walletBalance).toBe(50);
+  });
+
+  test('writes everything together when nothing fails', async () => {
+    const customer = await createCustomer({ walletBalance: 50 });
+    const mealPlan = await createMealPlan();
+    const { skip } = await createJanuarySubscription(customer, mealPlan);
+
+    const res = mockResponse();
+    await createSubscription(buildRequest(customer, mealPlan), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const subscription = await CustomerSubscription.findOne({ 'subscriptionPeriod.month': 2 });
+    expect(subscription.createdBy).toBe('Front Desk');
+    expect(await Payment.countDocuments({ subscriptionId: subscription._id })).toBe(1);
+    expect(String((await SkipDay.findById(skip._id)).creditAppliedTo)).toBe(String(subscription._id));
+    expect((await Customer.findById(customer._id)).walletBalance).toBe(0);
+  });
+});
+
+describeWithMongod('runAutoExtension', () => {
+  test('keeps nothing for a customer whose payment cannot be written', async () => {
+    const customer = await createCustomer();
+    const mealPlan = await createMealPlan();
+    const { skip } = await createJanuarySubscription(customer, mealPlan);
+
+    jest.spyOn(Payment, 'create').mockRejectedValueOnce(simulatedFailure());
+
+    const result = await runAutoExtension({ targetMonth: 2, targetYear: 2026, createdBy: 'Tester' });
+
+    expect(result.results.errors).toHaveLength(1);
+    expect(result.results.extended).toHaveLength(0);
+    expect(await CustomerSubscription.countDocuments({ 'subscriptionPeriod.month': 2 })).toBe(0);
+    expect((await SkipDay.findById(skip._id)).creditAppliedTo).toBeNull();
+
+    const batch = await AutoExtensionBatch.findById(result.batchId);
+    expect(batch.subscriptionIds).toHaveLength(0);
+    expect(batch.paymentIds).toHaveLength(0);
+  });
+});
+
+describeWithMongod('softDeleteCustomer', () => {
+  test('keeps the customer and subscriptions when payments cannot be moved to the trash', async () => {
+    const customer = await createCustomer();
+    const mealPlan = await createMealPlan();
+    const { subscription } = await createJanuarySubscription(customer, mealPlan);
+
+    jest.spyOn(Payment, 'updateMany').mockRejectedValueOnce(simulatedFailure());
+
+    await expect(softDeleteCustomer(customer._id, 'Tester')).rejects.toThrow('Simulated failure');
+
+    expect((await Customer.findById(customer._id).setOptions({ withDeleted: true })).deletedAt).toBeNull();
+    expect((await CustomerSubscription.findById(subscription._id).setOptions({ withDeleted: true })).deletedAt).toBeNull();
+  });
+});
+
+describeWithMongod('rollbackAutoExtension', () => {
+  test('keeps the whole batch when marking it rolled back fails', async () => {
+    const customer = await createCustomer();
+    const mealPlan = await createMealPlan();
+    const { skip } = await createJanuarySubscription(customer, mealPlan);
+
+    const { batchId, results } = await runAutoExtension({ targetMonth: 2, targetYear: 2026, createdBy: 'Tester' });
+    expect(results.extended).toHaveLength(1);
+    const { subscriptionId, paymentId } = results.extended[0];
+
+    // Marking the batch is the last write, after payments, skips and subscriptions are removed
+    jest.spyOn(AutoExtensionBatch, 'updateOne').mockRejectedValueOnce(simulatedFailure());
+
+    const res = mockResponse();
+    await rollbackAutoExtension({ params: { batchId: String(batchId) }, user: { name: 'Tester' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(await CustomerSubscription.exists({ _id: subscriptionId })).toBeTruthy();
+    expect(await Payment.exists({ _id: paymentId })).toBeTruthy();
+    expect(String((await SkipDay.findById(skip._id)).creditAppliedTo)).toBe(String(subscriptionId));
+    expect((await AutoExtensionBatch.findById(batchId)).status).toBe('completed');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+const AuditLog = require('../models/AuditLog');
+
+// @desc    Get audit log entries (most recent first)
+// @route   GET /api/audit?entity=&entityId=&actor=&action=&startDate=&endDate=
+// @access  Private (audit:view)
+const getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { entity, entityId, actor, action, startDate, endDate } = req.query;
+
+    // Build filter query
+    let query = {};
+    if (entity) query.entity = entity;
+    if (action) query.action = action;
+
+    if (entityId) {
+      if (!entityId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid entity ID format' 
+        });
+      }
+      query.entityId = entityId;
+    }
+
+    // Actor can be a user ID or (part of) a name
+    if (actor) {
+      query.$or = actor.match(/^[0-9a-fA-F]{24}$/)
+        ? [{ 'actor.userId': actor }]
+        : [{ 'actor.name': { $regex: actor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } }];
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalLogs: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching audit logs' 
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
\ No newline at end of file
@@ -1,12 +1,19 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendEmail } = require('../services/emailService');
+const { escapeHtml } = require('../utils/htmlUtils');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../services/tokenService');
+const { getRolePermissions } = require('../utils/permissions');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
-  });
-};
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 // @desc    Login user
 // @route   POST /api/auth/login
@@ -45,8 +52,8 @@ const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Short-lived access token plus a refresh token for this session
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
@@ -57,10 +64,12 @@ const login = async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: getRolePermissions(user.role),
           phone: user.phone,
           lastLogin: user.lastLogin
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -88,6 +97,7 @@ const getMe = async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: getRolePermissions(user.role),
           phone: user.phone,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
@@ -167,9 +177,17 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // End every other session and start a fresh one for this client
+    await revokeAllSessions(user._id);
+    const { token, refreshToken } = await issueTokens(await User.findById(user._id), req);
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
 
   } catch (error) {
@@ -181,8 +199,224 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a refresh token' 
+      });
+    }
+
+    const session = await rotateRefreshToken(refreshToken, req);
+
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Refresh token is invalid or has expired. Please log in again.' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error refreshing session' 
+    });
+  }
+};
+
+// @desc    Log out (ends the session the refresh token belongs to)
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a refresh token' 
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during logout' 
+    });
+  }
+};
+
+// @desc    Log out of every session, on every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { sessionsRevoked: revoked }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during logout' 
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your email address' 
+      });
+    }
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || !user.isActive) {
+      return res.status(200).json(response);
+    }
+
+    // Only the latest link works
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+      requestedByIp: req.ip
+    });
+
+    const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+    const resetLink = `${appUrl}/reset-password?token=${token}`;
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Reset your Food2Plate password',
+      text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once.\n\n${resetLink}\n\nIf you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Use the link below to choose a new password. It expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once.</p><p><a href="${resetLink}">Reset password</a></p><p>If you did not ask for this, you can ignore this email.</p>`
+    });
+
+    res.status(200).json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error sending password reset email' 
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token (logs out every session)
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide the reset token and a new password' 
+      });
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    // Claim the token so it cannot be used twice
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired. Please request a new one.' 
+      });
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired. Please request a new one.' 
+      });
+    }
+
+    user.password = password;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error resetting password' 
+    });
+  }
+};
+
 module.exports = {
   login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
   getMe,
   updateProfile,
   changePassword
@@ -0,0 +1,209 @@
+const KitchenClosure = require('../models/KitchenClosure');
+const { getDayBounds } = require('../utils/skipDayUtils');
+
+// @desc    Get kitchen closure calendar
+// @route   GET /api/closures
+// @access  Private (closures:view)
+const getClosures = async (req, res) => {
+  try {
+    const { from, to, emirate, mealType } = req.query;
+
+    let query = {};
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = getDayBounds(from).start;
+      if (to) query.date.$lt = getDayBounds(to).end;
+    }
+    // Closures with an empty scope apply everywhere, so include them as well
+    if (emirate) {
+      query.$and = [...(query.$and || []), { $or: [{ emirates: emirate }, { emirates: { $size: 0 } }] }];
+    }
+    if (mealType) {
+      query.$and = [...(query.$and || []), { $or: [{ mealTypes: mealType }, { mealTypes: { $size: 0 } }] }];
+    }
+
+    const closures = await KitchenClosure.find(query).sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        closures,
+        count: closures.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get closures error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching kitchen closures' 
+    });
+  }
+};
+
+// @desc    Create kitchen closure
+// @route   POST /api/closures
+// @access  Private (closures:manage)
+const createClosure = async (req, res) => {
+  try {
+    const { date, reason, emirates, mealTypes } = req.body;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required (YYYY-MM-DD format)'
+      });
+    }
+
+    const closureDate = getDayBounds(date).start;
+    if (isNaN(closureDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    const closure = await KitchenClosure.create({
+      date: closureDate,
+      reason,
+      emirates: emirates || [],
+      mealTypes: mealTypes || [],
+      createdBy: req.user?.name || 'Admin'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Kitchen closure created successfully',
+      data: { closure }
+    });
+
+  } catch (error) {
+    console.error('Create closure error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error creating kitchen closure' 
+    });
+  }
+};
+
+// @desc    Update kitchen closure
+// @route   PUT /api/closures/:id
+// @access  Private (closures:manage)
+const updateClosure = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, reason, emirates, mealTypes } = req.body;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid closure ID format' 
+      });
+    }
+
+    const closure = await KitchenClosure.findById(id);
+
+    if (!closure) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Kitchen closure not found' 
+      });
+    }
+
+    if (date !== undefined) {
+      const closureDate = getDayBounds(date).start;
+      if (isNaN(closureDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format. Use YYYY-MM-DD'
+        });
+      }
+      closure.date = closureDate;
+    }
+    if (reason !== undefined) closure.reason = reason;
+    if (emirates !== undefined) closure.emirates = emirates;
+    if (mealTypes !== undefined) closure.mealTypes = mealTypes;
+    closure.updatedBy = req.user?.name || 'Admin';
+
+    await closure.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Kitchen closure updated successfully',
+      data: { closure }
+    });
+
+  } catch (error) {
+    console.error('Update closure error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error updating kitchen closure' 
+    });
+  }
+};
+
+// @desc    Delete kitchen closure
+// @route   DELETE /api/closures/:id
+// @access  Private (closures:manage)
+const deleteClosure = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid closure ID format' 
+      });
+    }
+
+    const closure = await KitchenClosure.findByIdAndDelete(id);
+
+    if (!closure) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Kitchen closure not found' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Kitchen closure deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete closure error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error deleting kitchen closure' 
+    });
+  }
+};
+
+module.exports = {
+  getClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure
+};
\ No newline at end of file
@@ -1,10 +1,27 @@
 const Customer = require('../models/Customer');
 const Payment = require('../models/Payment');
 const MessPlan = require('../models/MessPlan');
+const WalletTransaction = require('../models/WalletTransaction');
+const { softDeleteCustomer } = require('../services/trashService');
+const { pickFields } = require('../utils/requestUtils');
+
+// Fields a customer edit may set; the wallet balance and trash state are server-managed
+const EDITABLE_CUSTOMER_FIELDS = [
+  'name',
+  'countryCode',
+  'phone',
+  'fullPhoneNumber',
+  'email',
+  'emirates',
+  'deliveryAddress',
+  'joinDate',
+  'isActive',
+  'notes'
+];
 
 // @desc    Get all customers with pagination and search
 // @route   GET /api/customers
-// @access  Private (Admin)
+// @access  Private (customers:view)
 const getCustomers = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -80,7 +97,7 @@ const getCustomers = async (req, res) => {
 
 // @desc    Get customer by ID with payment history
 // @route   GET /api/customers/:id
-// @access  Private (Admin)
+// @access  Private (customers:view)
 const getCustomerById = async (req, res) => {
   try {
     const customer = await Customer.findById(req.params.id);
@@ -117,7 +134,7 @@ const getCustomerById = async (req, res) => {
 
 // @desc    Create new customer
 // @route   POST /api/customers
-// @access  Private (Admin)
+// @access  Private (customers:create)
 const createCustomer = async (req, res) => {
   try {
     const {
@@ -192,7 +209,7 @@ const createCustomer = async (req, res) => {
 
 // @desc    Update customer
 // @route   PUT /api/customers/:id
-// @access  Private (Admin)
+// @access  Private (customers:update)
 const updateCustomer = async (req, res) => {
   try {
     const { email, phone } = req.body;
@@ -226,9 +243,9 @@ const updateCustomer = async (req, res) => {
       }
     }
 
-    // Add updatedBy and updatedAt to the request body
+    // Wallet balance only changes through wallet transactions, trash state through the trash
     const updateData = {
-      ...req.body,
+      ...pickFields(req.body, EDITABLE_CUSTOMER_FIELDS),
       updatedBy: req.body.updatedBy || req.user?.name || 'System'
     };
 
@@ -263,9 +280,9 @@ const updateCustomer = async (req, res) => {
   }
 };
 
-// @desc    Delete customer
+// @desc    Delete customer (moves it and its subscriptions, payments and tracking to the trash)
 // @route   DELETE /api/customers/:id
-// @access  Private (Admin)
+// @access  Private (customers:delete)
 const deleteCustomer = async (req, res) => {
   try {
     const customer = await Customer.findById(req.params.id);
@@ -290,11 +307,13 @@ const deleteCustomer = async (req, res) => {
       });
     }
 
-    await Customer.findByIdAndDelete(req.params.id);
+    // Moves the customer's subscriptions, payments and meal tracking to the trash with them
+    const deleted = await softDeleteCustomer(customer._id, req.user?.name || 'Admin');
 
     res.status(200).json({
       success: true,
-      message: 'Customer deleted successfully'
+      message: 'Customer deleted successfully',
+      data: deleted
     });
 
   } catch (error) {
@@ -308,7 +327,7 @@ const deleteCustomer = async (req, res) => {
 
 // @desc    Get customer dashboard stats
 // @route   GET /api/customers/dashboard/stats
-// @access  Private (Admin)
+// @access  Private (reports:view)
 const getCustomerStats = async (req, res) => {
   try {
     const totalCustomers = await Customer.countDocuments();
@@ -353,9 +372,67 @@ const getCustomerStats = async (req, res) => {
   }
 };
 
+// @desc    Get customer wallet balance and transactions
+// @route   GET /api/customers/:id/wallet
+// @access  Private (customers:view)
+const getCustomerWallet = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const customer = await Customer.findById(req.params.id).select('name phone walletBalance');
+
+    if (!customer) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Customer not found' 
+      });
+    }
+
+    const query = { customerId: customer._id };
+    if (req.query.type) query.type = req.query.type;
+
+    const transactions = await WalletTransaction.find(query)
+      .populate('paymentId', 'month year planDetails.planName invoiceNumber')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await WalletTransaction.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: {
+          _id: customer._id,
+          name: customer.name,
+          phone: customer.phone
+        },
+        balance: customer.walletBalance || 0,
+        transactions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalTransactions: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customer wallet error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching wallet' 
+    });
+  }
+};
+
 // @desc    Get building and flat filter options
 // @route   GET /api/customers/filter-options
-// @access  Private (Admin)
+// @access  Private (customers:view)
 const getFilterOptions = async (req, res) => {
   try {
     // Get unique building names
@@ -447,5 +524,6 @@ module.exports = {
   updateCustomer,
   deleteCustomer,
   getCustomerStats,
+  getCustomerWallet,
   getFilterOptions
 };
\ No newline at end of file
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Customer = require('../models/Customer');
+const CustomerOtp = require('../models/CustomerOtp');
+const OtpRequest = require('../models/OtpRequest');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const Payment = require('../models/Payment');
+const SkipDay = require('../models/SkipDay');
+const { addSkipDays, removeSkipDay } = require('./skipDayController');
+const { getDayBounds } = require('../utils/skipDayUtils');
+const { sendSms } = require('../services/smsService');
+
+const OTP_TTL_MINUTES = parseInt(process.env.CUSTOMER_OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_PER_HOUR = 5;
+
+// Generate customer-scoped JWT Token
+const generateCustomerToken = (id) => {
+  return jwt.sign({ id, type: 'customer' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.CUSTOMER_JWT_EXPIRE || '7d',
+  });
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Accept 5XXXXXXXX, 05XXXXXXXX, 9715XXXXXXXX or +9715XXXXXXXX and return +9715XXXXXXXX
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/[^\d]/g, '');
+  const local = digits.replace(/^(00971|971|0)/, '');
+  return /^5\d{8}$/.test(local) ? `+971${local}` : null;
+};
+
+const toProfile = (customer) => ({
+  id: customer._id,
+  name: customer.name,
+  phone: customer.fullPhoneNumber,
+  email: customer.email,
+  emirates: customer.emirates,
+  deliveryAddress: customer.deliveryAddress,
+  walletBalance: customer.walletBalance
+});
+
+// @desc    Send a login code by SMS to a registered customer phone number
+// @route   POST /api/me/auth/request-otp
+// @access  Public
+const requestOtp = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+
+    if (!phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a valid UAE mobile number' 
+      });
+    }
+
+    // Throttled per number whether or not it is registered
+    const recent = await OtpRequest.find({
+      phone,
+      createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 });
+
+    if (recent.length > 0 && Date.now() - recent[0].createdAt.getTime() < OTP_RESEND_SECONDS * 1000) {
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${OTP_RESEND_SECONDS} seconds before requesting another code` 
+      });
+    }
+
+    if (recent.length >= OTP_MAX_PER_HOUR) {
+      return res.status(429).json({ 
+        success: false, 
+        message: 'Too many codes requested. Please try again later.' 
+      });
+    }
+
+    await OtpRequest.create({ phone });
+
+    // Same response whether or not the number is registered, so numbers cannot be probed
+    const response = {
+      success: true,
+      message: 'If this number is registered, a login code has been sent',
+      data: { expiresInMinutes: OTP_TTL_MINUTES }
+    };
+
+    const customer = await Customer.findOne({ fullPhoneNumber: phone, isActive: true });
+    if (!customer) {
+      return res.status(200).json(response);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    await CustomerOtp.create({
+      customerId: customer._id,
+      phone,
+      codeHash: hashCode(code),
+      expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+    });
+
+    await sendSms(phone, `Your Food2Plate login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`);
+
+    res.status(200).json(response);
+
+  } catch (error) {
+    console.error('Request OTP error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error sending login code' 
+    });
+  }
+};
+
+// @desc    Exchange a login code for a customer token
+// @route   POST /api/me/auth/verify-otp
+// @access  Public
+const verifyOtp = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    const code = String(req.body?.code || '').trim();
+
+    if (!phone || !/^\d{6}$/.test(code)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your phone number and the 6-digit code' 
+      });
+    }
+
+    const otp = await CustomerOtp.findOne({
+      phone,
+      verifiedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    // Count the attempt before comparing, so parallel guesses cannot all get past the limit
+    const attempt = otp && await CustomerOtp.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!attempt) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Code is invalid or has expired. Please request a new one.' 
+      });
+    }
+
+    const codeHash = hashCode(code);
+    if (!crypto.timingSafeEqual(Buffer.from(codeHash), Buffer.from(otp.codeHash))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Incorrect code' 
+      });
+    }
+
+    // Single use - only the request that marks it verified gets a token
+    const claimed = await CustomerOtp.updateOne(
+      { _id: otp._id, verifiedAt: null },
+      { $set: { verifiedAt: new Date() } }
+    );
+    if (claimed.modifiedCount !== 1) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Code is invalid or has expired. Please request a new one.' 
+      });
+    }
+
+    const customer = await Customer.findOne({ _id: otp.customerId, isActive: true });
+    if (!customer) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Customer account is inactive' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        customer: toProfile(customer),
+        token: generateCustomerToken(customer._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during login' 
+    });
+  }
+};
+
+// @desc    Get the logged-in customer's profile
+// @route   GET /api/me
+// @access  Private (Customer)
+const getMyProfile = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      customer: toProfile(req.customer)
+    }
+  });
+};
+
+// @desc    Update the logged-in customer's delivery address
+// @route   PUT /api/me/address
+// @access  Private (Customer)
+const updateMyAddress = async (req, res) => {
+  try {
+    const allowedFields = ['area', 'buildingName', 'flatNumber', 'street', 'landmark', 'city'];
+    const { coordinates } = req.body || {};
+    const customer = req.customer;
+
+    allowedFields.forEach(field => {
+      if (req.body?.[field] !== undefined) {
+        customer.deliveryAddress[field] = req.body[field];
+      }
+    });
+
+    if (coordinates) {
+      customer.deliveryAddress.coordinates = {
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude
+      };
+    }
+
+    customer.updatedBy = `${customer.name} (customer portal)`;
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery address updated successfully',
+      data: {
+        customer: toProfile(customer)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update my address error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error updating delivery address' 
+    });
+  }
+};
+
+// @desc    Get the logged-in customer's subscriptions (newest first)
+// @route   GET /api/me/subscriptions
+// @access  Private (Customer)
+const getMySubscriptions = async (req, res) => {
+  try {
+    const query = { customerId: req.customer._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const subscriptions = await CustomerSubscription.find(query)
+      .select('-createdBy -updatedBy -pauseHistory.pausedBy -pauseHistory.resumedBy -cancellation.cancelledBy')
+      .populate('mealPlanId', 'planName planCode meals')
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscriptions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my subscriptions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching subscriptions' 
+    });
+  }
+};
+
+// @desc    Get the logged-in customer's payments (newest first)
+// @route   GET /api/me/payments
+// @access  Private (Customer)
+const getMyPayments = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { customer: req.customer._id };
+    if (req.query.status) query.paymentStatus = req.query.status;
+
+    const payments = await Payment.find(query)
+      .select('-recordedBy -paymentHistory.recordedBy -refunds.recordedBy')
+      .sort({ year: -1, month: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Payment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalPayments: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my payments error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching payments' 
+    });
+  }
+};
+
+// Customers can only change skips from tomorrow on; today's meals are already being prepared
+const isUpcomingDay = (date) => getDayBounds(date).start >= getDayBounds(new Date()).end;
+
+// @desc    Skip meals on an upcoming day of one of my subscriptions
+// @route   POST /api/me/subscriptions/:id/skips
+// @access  Private (Customer)
+const addMySkipDays = async (req, res) => {
+  const date = req.body?.date;
+  if (date && !isNaN(new Date(date).getTime()) && !isUpcomingDay(date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Meals can only be skipped from tomorrow onwards'
+    });
+  }
+
+  // Customers always receive the skipped-meal credit
+  req.body = { ...req.body, applyCredit: true };
+  return addSkipDays(req, res);
+};
+
+// @desc    Undo a skip on an upcoming day of one of my subscriptions
+// @route   DELETE /api/me/subscriptions/:id/skips/:skipId
+// @access  Private (Customer)
+const removeMySkipDay = async (req, res) => {
+  try {
+    const { id, skipId } = req.params;
+
+    if (!skipId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid ID format' 
+      });
+    }
+
+    const skip = await SkipDay.findOne({ _id: skipId, subscriptionId: id }).select('date');
+    if (skip && !isUpcomingDay(skip.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Skips can only be undone for tomorrow onwards'
+      });
+    }
+
+    return removeSkipDay(req, res);
+
+  } catch (error) {
+    console.error('Remove my skip day error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error removing skip day' 
+    });
+  }
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+  getMyProfile,
+  updateMyAddress,
+  getMySubscriptions,
+  getMyPayments,
+  addMySkipDays,
+  removeMySkipDay
+};
\ No newline at end of file
@@ -1,6 +1,10 @@
 const DailyMealTracking = require('../models/DailyMealTracking');
 const CustomerSubscription = require('../models/CustomerSubscription');
 const Customer = require('../models/Customer');
+const { getSkippedMealKeys } = require('../utils/skipDayUtils');
+const { getClosureChecker } = require('../utils/closureUtils');
+const { MEAL_TYPES, resolveMeal, getDeliveryTimeDisplay } = require('../utils/mealResolver');
+const { loadDeliverySlots } = require('../services/deliverySlotService');
 
 // @desc    Get daily tracking records
 // @route   GET /api/daily-tracking
@@ -64,7 +68,7 @@ const markAttendance = async (req, res) => {
     // Find customer's active subscription for this date
     const activeSubscription = await CustomerSubscription.findOne({
       customerId,
-      status: 'active',
+      status: { $in: ['active', 'paused'] },
       startDate: { $lte: trackingDate },
       endDate: { $gte: trackingDate }
     });
@@ -76,6 +80,13 @@ const markAttendance = async (req, res) => {
       });
     }
 
+    if (activeSubscription.isPausedOnDate(trackingDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is paused on this date'
+      });
+    }
+
     // Find existing record for this customer and date
     let dailyRecord = await DailyMealTracking.findOne({
       customerId,
@@ -136,29 +147,34 @@ const getDeliveryTimeBreakdown = async (req, res) => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    // Get all active subscriptions for today
-    const activeSubscriptions = await CustomerSubscription.find({
-      status: 'active',
+    // Get all active subscriptions for today, leaving out those paused today
+    const activeSubscriptions = (await CustomerSubscription.find({
+      status: { $in: ['active', 'paused'] },
       startDate: { $lte: today },
       endDate: { $gte: today }
-    }).populate('mealPlanId customerId');
+    }).populate('mealPlanId customerId'))
+      .filter(subscription => !subscription.isPausedOnDate(today));
+
+    // Meals customers asked to skip today, and meals the kitchen is closed for
+    const skippedMeals = await getSkippedMealKeys(today);
+    const isKitchenClosed = await getClosureChecker(today);
+
+    // Initialize breakdown structure (one entry per active delivery slot of each meal)
+    const slots = await loadDeliverySlots();
+    const slotEntry = (mealType, key) => ({
+      customers: [],
+      count: 0,
+      deliveryTime: getDeliveryTimeDisplay(mealType, key, slots),
+      capacity: slots[mealType][key]?.capacity ?? null
+    });
 
-    // Initialize breakdown structure
-    const breakdown = {
-      breakfast: {
-        'standard': { customers: [], count: 0, deliveryTime: '7:00-9:00 AM' },
-        'early-morning': { customers: [], count: 0, deliveryTime: '5:00-6:00 AM' }
-      },
-      lunch: {
-        'standard': { customers: [], count: 0, deliveryTime: '11:00 AM-1:00 PM' },
-        'early-morning': { customers: [], count: 0, deliveryTime: '7:00-9:00 AM' },
-        'late-afternoon': { customers: [], count: 0, deliveryTime: '3:00-5:00 PM' }
-      },
-      dinner: {
-        'standard': { customers: [], count: 0, deliveryTime: '6:00-8:00 PM' },
-        'late-night': { customers: [], count: 0, deliveryTime: '9:00-11:00 PM' }
-      }
-    };
+    const breakdown = {};
+    MEAL_TYPES.forEach(mealType => {
+      breakdown[mealType] = {};
+      Object.values(slots[mealType]).filter(slot => slot.isActive).forEach(slot => {
+        breakdown[mealType][slot.key] = slotEntry(mealType, slot.key);
+      });
+    });
 
     // Process each active subscription
     activeSubscriptions.forEach(subscription => {
@@ -168,19 +184,19 @@ const getDeliveryTimeBreakdown = async (req, res) => {
       if (!mealPlan || !mealPlan.meals || !customer) return;
 
       // Helper function to check if meal is enabled and get delivery time
-      const processMeal = (mealType, mealData) => {
-        let enabled = false;
-        let deliveryTime = 'standard';
-
-        // Handle both old boolean format and new object format
-        if (typeof mealData === 'boolean') {
-          enabled = mealData;
-        } else if (typeof mealData === 'object' && mealData !== null) {
-          enabled = mealData.enabled;
-          deliveryTime = mealData.deliveryTime || 'standard';
+      const processMeal = (mealType) => {
+        let { enabled, deliveryTime, address } = resolveMeal(subscription, mealPlan, mealType);
+
+        if (skippedMeals.has(`${subscription._id}:${mealType}`) || isKitchenClosed(address?.emirates || customer.emirates, mealType)) {
+          enabled = false;
         }
 
-        if (enabled && breakdown[mealType] && breakdown[mealType][deliveryTime]) {
+        if (enabled && breakdown[mealType]) {
+          // Customers still on a slot that was deactivated since are listed under it too
+          if (!breakdown[mealType][deliveryTime]) {
+            breakdown[mealType][deliveryTime] = slotEntry(mealType, deliveryTime);
+          }
+
           const customerInfo = {
             id: customer._id,
             name: customer.name,
@@ -194,9 +210,7 @@ const getDeliveryTimeBreakdown = async (req, res) => {
       };
 
       // Process each meal type
-      processMeal('breakfast', mealPlan.meals.breakfast);
-      processMeal('lunch', mealPlan.meals.lunch);
-      processMeal('dinner', mealPlan.meals.dinner);
+      MEAL_TYPES.forEach(processMeal);
     });
 
     // Calculate totals for each meal type
@@ -205,6 +219,8 @@ const getDeliveryTimeBreakdown = async (req, res) => {
       summary[mealType] = {
         totalCustomers: Object.values(breakdown[mealType]).reduce((sum, slot) => sum + slot.count, 0),
         deliverySlots: Object.keys(breakdown[mealType]).length,
+        overCapacity: Object.keys(breakdown[mealType])
+          .filter(slot => breakdown[mealType][slot].capacity && breakdown[mealType][slot].count > breakdown[mealType][slot].capacity),
         breakdown: breakdown[mealType]
       };
     });
@@ -239,12 +255,17 @@ const getTodayStats = async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    // Get all active subscriptions for today
-    const activeSubscriptions = await CustomerSubscription.find({
-      status: 'active',
+    // Get all active subscriptions for today, leaving out those paused today
+    const activeSubscriptions = (await CustomerSubscription.find({
+      status: { $in: ['active', 'paused'] },
       startDate: { $lte: today },
       endDate: { $gte: today }
-    }).populate('mealPlanId customerId');
+    }).populate('mealPlanId customerId'))
+      .filter(subscription => !subscription.isPausedOnDate(today));
+
+    // Meals customers asked to skip today, and meals the kitchen is closed for
+    const skippedMeals = await getSkippedMealKeys(today);
+    const isKitchenClosed = await getClosureChecker(today);
 
     // Get today's attendance records
     const todayRecords = await DailyMealTracking.find({
@@ -264,22 +285,18 @@ const getTodayStats = async (req, res) => {
       dinner: { expected: 0, attended: 0 }
     };
 
-    // Count expected meals based on active subscriptions
+    // Count expected meals based on active subscriptions, excluding skipped and closed meals
     activeSubscriptions.forEach(subscription => {
       const mealPlan = subscription.mealPlanId;
+      const isSkipped = (mealType) => skippedMeals.has(`${subscription._id}:${mealType}`) ||
+        isKitchenClosed(subscription.customerId?.emirates, mealType);
       if (mealPlan && mealPlan.meals) {
-        if (mealPlan.meals.breakfast) {
-          stats.breakfast.expected++;
-          stats.totalExpected++;
-        }
-        if (mealPlan.meals.lunch) {
-          stats.lunch.expected++;
-          stats.totalExpected++;
-        }
-        if (mealPlan.meals.dinner) {
-          stats.dinner.expected++;
-          stats.totalExpected++;
-        }
+        MEAL_TYPES.forEach(mealType => {
+          if (resolveMeal(subscription, mealPlan, mealType).enabled && !isSkipped(mealType)) {
+            stats[mealType].expected++;
+            stats.totalExpected++;
+          }
+        });
       }
     });
 
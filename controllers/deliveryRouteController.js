@@ -0,0 +1,364 @@
+const DeliveryRoute = require('../models/DeliveryRoute');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const User = require('../models/User');
+const { getDayBounds } = require('../utils/skipDayUtils');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+// Check that a user exists, is active and has the driver role
+const findDriver = async (driverId) => {
+  if (!driverId || !String(driverId).match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: 'Invalid driver ID format' };
+  }
+
+  const driver = await User.findById(driverId).select('name role isActive');
+  if (!driver || driver.role !== 'driver') {
+    return { error: 'Driver not found' };
+  }
+  if (!driver.isActive) {
+    return { error: 'Driver account is inactive' };
+  }
+
+  return { driver };
+};
+
+// Turn an ordered list of subscription IDs into route stops for one day and meal
+const buildStops = async (subscriptionIds, date, mealType, excludeRouteId = null) => {
+  if (!Array.isArray(subscriptionIds) || subscriptionIds.length === 0) {
+    return { error: 'Please provide at least one subscription for the route' };
+  }
+
+  if (subscriptionIds.some(id => !String(id).match(/^[0-9a-fA-F]{24}$/))) {
+    return { error: 'Invalid subscription ID format' };
+  }
+
+  if (new Set(subscriptionIds.map(String)).size !== subscriptionIds.length) {
+    return { error: 'A subscription can only appear once on a route' };
+  }
+
+  const subscriptions = await CustomerSubscription.find({
+    _id: { $in: subscriptionIds },
+    status: { $in: ['active', 'paused'] },
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  }).select('customerId');
+
+  if (subscriptions.length !== subscriptionIds.length) {
+    return { error: 'Some subscriptions are not active on the route date' };
+  }
+
+  // A drop belongs to a single route
+  const { start, end } = getDayBounds(date);
+  const clash = await DeliveryRoute.findOne({
+    date: { $gte: start, $lt: end },
+    mealType,
+    'stops.subscriptionId': { $in: subscriptionIds },
+    ...(excludeRouteId && { _id: { $ne: excludeRouteId } })
+  }).select('name driverId');
+
+  if (clash) {
+    return { error: `Some subscriptions are already on another ${mealType} route for this day${clash.name ? ` (${clash.name})` : ''}` };
+  }
+
+  const customerBySubscription = new Map(subscriptions.map(subscription => [subscription._id.toString(), subscription.customerId]));
+
+  return {
+    stops: subscriptionIds.map((id, index) => ({
+      subscriptionId: id,
+      customerId: customerBySubscription.get(String(id)),
+      sequence: index + 1
+    }))
+  };
+};
+
+// @desc    Get delivery routes
+// @route   GET /api/delivery-routes
+// @access  Private (deliveries:manage)
+const getDeliveryRoutes = async (req, res) => {
+  try {
+    const { date, mealType, driverId, status } = req.query;
+
+    let query = {};
+    if (date) {
+      const { start, end } = getDayBounds(date);
+      if (isNaN(start.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format. Use YYYY-MM-DD'
+        });
+      }
+      query.date = { $gte: start, $lt: end };
+    }
+    if (mealType) query.mealType = mealType;
+    if (driverId) query.driverId = driverId;
+    if (status) query.status = status;
+
+    const routes = await DeliveryRoute.find(query)
+      .populate('driverId', 'name phone')
+      .sort({ date: -1, mealType: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        routes,
+        count: routes.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get delivery routes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery routes'
+    });
+  }
+};
+
+// @desc    Get a delivery route with its drops
+// @route   GET /api/delivery-routes/:id
+// @access  Private (deliveries:manage)
+const getDeliveryRoute = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route ID format'
+      });
+    }
+
+    const route = await DeliveryRoute.findById(id)
+      .populate('driverId', 'name phone')
+      .populate('stops.customerId', 'name phone emirates deliveryAddress notes');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery route not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { route }
+    });
+
+  } catch (error) {
+    console.error('Get delivery route error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery route'
+    });
+  }
+};
+
+// @desc    Create a delivery route and assign it to a driver
+// @route   POST /api/delivery-routes
+// @access  Private (deliveries:manage)
+const createDeliveryRoute = async (req, res) => {
+  try {
+    const { date, mealType, deliveryTime, name, driverId, subscriptionIds } = req.body;
+
+    if (!date || !mealType || !driverId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date, meal type and driver are required'
+      });
+    }
+
+    const routeDate = getDayBounds(date).start;
+    if (isNaN(routeDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    if (!MEAL_TYPES.includes(mealType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Meal type must be one of: ${MEAL_TYPES.join(', ')}`
+      });
+    }
+
+    const { driver, error: driverError } = await findDriver(driverId);
+    if (driverError) {
+      return res.status(400).json({ success: false, message: driverError });
+    }
+
+    const { stops, error: stopsError } = await buildStops(subscriptionIds, routeDate, mealType);
+    if (stopsError) {
+      return res.status(400).json({ success: false, message: stopsError });
+    }
+
+    const route = await DeliveryRoute.create({
+      name,
+      date: routeDate,
+      mealType,
+      deliveryTime,
+      driverId: driver._id,
+      stops,
+      createdBy: req.user?.name || 'Admin'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Route with ${stops.length} drops assigned to ${driver.name}`,
+      data: { route }
+    });
+
+  } catch (error) {
+    console.error('Create delivery route error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating delivery route'
+    });
+  }
+};
+
+// @desc    Update a delivery route (reassign driver, rename, or reorder drops before it starts)
+// @route   PUT /api/delivery-routes/:id
+// @access  Private (deliveries:manage)
+const updateDeliveryRoute = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, deliveryTime, driverId, subscriptionIds } = req.body;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route ID format'
+      });
+    }
+
+    const route = await DeliveryRoute.findById(id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery route not found'
+      });
+    }
+
+    if (driverId !== undefined) {
+      const { driver, error: driverError } = await findDriver(driverId);
+      if (driverError) {
+        return res.status(400).json({ success: false, message: driverError });
+      }
+      route.driverId = driver._id;
+    }
+
+    if (subscriptionIds !== undefined) {
+      // Drops already marked by the driver must not be lost
+      if (route.status !== 'planned') {
+        return res.status(400).json({
+          success: false,
+          message: 'Drops cannot be changed once the driver has started the route'
+        });
+      }
+
+      const { stops, error: stopsError } = await buildStops(subscriptionIds, route.date, route.mealType, route._id);
+      if (stopsError) {
+        return res.status(400).json({ success: false, message: stopsError });
+      }
+      route.stops = stops;
+    }
+
+    if (name !== undefined) route.name = name;
+    if (deliveryTime !== undefined) route.deliveryTime = deliveryTime;
+    route.updatedBy = req.user?.name || 'Admin';
+
+    await route.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery route updated successfully',
+      data: { route }
+    });
+
+  } catch (error) {
+    console.error('Update delivery route error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating delivery route'
+    });
+  }
+};
+
+// @desc    Delete a delivery route that has not started
+// @route   DELETE /api/delivery-routes/:id
+// @access  Private (deliveries:manage)
+const deleteDeliveryRoute = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route ID format'
+      });
+    }
+
+    const route = await DeliveryRoute.findById(id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery route not found'
+      });
+    }
+
+    if (route.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Routes the driver has started cannot be deleted'
+      });
+    }
+
+    await DeliveryRoute.deleteOne({ _id: route._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery route deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete delivery route error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting delivery route'
+    });
+  }
+};
+
+module.exports = {
+  getDeliveryRoutes,
+  getDeliveryRoute,
+  createDeliveryRoute,
+  updateDeliveryRoute,
+  deleteDeliveryRoute
+};
\ No newline at end of file
@@ -0,0 +1,243 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const MealPlan = require('../models/MealPlan');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const { DEFAULT_DELIVERY_TIME } = require('../utils/mealResolver');
+const { loadDeliverySlots, describeSlot, clearDeliverySlotCache } = require('../services/deliverySlotService');
+
+// Meals without a chosen delivery time fall back to the standard slot, so it must stay
+const isDefaultSlot = (slot) => slot.key === DEFAULT_DELIVERY_TIME;
+
+// @desc    Get delivery slots
+// @route   GET /api/delivery-slots
+// @access  Private
+const getDeliverySlots = async (req, res) => {
+  try {
+    const { mealType, includeInactive } = req.query;
+
+    // Seeds the default slots on first use
+    const slotMap = await loadDeliverySlots({ refresh: true });
+
+    const slots = Object.values(slotMap)
+      .flatMap(mealSlots => Object.values(mealSlots))
+      .filter(slot => !mealType || slot.mealType === mealType)
+      .filter(slot => includeInactive === 'true' || slot.isActive);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        slots,
+        count: slots.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get delivery slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery slots'
+    });
+  }
+};
+
+// @desc    Create delivery slot
+// @route   POST /api/delivery-slots
+// @access  Private (delivery-slots:manage)
+const createDeliverySlot = async (req, res) => {
+  try {
+    const { mealType, key, label, startTime, endTime, cutoffMinutes, capacity, isActive } = req.body;
+
+    // Make sure the defaults exist before the first custom slot is added
+    await loadDeliverySlots();
+
+    const slot = await DeliverySlot.create({
+      mealType,
+      key,
+      label,
+      startTime,
+      endTime,
+      cutoffMinutes,
+      capacity,
+      isActive,
+      createdBy: req.user?.name || 'Admin'
+    });
+
+    clearDeliverySlotCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery slot created successfully',
+      data: { slot: describeSlot(slot) }
+    });
+
+  } catch (error) {
+    console.error('Create delivery slot error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${req.body.mealType} delivery slot with key '${req.body.key}' already exists`
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating delivery slot'
+    });
+  }
+};
+
+// @desc    Update delivery slot
+// @route   PUT /api/delivery-slots/:id
+// @access  Private (delivery-slots:manage)
+const updateDeliverySlot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { mealType, key, label, startTime, endTime, cutoffMinutes, capacity, isActive } = req.body;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery slot ID format'
+      });
+    }
+
+    const slot = await DeliverySlot.findById(id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    // Meal plans and subscriptions store the key, so it cannot move
+    if ((mealType !== undefined && mealType !== slot.mealType) || (key !== undefined && key !== slot.key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Meal type and key of a delivery slot cannot be changed; create a new slot and deactivate this one instead'
+      });
+    }
+
+    if (isActive === false && isDefaultSlot(slot)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The standard slot is used by meals without a delivery time and cannot be deactivated'
+      });
+    }
+
+    if (label !== undefined) slot.label = label;
+    if (startTime !== undefined) slot.startTime = startTime;
+    if (endTime !== undefined) slot.endTime = endTime;
+    if (cutoffMinutes !== undefined) slot.cutoffMinutes = cutoffMinutes;
+    if (capacity !== undefined) slot.capacity = capacity;
+    if (isActive !== undefined) slot.isActive = isActive;
+    slot.updatedBy = req.user?.name || 'Admin';
+
+    await slot.save();
+
+    clearDeliverySlotCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery slot updated successfully',
+      data: { slot: describeSlot(slot) }
+    });
+
+  } catch (error) {
+    console.error('Update delivery slot error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating delivery slot'
+    });
+  }
+};
+
+// @desc    Delete delivery slot
+// @route   DELETE /api/delivery-slots/:id
+// @access  Private (delivery-slots:manage)
+const deleteDeliverySlot = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery slot ID format'
+      });
+    }
+
+    const slot = await DeliverySlot.findById(id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    if (isDefaultSlot(slot)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The standard slot is used by meals without a delivery time and cannot be deleted'
+      });
+    }
+
+    // Slots stored on any meal plan or subscription (finished or in the trash too) can only be deactivated
+    const [mealPlans, subscriptions] = await Promise.all([
+      MealPlan.countDocuments({ [`meals.${slot.mealType}.deliveryTime`]: slot.key }),
+      CustomerSubscription.countDocuments({ [`customMeals.${slot.mealType}.deliveryTime`]: slot.key })
+        .setOptions({ withDeleted: true })
+    ]);
+
+    if (mealPlans > 0 || subscriptions > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Delivery slot is used by ${mealPlans} meal plan(s) and ${subscriptions} subscription(s); deactivate it instead`
+      });
+    }
+
+    await slot.deleteOne();
+
+    clearDeliverySlotCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery slot deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete delivery slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting delivery slot'
+    });
+  }
+};
+
+module.exports = {
+  getDeliverySlots,
+  createDeliverySlot,
+  updateDeliverySlot,
+  deleteDeliverySlot
+};
\ No newline at end of file
@@ -0,0 +1,192 @@
+const DeliveryRoute = require('../models/DeliveryRoute');
+const { getDayBounds } = require('../utils/skipDayUtils');
+const { recordDropOutcome } = require('../services/deliveryService');
+
+// Today's route of the signed-in driver, or null (other drivers' routes look missing)
+const findMyRouteForToday = async (req, id) => {
+  const { start, end } = getDayBounds(new Date());
+  return DeliveryRoute.findOne({
+    _id: id,
+    driverId: req.user._id,
+    date: { $gte: start, $lt: end }
+  });
+};
+
+// Drops in the order the driver should make them
+const sortStops = (route) => {
+  const data = route.toObject();
+  data.stops.sort((a, b) => a.sequence - b.sequence);
+  return data;
+};
+
+// @desc    Get my delivery routes for today
+// @route   GET /api/driver/routes
+// @access  Private (Driver)
+const getMyRoutes = async (req, res) => {
+  try {
+    const { start, end } = getDayBounds(new Date());
+
+    const routes = await DeliveryRoute.find({
+      driverId: req.user._id,
+      date: { $gte: start, $lt: end }
+    })
+      .populate('stops.customerId', 'name phone emirates deliveryAddress notes')
+      .sort({ mealType: 1, deliveryTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        routes: routes.map(sortStops),
+        count: routes.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my routes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching your routes'
+    });
+  }
+};
+
+// @desc    Get one of my routes for today
+// @route   GET /api/driver/routes/:id
+// @access  Private (Driver)
+const getMyRoute = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route ID format'
+      });
+    }
+
+    const route = await findMyRouteForToday(req, id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    await route.populate('stops.customerId', 'name phone emirates deliveryAddress notes');
+
+    res.status(200).json({
+      success: true,
+      data: { route: sortStops(route) }
+    });
+
+  } catch (error) {
+    console.error('Get my route error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching route'
+    });
+  }
+};
+
+// @desc    Mark a drop as delivered, failed or customer absent
+// @route   POST /api/driver/routes/:id/stops/:stopId
+// @access  Private (Driver)
+const markDrop = async (req, res) => {
+  try {
+    const { id, stopId } = req.params;
+    const { status, timestamp, photoRef, notes } = req.body || {};
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !stopId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route or drop ID format'
+      });
+    }
+
+    const outcomes = DeliveryRoute.schema.path('stops').schema.path('status').enumValues
+      .filter(value => value !== 'pending');
+    if (!outcomes.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${outcomes.join(', ')}`
+      });
+    }
+
+    // The app may send the time the drop was made (e.g. queued while offline)
+    const statusAt = timestamp ? new Date(timestamp) : new Date();
+    if (isNaN(statusAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timestamp'
+      });
+    }
+    if (statusAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Timestamp cannot be in the future'
+      });
+    }
+
+    const route = await findMyRouteForToday(req, id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const stop = route.stops.id(stopId);
+
+    if (!stop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Drop not found on this route'
+      });
+    }
+
+    const result = await recordDropOutcome(route, stop, {
+      status,
+      statusAt,
+      photoRef,
+      notes,
+      markedBy: req.user.name
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Drop marked as ${status.replace('_', ' ')}`,
+      data: {
+        stop: result.stop,
+        routeStatus: result.route.status,
+        tracking: result.tracking
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark drop error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error marking drop'
+    });
+  }
+};
+
+module.exports = {
+  getMyRoutes,
+  getMyRoute,
+  markDrop
+};
\ No newline at end of file
@@ -0,0 +1,142 @@
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { runJob, getJobDefinitions } = require('../jobs/scheduler');
+
+// @desc    Get scheduled jobs with last-run state and recent failures
+// @route   GET /api/jobs
+// @access  Private (jobs:view)
+const getJobs = async (req, res) => {
+  try {
+    const definitions = getJobDefinitions();
+
+    const states = await ScheduledJob.find({
+      name: { $in: definitions.map(job => job.name) }
+    }).lean();
+
+    const jobs = definitions.map(job => {
+      const state = states.find(item => item.name === job.name) || {};
+      return {
+        ...job,
+        isRunning: !!(state.lockedUntil && state.lockedUntil > new Date()),
+        lockedBy: state.lockedBy || null,
+        lastRunAt: state.lastRunAt || null,
+        lastFinishedAt: state.lastFinishedAt || null,
+        lastStatus: state.lastStatus || null,
+        lastError: state.lastError || null
+      };
+    });
+
+    const recentFailures = await JobRun.find({ status: 'failed' })
+      .select('-result')
+      .sort({ startedAt: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        recentFailures
+      }
+    });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching scheduled jobs' 
+    });
+  }
+};
+
+// @desc    Get job run history
+// @route   GET /api/jobs/runs
+// @access  Private (jobs:view)
+const getJobRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { name, status } = req.query;
+
+    // Build filter query
+    let query = {};
+    if (name) query.jobName = name;
+    if (status) query.status = status;
+
+    const runs = await JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await JobRun.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRuns: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching job runs' 
+    });
+  }
+};
+
+// @desc    Run a scheduled job immediately
+// @route   POST /api/jobs/:name/run
+// @access  Private (jobs:run)
+const triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!getJobDefinitions().some(job => job.name === name)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Job not found' 
+      });
+    }
+
+    const { run, skipped, reason } = await runJob(name, {
+      trigger: 'manual',
+      triggeredBy: req.user?.name || 'Admin'
+    });
+
+    if (skipped) {
+      return res.status(409).json({
+        success: false,
+        message: reason
+      });
+    }
+
+    res.status(200).json({
+      success: run.status === 'succeeded',
+      message: `Job ${name} ${run.status}`,
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('Trigger job error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error running job' 
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobRuns,
+  triggerJob
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { buildProductionSheet, renderProductionCsv, renderProductionHtml } = require('../services/productionService');
+const { MEAL_TYPES } = require('../utils/skipDayUtils');
+
+// @desc    Get portion counts to cook for a day (per meal plan, delivery slot and emirate)
+// @route   GET /api/kitchen/production?date=YYYY-MM-DD&mealType=&format=json|csv|html
+// @access  Private (kitchen:view)
+const getProductionSheet = async (req, res) => {
+  try {
+    const { date, mealType, format = 'json' } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required (YYYY-MM-DD format)'
+      });
+    }
+
+    const selectedDate = new Date(date);
+    if (isNaN(selectedDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    if (mealType && !MEAL_TYPES.includes(mealType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Meal type must be one of: ${MEAL_TYPES.join(', ')}`
+      });
+    }
+
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv or html'
+      });
+    }
+
+    const sheet = await buildProductionSheet({ date: selectedDate, mealType });
+
+    if (format === 'html') {
+      return res.type('html').send(renderProductionHtml(sheet));
+    }
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="production-${sheet.date}${mealType ? `-${mealType}` : ''}.csv"`
+      });
+      return res.send(renderProductionCsv(sheet));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sheet
+    });
+
+  } catch (error) {
+    console.error('Get production sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating production sheet'
+    });
+  }
+};
+
+module.exports = {
+  getProductionSheet
+};
\ No newline at end of file
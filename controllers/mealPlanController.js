@@ -1,4 +1,20 @@
 const MealPlan = require('../models/MealPlan');
+const { normaliseMealSetting } = require('../utils/mealResolver');
+const { validateDeliveryTime } = require('../services/deliverySlotService');
+
+// First invalid delivery time in a meals object, or null (a plan may keep a slot that was since deactivated)
+const findInvalidDeliveryTime = async (meals, currentMeals = {}) => {
+  for (const [mealType, mealData] of Object.entries(meals || {})) {
+    if (mealData && typeof mealData === 'object' && mealData.deliveryTime &&
+        mealData.deliveryTime !== normaliseMealSetting(currentMeals[mealType]).deliveryTime) {
+      const error = await validateDeliveryTime(mealType, mealData.deliveryTime);
+      if (error) {
+        return error;
+      }
+    }
+  }
+  return null;
+};
 
 // @desc    Get all meal plans
 // @route   GET /api/meal-plans
@@ -64,7 +80,7 @@ const getMealPlan = async (req, res) => {
 
 // @desc    Create new meal plan
 // @route   POST /api/meal-plans
-// @access  Private (Admin)
+// @access  Private (meal-plans:manage)
 const createMealPlan = async (req, res) => {
   try {
     const {
@@ -76,6 +92,14 @@ const createMealPlan = async (req, res) => {
       createdBy
     } = req.body;
 
+    const deliveryTimeError = await findInvalidDeliveryTime(meals);
+    if (deliveryTimeError) {
+      return res.status(400).json({
+        success: false,
+        message: deliveryTimeError
+      });
+    }
+
     // Check if plan code already exists
     const existingPlan = await MealPlan.findOne({ planCode: planCode.toUpperCase() });
     if (existingPlan) {
@@ -120,7 +144,7 @@ const createMealPlan = async (req, res) => {
 
 // @desc    Update meal plan
 // @route   PUT /api/meal-plans/:id
-// @access  Private (Admin)
+// @access  Private (meal-plans:manage)
 const updateMealPlan = async (req, res) => {
   try {
     console.log('Updating meal plan:', req.params.id);
@@ -136,17 +160,14 @@ const updateMealPlan = async (req, res) => {
 
     // Validate delivery times if provided
     if (req.body.meals) {
-      const validDeliveryTimes = ['standard', 'early-morning', 'late-afternoon', 'late-night'];
-      
-      for (const [mealType, mealData] of Object.entries(req.body.meals)) {
-        if (typeof mealData === 'object' && mealData.deliveryTime) {
-          if (!validDeliveryTimes.includes(mealData.deliveryTime)) {
-            return res.status(400).json({
-              success: false,
-              message: `Invalid delivery time '${mealData.deliveryTime}' for ${mealType}. Valid options: ${validDeliveryTimes.join(', ')}`
-            });
-          }
-        }
+      const currentPlan = await MealPlan.findById(req.params.id).select('meals').lean();
+      const deliveryTimeError = await findInvalidDeliveryTime(req.body.meals, currentPlan?.meals);
+
+      if (deliveryTimeError) {
+        return res.status(400).json({
+          success: false,
+          message: deliveryTimeError
+        });
       }
     }
 
@@ -207,7 +228,7 @@ const updateMealPlan = async (req, res) => {
 
 // @desc    Delete meal plan (soft delete)
 // @route   DELETE /api/meal-plans/:id
-// @access  Private (Admin)
+// @access  Private (meal-plans:manage)
 const deleteMealPlan = async (req, res) => {
   try {
     const mealPlan = await MealPlan.findById(req.params.id);
@@ -1,16 +1,51 @@
 const Payment = require('../models/Payment');
 const Customer = require('../models/Customer');
+const {
+  issueInvoiceNumber,
+  nextReceiptNumber,
+  ensureReceiptNumber,
+  buildInvoiceData,
+  buildReceiptData,
+  renderHtml,
+  renderPdf
+} = require('../services/invoiceService');
+const { creditWallet } = require('../services/walletService');
+const { softDeleteRecord } = require('../services/trashService');
+const { getRefundableAmount, refundPayment: applyRefund } = require('../services/billingService');
+const { runInTransaction } = require('../utils/transactionUtils');
+const { pickFields } = require('../utils/requestUtils');
+
+// Fields staff may set when creating or editing a payment (frontend names included). Invoice and
+// receipt numbers, the refund ledger, the subscription link and trash state are server-managed.
+const EDITABLE_PAYMENT_FIELDS = [
+  'customer',
+  'customerId',
+  'month',
+  'year',
+  'planDetails',
+  'amount',
+  'amountDue',
+  'amountPaid',
+  'status',
+  'paymentStatus',
+  'paymentMethod',
+  'paymentDate',
+  'dueDate',
+  'transactionId',
+  'receiptNumber',
+  'notes'
+];
 
 // @desc    Get all payments with filters
 // @route   GET /api/payments
-// @access  Private (Admin)
+// @access  Private (payments:view)
 const getPayments = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    const { status, month, year, customerId } = req.query;
+    const { status, month, year, customerId, subscriptionId } = req.query;
 
     // Build filter query
     let query = {};
@@ -18,6 +53,7 @@ const getPayments = async (req, res) => {
     if (month) query.month = parseInt(month);
     if (year) query.year = parseInt(year);
     if (customerId) query.customer = customerId;
+    if (subscriptionId) query.subscriptionId = subscriptionId;
 
     const payments = await Payment.find(query)
       .populate('customer', 'name phone deliveryAddress')
@@ -52,7 +88,7 @@ const getPayments = async (req, res) => {
 
 // @desc    Get single payment by ID
 // @route   GET /api/payments/:id
-// @access  Private (Admin)
+// @access  Private (payments:view)
 const getPayment = async (req, res) => {
   try {
     const { id } = req.params;
@@ -81,15 +117,11 @@ const getPayment = async (req, res) => {
 
 // @desc    Update payment by ID
 // @route   PUT /api/payments/:id
-// @access  Private (Admin)
+// @access  Private (payments:update)
 const updatePayment = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-
-    // Remove any fields that shouldn't be updated directly
-    delete updateData._id;
-    delete updateData.__v;
+    const updateData = pickFields(req.body, EDITABLE_PAYMENT_FIELDS);
 
     // Map frontend field names to backend field names
     if (updateData.customerId) {
@@ -138,9 +170,9 @@ const updatePayment = async (req, res) => {
   }
 };
 
-// @desc    Delete payment record
+// @desc    Delete payment record (moves it to the trash)
 // @route   DELETE /api/payments/:id
-// @access  Private (Admin)
+// @access  Private (payments:delete)
 const deletePayment = async (req, res) => {
   try {
     const payment = await Payment.findById(req.params.id);
@@ -152,8 +184,8 @@ const deletePayment = async (req, res) => {
       });
     }
 
-    // Delete the payment
-    await Payment.findByIdAndDelete(req.params.id);
+    // Move the payment to the trash
+    await softDeleteRecord('payments', payment._id, req.user?.name || 'Admin');
 
     res.status(200).json({
       success: true,
@@ -175,10 +207,10 @@ const deletePayment = async (req, res) => {
 
 // @desc    Create payment record for customer
 // @route   POST /api/payments
-// @access  Private (Admin)
+// @access  Private (payments:create)
 const createPayment = async (req, res) => {
   try {
-    let createData = { ...req.body };
+    let createData = pickFields(req.body, EDITABLE_PAYMENT_FIELDS);
 
     // Map frontend field names to backend field names
     if (createData.customerId) {
@@ -274,65 +306,376 @@ const createPayment = async (req, res) => {
 
 // @desc    Record payment for a customer
 // @route   POST /api/payments/:id/record
-// @access  Private (Admin)
+// @access  Private (payments:record)
 const recordPayment = async (req, res) => {
   try {
+    const { id } = req.params;
     const {
-      amount,
       paymentMethod,
       transactionId,
       notes
-    } = req.body;
+    } = req.body || {};
+    const amount = Number(req.body?.amount);
 
-    const payment = await Payment.findById(req.params.id)
-      .populate('customer', 'name phone');
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid payment ID format' 
+      });
+    }
 
-    if (!payment) {
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Amount must be a number greater than zero' 
+      });
+    }
+
+    // Wallet entries are only written when a wallet balance is applied to a payment
+    const paymentMethods = Payment.schema.path('paymentHistory').schema.path('paymentMethod').enumValues
+      .filter(method => method !== 'wallet');
+    if (!paymentMethods.includes(paymentMethod)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Payment method must be one of: ${paymentMethods.join(', ')}` 
+      });
+    }
+
+    // The receipt number is only drawn when the entry is saved with it, and an overpayment
+    // reaches the wallet only together with the entry
+    const recorded = await runInTransaction(async (session) => {
+      const payment = await Payment.findById(id)
+        .populate('customer', 'name phone')
+        .session(session);
+
+      if (!payment) {
+        return null;
+      }
+
+      const receiptNumber = await nextReceiptNumber({ session });
+
+      // Anything beyond the amount due goes to the customer's wallet instead of amountPaid
+      const outstanding = Math.max(0, payment.amountDue - payment.amountPaid);
+      const creditedToWallet = Math.max(0, Math.round((amount - outstanding) * 100) / 100);
+      const paidToDate = payment.amountPaid + amount - creditedToWallet;
+
+      // Add to payment history
+      payment.paymentHistory.push({
+        amount,
+        paymentMethod,
+        transactionId,
+        notes,
+        receiptNumber,
+        creditedToWallet,
+        paidToDate,
+        balanceAfter: Math.max(0, payment.amountDue - paidToDate),
+        recordedBy: req.user?.id
+      });
+      const entry = payment.paymentHistory[payment.paymentHistory.length - 1];
+
+      // Update total paid amount
+      payment.amountPaid = paidToDate;
+      payment.paymentMethod = paymentMethod;
+      payment.transactionId = transactionId;
+
+      // Set payment date if fully paid
+      if (payment.amountPaid >= payment.amountDue) {
+        payment.paymentDate = new Date();
+      }
+
+      await payment.save({ session });
+
+      let walletTransaction = null;
+      if (creditedToWallet > 0) {
+        walletTransaction = await creditWallet(payment.customer._id, creditedToWallet, {
+          source: 'overpayment',
+          paymentId: payment._id,
+          notes: `Overpayment on receipt ${receiptNumber}`,
+          createdBy: req.user?.name,
+          session
+        });
+      }
+
+      return { payment, entry, receiptNumber, creditedToWallet, walletTransaction };
+    });
+
+    if (!recorded) {
       return res.status(404).json({ 
         success: false, 
         message: 'Payment record not found' 
       });
     }
 
-    // Add to payment history
-    payment.paymentHistory.push({
-      amount,
-      paymentMethod,
-      transactionId,
-      notes,
-      recordedBy: req.user.id
+    const { payment, entry, receiptNumber, creditedToWallet, walletTransaction } = recorded;
+
+    res.status(200).json({
+      success: true,
+      message: creditedToWallet > 0
+        ? `Payment recorded successfully. ${creditedToWallet} AED credited to wallet`
+        : 'Payment recorded successfully',
+      data: {
+        payment,
+        receipt: {
+          entryId: entry._id,
+          receiptNumber
+        },
+        walletTransaction
+      }
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error recording payment' 
     });
+  }
+};
+
+// @desc    Refund money collected on a payment (optionally reversing one history entry)
+// @route   POST /api/payments/:id/refund
+// @access  Private (payments:refund)
+const refundPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, entryId, transactionId } = req.body;
+    const refundMethod = req.body.refundMethod || req.body.method;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid payment ID format' 
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refund reason is required' 
+      });
+    }
+
+    const refundMethods = Payment.schema.path('paymentMethod').enumValues;
+    if (!refundMethods.includes(refundMethod)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Refund method must be one of: ${refundMethods.join(', ')}` 
+      });
+    }
+
+    if (entryId && !entryId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid entry ID format' 
+      });
+    }
+
+    const payment = await Payment.findById(id).populate('customer', 'name phone');
+
+    if (!payment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
 
-    // Update total paid amount
-    payment.amountPaid += amount;
-    payment.paymentMethod = paymentMethod;
-    payment.transactionId = transactionId;
+    const refundable = getRefundableAmount(payment, entryId);
+
+    if (refundable === null) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment entry not found' 
+      });
+    }
+
+    // Reversing an entry without an amount refunds whatever is left of it
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : (entryId ? refundable : NaN);
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refund amount must be greater than zero' 
+      });
+    }
 
-    // Set payment date if fully paid
-    if (payment.amountPaid >= payment.amountDue) {
-      payment.paymentDate = new Date();
+    if (amount > refundable) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Refund amount exceeds the refundable amount of ${refundable} AED` 
+      });
     }
 
-    await payment.save();
+    // The refund entry and any wallet credit are written together, on a fresh copy of the payment
+    const refunded = await runInTransaction(async (session) => {
+      const current = await Payment.findById(id).populate('customer', 'name phone').session(session);
+
+      // Another refund got in first
+      if (!current || amount > getRefundableAmount(current, entryId)) {
+        return null;
+      }
+
+      const refund = await applyRefund(current, {
+        amount,
+        refundMethod,
+        reason: reason.trim(),
+        entryId,
+        transactionId,
+        recordedBy: req.user?.id,
+        createdBy: req.user?.name,
+        session
+      });
+
+      return { payment: current, refund };
+    });
+
+    if (!refunded) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Payment changed while the refund was being recorded. Please try again' 
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Payment recorded successfully',
-      data: { payment }
+      message: `Refund of ${refunded.refund.amount} AED recorded successfully`,
+      data: {
+        payment: refunded.payment,
+        refund: refunded.refund
+      }
     });
 
   } catch (error) {
-    console.error('Record payment error:', error);
+    console.error('Refund payment error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error recording payment' 
+      message: 'Server error recording refund' 
+    });
+  }
+};
+
+// @desc    Get invoice for a payment (issues the invoice number on first request)
+// @route   GET /api/payments/:id/invoice?format=pdf|html
+// @access  Private (payments:view)
+const getPaymentInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid payment ID format' 
+      });
+    }
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Format must be pdf or html' 
+      });
+    }
+
+    const payment = await issueInvoiceNumber(id);
+
+    if (!payment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
+
+    await payment.populate('customer', 'name phone fullPhoneNumber email emirates deliveryAddress');
+    const invoice = buildInvoiceData(payment);
+
+    if (format === 'html') {
+      return res.type('html').send(renderHtml(invoice));
+    }
+
+    const pdf = await renderPdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${payment.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Get payment invoice error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error generating invoice' 
+    });
+  }
+};
+
+// @desc    Get receipt for a single payment history entry
+// @route   GET /api/payments/:id/receipts/:entryId?format=pdf|html
+// @access  Private (payments:view)
+const getPaymentReceipt = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !entryId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid payment or entry ID format' 
+      });
+    }
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Format must be pdf or html' 
+      });
+    }
+
+    const payment = await Payment.findById(id)
+      .populate('customer', 'name phone fullPhoneNumber email emirates deliveryAddress');
+
+    if (!payment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
+
+    const entry = payment.paymentHistory.id(entryId);
+
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment entry not found' 
+      });
+    }
+
+    await ensureReceiptNumber(payment, entry);
+    const receipt = buildReceiptData(payment, entry);
+
+    if (format === 'html') {
+      return res.type('html').send(renderHtml(receipt));
+    }
+
+    const pdf = await renderPdf(receipt);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${entry.receiptNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Get payment receipt error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error generating receipt' 
     });
   }
 };
 
 // @desc    Get payment statistics
 // @route   GET /api/payments/dashboard/stats
-// @access  Private (Admin)
+// @access  Private (reports:view)
 const getPaymentStats = async (req, res) => {
   try {
     const currentMonth = new Date().getMonth() + 1;
@@ -445,7 +788,7 @@ const getPaymentStats = async (req, res) => {
 
 // @desc    Generate monthly report
 // @route   GET /api/payments/reports/monthly
-// @access  Private (Admin)
+// @access  Private (reports:view)
 const getMonthlyReport = async (req, res) => {
   try {
     const { month, year } = req.query;
@@ -464,10 +807,11 @@ const getMonthlyReport = async (req, res) => {
     .populate('customer', 'name phone deliveryAddress')
     .sort({ 'customer.name': 1 });
 
-    // Calculate totals
+    // Calculate totals (totalPaid is net of refunds, which are reported as negative collections)
     const totalCustomers = payments.length;
     const totalDue = payments.reduce((sum, payment) => sum + payment.amountDue, 0);
     const totalPaid = payments.reduce((sum, payment) => sum + payment.amountPaid, 0);
+    const totalRefunded = payments.reduce((sum, payment) => sum + (payment.amountRefunded || 0), 0);
     const totalPending = totalDue - totalPaid;
 
     // Status breakdown
@@ -484,6 +828,8 @@ const getMonthlyReport = async (req, res) => {
           year: parseInt(year),
           totalCustomers,
           totalDue,
+          grossCollected: totalPaid + totalRefunded,
+          refunds: -totalRefunded,
           totalPaid,
           totalPending,
           collectionPercentage: totalDue > 0 ? ((totalPaid / totalDue) * 100).toFixed(2) : 0,
@@ -504,7 +850,7 @@ const getMonthlyReport = async (req, res) => {
 
 // @desc    Generate yearly report
 // @route   GET /api/payments/reports/yearly
-// @access  Private (Admin)
+// @access  Private (reports:view)
 const getYearlyReport = async (req, res) => {
   try {
     const { year } = req.query;
@@ -523,10 +869,12 @@ const getYearlyReport = async (req, res) => {
           _id: '$month',
           totalDue: { $sum: '$amountDue' },
           totalPaid: { $sum: '$amountPaid' },
+          totalRefunded: { $sum: { $ifNull: ['$amountRefunded', 0] } },
           customerCount: { $sum: 1 },
           paidCount: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, 1, 0] } },
           pendingCount: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'pending'] }, 1, 0] } },
-          overdueCount: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'overdue'] }, 1, 0] } }
+          overdueCount: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'overdue'] }, 1, 0] } },
+          refundedCount: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'refunded'] }, 1, 0] } }
         }
       },
       { $sort: { _id: 1 } }
@@ -534,6 +882,7 @@ const getYearlyReport = async (req, res) => {
 
     const totalYearlyDue = yearlyData.reduce((sum, month) => sum + month.totalDue, 0);
     const totalYearlyPaid = yearlyData.reduce((sum, month) => sum + month.totalPaid, 0);
+    const totalYearlyRefunded = yearlyData.reduce((sum, month) => sum + month.totalRefunded, 0);
 
     res.status(200).json({
       success: true,
@@ -541,6 +890,8 @@ const getYearlyReport = async (req, res) => {
         year: parseInt(year),
         summary: {
           totalDue: totalYearlyDue,
+          grossCollected: totalYearlyPaid + totalYearlyRefunded,
+          refunds: -totalYearlyRefunded,
           totalPaid: totalYearlyPaid,
           totalPending: totalYearlyDue - totalYearlyPaid,
           collectionPercentage: totalYearlyDue > 0 ? ((totalYearlyPaid / totalYearlyDue) * 100).toFixed(2) : 0
@@ -549,13 +900,16 @@ const getYearlyReport = async (req, res) => {
           month: month._id,
           monthName: new Date(2024, month._id - 1).toLocaleString('default', { month: 'long' }),
           totalDue: month.totalDue,
+          grossCollected: month.totalPaid + month.totalRefunded,
+          refunds: -month.totalRefunded,
           totalPaid: month.totalPaid,
           customerCount: month.customerCount,
           collectionPercentage: month.totalDue > 0 ? ((month.totalPaid / month.totalDue) * 100).toFixed(2) : 0,
           statusBreakdown: {
             paid: month.paidCount,
             pending: month.pendingCount,
-            overdue: month.overdueCount
+            overdue: month.overdueCount,
+            refunded: month.refundedCount
           }
         }))
       }
@@ -577,6 +931,9 @@ module.exports = {
   updatePayment,
   deletePayment,
   recordPayment,
+  refundPayment,
+  getPaymentInvoice,
+  getPaymentReceipt,
   getPaymentStats,
   getMonthlyReport,
   getYearlyReport
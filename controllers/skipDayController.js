@@ -0,0 +1,245 @@
+const SkipDay = require('../models/SkipDay');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const {
+  MEAL_TYPES,
+  getDayBounds,
+  getEnabledMealTypes,
+  calculateSkipCredit
+} = require('../utils/skipDayUtils');
+const { getClosureChecker } = require('../utils/closureUtils');
+
+// @desc    Get skip days for a subscription
+// @route   GET /api/subscriptions/:id/skips
+// @access  Private
+const getSubscriptionSkips = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid subscription ID format' 
+      });
+    }
+
+    const skips = await SkipDay.find({ subscriptionId: id })
+      .sort({ date: 1, mealType: 1 });
+
+    // Skips of a subscription in the trash carry no credit forward
+    const isDeleted = !(await CustomerSubscription.exists({ _id: id }));
+
+    const totalCredit = skips.reduce((sum, skip) => sum + skip.creditAmount, 0);
+    const pendingCredit = isDeleted ? 0 : skips
+      .filter(skip => !skip.creditAppliedTo)
+      .reduce((sum, skip) => sum + skip.creditAmount, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        skips,
+        count: skips.length,
+        totalCredit: Math.round(totalCredit * 100) / 100,
+        pendingCredit: Math.round(pendingCredit * 100) / 100
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscription skips error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching skip days' 
+    });
+  }
+};
+
+// @desc    Skip one or more meals on a day
+// @route   POST /api/subscriptions/:id/skips
+// @access  Private
+const addSkipDays = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, mealType, mealTypes, reason, applyCredit = true } = req.body || {};
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid subscription ID format' 
+      });
+    }
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required (YYYY-MM-DD format)'
+      });
+    }
+
+    const { start: skipDate, end: nextDay } = getDayBounds(date);
+    if (isNaN(skipDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    const requestedMeals = [...new Set((mealTypes || (mealType ? [mealType] : MEAL_TYPES))
+      .map(type => String(type).toLowerCase()))];
+    const invalidMeals = requestedMeals.filter(type => !MEAL_TYPES.includes(type));
+    if (invalidMeals.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid meal type(s): ${invalidMeals.join(', ')}. Valid options: ${MEAL_TYPES.join(', ')}`
+      });
+    }
+
+    const subscription = await CustomerSubscription.findById(id)
+      .populate('customerId', 'emirates')
+      .populate('mealPlanId', 'planName meals');
+
+    if (!subscription) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Subscription not found' 
+      });
+    }
+
+    if (!['active', 'paused'].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot skip days on a ${subscription.status} subscription`
+      });
+    }
+
+    const subscriptionStart = getDayBounds(subscription.startDate).start;
+    const subscriptionEnd = getDayBounds(subscription.endDate).start;
+    if (skipDate < subscriptionStart || skipDate > subscriptionEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Skip date must fall within the subscription period'
+      });
+    }
+
+    if (subscription.isPausedOnDate(skipDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is paused on this date'
+      });
+    }
+
+    // Meals the kitchen is closed for are already excluded from billing
+    const isKitchenClosed = await getClosureChecker(skipDate);
+    const enabledMeals = getEnabledMealTypes(subscription, subscription.mealPlanId);
+    const kitchenClosed = enabledMeals.filter(type => isKitchenClosed(subscription.customerId?.emirates, type));
+    const mealsToSkip = requestedMeals.filter(type => enabledMeals.includes(type) && !kitchenClosed.includes(type));
+    if (mealsToSkip.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `None of the requested meals can be skipped (enabled: ${enabledMeals.join(', ') || 'none'}${kitchenClosed.length ? `, kitchen closed: ${kitchenClosed.join(', ')}` : ''})`
+      });
+    }
+
+    const existingSkips = await SkipDay.find({
+      subscriptionId: subscription._id,
+      date: { $gte: skipDate, $lt: nextDay },
+      mealType: { $in: mealsToSkip }
+    });
+    const alreadySkipped = existingSkips.map(skip => skip.mealType);
+
+    const creditPerMeal = applyCredit ? calculateSkipCredit(subscription, subscription.mealPlanId, skipDate) : 0;
+    const newSkips = mealsToSkip
+      .filter(type => !alreadySkipped.includes(type))
+      .map(type => ({
+        subscriptionId: subscription._id,
+        customerId: subscription.customerId._id,
+        date: skipDate,
+        mealType: type,
+        reason,
+        creditAmount: creditPerMeal,
+        createdBy: req.user?.name || (req.customer && `${req.customer.name} (customer portal)`) || 'Admin'
+      }));
+
+    const created = newSkips.length > 0 ? await SkipDay.insertMany(newSkips) : [];
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} meal(s) skipped for ${skipDate.toDateString()}`,
+      data: {
+        skips: created,
+        alreadySkipped,
+        notInPlan: requestedMeals.filter(type => !enabledMeals.includes(type)),
+        kitchenClosed: requestedMeals.filter(type => kitchenClosed.includes(type)),
+        totalCredit: Math.round(creditPerMeal * created.length * 100) / 100
+      }
+    });
+
+  } catch (error) {
+    console.error('Add skip days error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Meal is already skipped for this day' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error adding skip days' 
+    });
+  }
+};
+
+// @desc    Remove a skipped meal
+// @route   DELETE /api/subscriptions/:id/skips/:skipId
+// @access  Private
+const removeSkipDay = async (req, res) => {
+  try {
+    const { id, skipId } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !skipId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid ID format' 
+      });
+    }
+
+    const skip = await SkipDay.findOne({ _id: skipId, subscriptionId: id });
+
+    if (!skip) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Skip day not found' 
+      });
+    }
+
+    if (skip.creditAppliedTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove skip: its credit has already been applied to a later bill'
+      });
+    }
+
+    await SkipDay.findByIdAndDelete(skipId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Skip day removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove skip day error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error removing skip day' 
+    });
+  }
+};
+
+module.exports = {
+  getSubscriptionSkips,
+  addSkipDays,
+  removeSkipDay
+};
@@ -1,8 +1,125 @@
+const mongoose = require('mongoose');
 const CustomerSubscription = require('../models/CustomerSubscription');
 const MealPlan = require('../models/MealPlan');
 const Customer = require('../models/Customer');
 const Payment = require('../models/Payment');
-const { calculateProratedAmount } = require('../utils/proratedAmountUtils');
+const SkipDay = require('../models/SkipDay');
+const DailyMealTracking = require('../models/DailyMealTracking');
+const AutoExtensionBatch = require('../models/AutoExtensionBatch');
+const { calculateProratedAmount, calculateDaysBetween } = require('../utils/proratedAmountUtils');
+const { claimSkipCredits, getEnabledMealTypes, getDayBounds } = require('../utils/skipDayUtils');
+const {
+  MEAL_TYPES,
+  DEFAULT_DELIVERY_TIME,
+  normaliseMealSetting,
+  validateMealSetting,
+  resolveMeal,
+  resolveMeals
+} = require('../utils/mealResolver');
+const { countClosedDays } = require('../utils/closureUtils');
+const {
+  runAutoExtension,
+  generateMissingPayments,
+  settleCancellation,
+  changeSubscriptionPlan: changePlan
+} = require('../services/billingService');
+const { creditWallet, applyWalletToPayment } = require('../services/walletService');
+const { softDeleteRecord } = require('../services/trashService');
+const { buildDeliveryPlan } = require('../services/deliveryPlanService');
+const {
+  loadDeliverySlots,
+  getActiveSlots,
+  validateDeliveryTime,
+  getChangeWindow,
+  isPastCutoff
+} = require('../services/deliverySlotService');
+const { planRoutes, distanceKm } = require('../utils/routeOptimizer');
+const { runInTransaction } = require('../utils/transactionUtils');
+const { pickFields } = require('../utils/requestUtils');
+
+// Fields a subscription edit may set; trash state and the renewal links are server-managed
+const EDITABLE_SUBSCRIPTION_FIELDS = [
+  'customerId',
+  'mealPlanId',
+  'subscriptionPeriod',
+  'pricing',
+  'customMeals',
+  'startDate',
+  'endDate',
+  'notes',
+  'paymentStatus'
+];
+
+// Changed only through the pause, resume and cancel endpoints
+const LIFECYCLE_FIELDS = ['status', 'pauseHistory', 'cancellation'];
+
+// Normalise a date (or date string) to local midnight
+const toStartOfDay = (date) => {
+  const day = date ? new Date(date) : new Date();
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Find the payment record generated for a subscription
+const findSubscriptionPayment = (subscription) => Payment.findOne({ subscriptionId: subscription._id });
+
+// Check custom meal settings sent for a subscription; newly chosen delivery times must be active slots
+const findInvalidCustomMeal = async (customMeals, currentMeals = {}) => {
+  for (const mealType of MEAL_TYPES) {
+    const value = customMeals?.[mealType];
+    const error = validateMealSetting(mealType, value);
+    if (error) {
+      return error;
+    }
+
+    const { deliveryTime } = normaliseMealSetting(value);
+    if (deliveryTime && deliveryTime !== normaliseMealSetting(currentMeals?.[mealType]).deliveryTime) {
+      const slotError = await validateDeliveryTime(mealType, deliveryTime);
+      if (slotError) {
+        return slotError;
+      }
+    }
+  }
+  return null;
+};
+
+// Check moving one meal's delivery from before to after (both as returned by resolveMeal)
+const findSlotChangeError = async (mealType, { before, after, chosenDeliveryTime }, deliverySlots) => {
+  // A newly chosen slot must still be offered
+  if (chosenDeliveryTime) {
+    const slotError = await validateDeliveryTime(mealType, chosenDeliveryTime);
+    if (slotError) {
+      return slotError;
+    }
+  }
+
+  const slots = deliverySlots[mealType];
+
+  // Today's drop cannot change between a slot's cut-off and the end of the slot
+  const closedSlot = [before, after]
+    .filter(meal => meal.enabled)
+    .map(meal => slots[meal.deliveryTime])
+    .find(slot => slot && isPastCutoff(slot));
+  if (closedSlot) {
+    const { cutoffAt } = getChangeWindow(closedSlot);
+    return `Changes to today's ${mealType} delivery closed at ${cutoffAt.toTimeString().slice(0, 5)}; try again after ${closedSlot.endTime}`;
+  }
+
+  // Moving into a slot with a capacity needs room in today's deliveries
+  const slot = slots[after.deliveryTime];
+  if (after.enabled && (!before.enabled || after.deliveryTime !== before.deliveryTime) && slot?.capacity) {
+    const booked = await buildDeliveryPlan({
+      date: getDayBounds(new Date()).start,
+      mealType,
+      deliveryTime: after.deliveryTime
+    });
+    if (booked.length >= slot.capacity) {
+      return `The '${after.deliveryTime}' ${mealType} slot is full (${slot.capacity} deliveries)`;
+    }
+  }
+
+  return null;
+};
 
 // @desc    Get all subscriptions with pagination
 // @route   GET /api/subscriptions
@@ -201,6 +318,14 @@ const createSubscription = async (req, res) => {
       createdBy
     } = req.body;
 
+    const customMealError = await findInvalidCustomMeal(customMeals);
+    if (customMealError) {
+      return res.status(400).json({
+        success: false,
+        message: customMealError
+      });
+    }
+
     // Verify customer exists
     const customer = await Customer.findById(customerId);
     if (!customer) {
@@ -241,49 +366,63 @@ const createSubscription = async (req, res) => {
       pricing.basePricePerMonth = mealPlan.pricing.basePrice;
     }
 
-    // Calculate prorated final price based on subscription dates
-    const proratedInfo = calculateProratedAmount(
-      pricing.basePricePerMonth,
+    // Kitchen closure days are not billed
+    const closedDays = await countClosedDays(
       startDate,
       endDate,
-      pricing.discount
+      customer.emirates,
+      getEnabledMealTypes({ customMeals: customMeals || {} }, mealPlan)
     );
-    
-    // Store both the base price and prorated final price
-    pricing.finalPrice = proratedInfo.finalAmount;
-    pricing.proratedAmount = proratedInfo.proratedAmount;
-    pricing.subscriptionDays = proratedInfo.subscriptionDays;
-    pricing.monthDays = proratedInfo.monthDays;
-    pricing.proratedRatio = proratedInfo.proratedRatio;
-
-    const subscription = await CustomerSubscription.create({
-      customerId,
-      mealPlanId,
-      subscriptionPeriod,
-      pricing,
-      customMeals: customMeals || {},
+
+    // Calculate prorated final price based on subscription dates, less any skip credit
+    const priceWithCredit = (credit) => calculateProratedAmount(
+      pricing.basePricePerMonth,
       startDate,
       endDate,
-      notes,
-      createdBy: createdBy || req.user?.name || 'Admin'
-    });
-
-    // Populate the created subscription
-    await subscription.populate('customerId', 'name phone email');
-    await subscription.populate('mealPlanId', 'planName planCode meals');
-
-    // Create corresponding payment record based on actual subscription period
-    try {
+      pricing.discount,
+      { closedDays, credit }
+    );
+    const beforeCreditInfo = priceWithCredit(0);
+
+    // The subscription, its skip credits, its payment record and any wallet draw commit together
+    const subscription = await runInTransaction(async (session) => {
+      // Carry forward credits from meals skipped on earlier subscriptions, priced with what was claimed
+      const subscriptionId = new mongoose.Types.ObjectId();
+      const skipCredits = await claimSkipCredits(customerId, subscriptionId, beforeCreditInfo.finalAmount, { session });
+      const proratedInfo = priceWithCredit(skipCredits.total);
+
+      // Store both the base price and prorated final price
+      pricing.finalPrice = proratedInfo.finalAmount;
+      pricing.creditApplied = proratedInfo.creditApplied;
+      pricing.closedDays = proratedInfo.closedDays;
+      pricing.proratedAmount = proratedInfo.proratedAmount;
+      pricing.subscriptionDays = proratedInfo.subscriptionDays;
+      pricing.monthDays = proratedInfo.monthDays;
+      pricing.proratedRatio = proratedInfo.proratedRatio;
+
+      const [subscription] = await CustomerSubscription.create([{
+        _id: subscriptionId,
+        customerId,
+        mealPlanId,
+        subscriptionPeriod,
+        pricing,
+        customMeals: customMeals || {},
+        startDate,
+        endDate,
+        notes,
+        createdBy: createdBy || req.user?.name || 'Admin'
+      }], { session });
+
+      // Create corresponding payment record based on actual subscription period
       const dueDate = new Date(subscription.endDate);
       dueDate.setDate(dueDate.getDate() + 5); // Due 5 days after subscription ends
       
-      // Calculate subscription duration for payment details
-      const startDate = new Date(subscription.startDate);
-      const endDate = new Date(subscription.endDate);
-      const subscriptionDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
+      const periodStart = new Date(subscription.startDate);
+      const periodEnd = new Date(subscription.endDate);
       
       const paymentData = {
         customer: customerId,
+        subscriptionId: subscription._id,
         month: subscriptionPeriod.month,
         year: subscriptionPeriod.year,
         planDetails: {
@@ -292,29 +431,37 @@ const createSubscription = async (req, res) => {
           proratedAmount: pricing.proratedAmount, // Store prorated amount before discount
           finalAmount: pricing.finalPrice, // Store final prorated discounted amount
           discountApplied: pricing.discount || { type: 'percentage', value: 0 },
-          subscriptionPeriod: `${startDate.toDateString()} - ${endDate.toDateString()}`,
+          subscriptionPeriod: `${periodStart.toDateString()} - ${periodEnd.toDateString()}`,
           subscriptionDays: pricing.subscriptionDays,
           monthDays: pricing.monthDays,
-          proratedRatio: pricing.proratedRatio
+          proratedRatio: pricing.proratedRatio,
+          creditApplied: pricing.creditApplied,
+          closedDays: pricing.closedDays
         },
         amountDue: pricing.finalPrice, // Use prorated final price
         dueDate,
         paymentDate: subscription.startDate, // Set payment date to subscription start
-        notes: `Payment for ${mealPlan.planName} subscription (${pricing.subscriptionDays} days out of ${pricing.monthDays}, ${Math.round(pricing.proratedRatio * 100)}%, ${startDate.toDateString()} to ${endDate.toDateString()})${pricing.discount?.value > 0 ? ` - ${pricing.discount.type === 'percentage' ? pricing.discount.value + '%' : pricing.discount.value + ' AED'} discount applied` : ''}`
+        notes: `Payment for ${mealPlan.planName} subscription (${pricing.subscriptionDays} days out of ${pricing.monthDays}, ${Math.round(pricing.proratedRatio * 100)}%, ${periodStart.toDateString()} to ${periodEnd.toDateString()})${pricing.discount?.value > 0 ? ` - ${pricing.discount.type === 'percentage' ? pricing.discount.value + '%' : pricing.discount.value + ' AED'} discount applied` : ''}${pricing.creditApplied > 0 ? ` - ${pricing.creditApplied} AED skipped-meal credit applied` : ''}`
       };
       
-      // Only set recordedBy if we have a valid ObjectId
-      if (createdBy || req.user?.id) {
-        paymentData.recordedBy = createdBy || req.user.id;
+      // recordedBy is the staff user's ObjectId; the createdBy name stays on the subscription
+      if (req.user?.id) {
+        paymentData.recordedBy = req.user.id;
       }
       
-      await Payment.create(paymentData);
-      
-      console.log(`✅ Payment record created for subscription ${subscription._id}`);
-    } catch (paymentError) {
-      console.error('Error creating payment record:', paymentError);
-      // Don't fail the subscription creation if payment creation fails
-    }
+      const [payment] = await Payment.create([paymentData], { session });
+
+      // Draw from any advance balance the customer has
+      await applyWalletToPayment(payment, { createdBy: req.user?.name, recordedBy: req.user?.id, session });
+
+      return subscription;
+    });
+
+    console.log(`✅ Subscription ${subscription._id} created with its payment record`);
+
+    // Populate the created subscription
+    await subscription.populate('customerId', 'name phone email');
+    await subscription.populate('mealPlanId', 'planName planCode meals');
 
     res.status(201).json({
       success: true,
@@ -332,6 +479,13 @@ const createSubscription = async (req, res) => {
       });
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Subscription was not created: ' + Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
     res.status(500).json({ 
       success: false, 
       message: 'Server error creating subscription',
@@ -355,6 +509,14 @@ const updateSubscription = async (req, res) => {
       });
     }
 
+    const lifecycleFields = LIFECYCLE_FIELDS.filter(field => Object.prototype.hasOwnProperty.call(req.body || {}, field));
+    if (lifecycleFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${lifecycleFields.join(', ')} cannot be edited here; use the pause, resume and cancel endpoints`
+      });
+    }
+
     // Get the subscription to check for payments
     const existingSubscription = await CustomerSubscription.findById(id);
     
@@ -365,29 +527,8 @@ const updateSubscription = async (req, res) => {
       });
     }
 
-    // Check for any payments for this customer/subscription
-    const Payment = require('../models/Payment');
-    
-    // Get subscription period to check for payments
-    const subscriptionStartDate = new Date(existingSubscription.startDate);
-    const subscriptionEndDate = new Date(existingSubscription.endDate);
-    
-    // Check for payments in the subscription period
-    const payments = await Payment.find({
-      customer: existingSubscription.customerId,
-      $or: [
-        {
-          year: { 
-            $gte: subscriptionStartDate.getFullYear(),
-            $lte: subscriptionEndDate.getFullYear()
-          },
-          month: {
-            $gte: subscriptionStartDate.getMonth() + 1,
-            $lte: subscriptionEndDate.getMonth() + 1
-          }
-        }
-      ]
-    });
+    // Check for payments billed against this subscription
+    const payments = await Payment.find({ subscriptionId: existingSubscription._id });
 
     if (payments.length > 0) {
       return res.status(400).json({
@@ -397,10 +538,48 @@ const updateSubscription = async (req, res) => {
     }
     
     const updateData = {
-      ...req.body,
+      ...pickFields(req.body, EDITABLE_SUBSCRIPTION_FIELDS),
       updatedBy: req.body.updatedBy || req.user?.name || 'Admin'
     };
 
+    // Meal changes get the same slot, address, cut-off and capacity checks as delivery preferences
+    if (updateData.customMeals !== undefined) {
+      const [currentPlan, nextPlan, deliverySlots] = await Promise.all([
+        MealPlan.findById(existingSubscription.mealPlanId),
+        MealPlan.findById(updateData.mealPlanId || existingSubscription.mealPlanId),
+        loadDeliverySlots()
+      ]);
+
+      for (const mealType of MEAL_TYPES) {
+        const value = updateData.customMeals?.[mealType];
+        const error = validateMealSetting(mealType, value, deliverySlots);
+        if (error) {
+          return res.status(400).json({ success: false, message: error });
+        }
+
+        const current = normaliseMealSetting(existingSubscription.customMeals?.[mealType]);
+        const next = normaliseMealSetting(value);
+        const before = resolveMeal(existingSubscription, currentPlan, mealType, deliverySlots);
+        const after = resolveMeal({ customMeals: { [mealType]: value } }, nextPlan, mealType, deliverySlots);
+
+        const changed = JSON.stringify(current) !== JSON.stringify(next) ||
+          before.enabled !== after.enabled ||
+          before.deliveryTime !== after.deliveryTime;
+        if (!changed) {
+          continue;
+        }
+
+        const slotError = await findSlotChangeError(mealType, {
+          before,
+          after,
+          chosenDeliveryTime: next.deliveryTime !== current.deliveryTime ? next.deliveryTime : null
+        }, deliverySlots);
+        if (slotError) {
+          return res.status(400).json({ success: false, message: slotError });
+        }
+      }
+    }
+
     const subscription = await CustomerSubscription.findByIdAndUpdate(
       id, 
       updateData, 
@@ -434,12 +613,13 @@ const updateSubscription = async (req, res) => {
   }
 };
 
-// @desc    Cancel subscription
-// @route   DELETE /api/subscriptions/:id
+// @desc    Cancel subscription from an effective date (shortens endDate, re-prorates the payment, refunds with refundMethod)
+// @route   PUT /api/subscriptions/:id/cancel
 // @access  Private
 const cancelSubscription = async (req, res) => {
   try {
     const { id } = req.params;
+    const { effectiveDate, reasonCode, reasonNote, refundMethod, refundReason } = req.body || {};
     
     // Validate ObjectId format
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -458,13 +638,76 @@ const cancelSubscription = async (req, res) => {
       });
     }
 
-    subscription.status = 'cancelled';
-    subscription.updatedBy = req.body.updatedBy || req.user?.name || 'Admin';
-    await subscription.save();
+    if (['cancelled', 'completed'].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Subscription is already ${subscription.status}`
+      });
+    }
+
+    const reasonCodes = CustomerSubscription.schema.path('cancellation.reasonCode').enumValues;
+    if (reasonCode && !reasonCodes.includes(reasonCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason code must be one of: ${reasonCodes.join(', ')}`
+      });
+    }
+
+    if (refundMethod) {
+      const refundMethods = Payment.schema.path('paymentMethod').enumValues;
+      if (!refundMethods.includes(refundMethod)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Refund method must be one of: ${refundMethods.join(', ')}` 
+        });
+      }
+    }
+
+    // Defaults to today
+    const cancelFrom = toStartOfDay(effectiveDate);
+    if (isNaN(cancelFrom.getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid effective date format. Use YYYY-MM-DD' 
+      });
+    }
+
+    if (cancelFrom > toStartOfDay(subscription.endDate)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Effective date is after the subscription ends' 
+      });
+    }
+
+    const cancelledBy = req.body?.updatedBy || req.user?.name || 'Admin';
+    const { subscription: cancelled, settlement } = await settleCancellation(subscription._id, {
+      effectiveDate: cancelFrom,
+      reasonCode,
+      reasonNote,
+      refundMethod,
+      refundReason,
+      cancelledBy,
+      recordedBy: req.user?.id
+    });
+
+    let message = 'Subscription cancelled successfully';
+    if (settlement.refunded > 0) {
+      message += `. ${settlement.refunded} AED refunded`;
+    } else if (settlement.walletCredit > 0) {
+      message += `. ${settlement.walletCredit} AED credited to the customer's wallet`;
+    } else if (settlement.creditOwed > 0) {
+      message += `. ${settlement.creditOwed} AED is owed to the customer`;
+    } else if (settlement.balanceDue > 0) {
+      message += `. ${settlement.balanceDue} AED is still due for the days used`;
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Subscription cancelled successfully'
+      message,
+      data: {
+        subscription: cancelled,
+        settlement
+      }
     });
 
   } catch (error) {
@@ -476,334 +719,861 @@ const cancelSubscription = async (req, res) => {
   }
 };
 
-// @desc    Get subscription pricing calculation
-// @route   POST /api/subscriptions/calculate-pricing
+// @desc    Churn report - cancellations by reason code over a date range (defaults to the current month)
+// @route   GET /api/subscriptions/reports/churn
+// @access  Private (reports:view)
+const getChurnReport = async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.startDate
+      ? toStartOfDay(req.query.startDate)
+      : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.endDate
+      ? toStartOfDay(req.query.endDate)
+      : new Date(now.getFullYear(), now.getMonth() + 1, 0);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use YYYY-MM-DD with startDate on or before endDate'
+      });
+    }
+
+    const rangeEnd = new Date(to);
+    rangeEnd.setHours(23, 59, 59, 999);
+
+    const byReason = await CustomerSubscription.aggregate([
+      {
+        $match: {
+          status: 'cancelled',
+          'cancellation.effectiveDate': { $gte: from, $lte: rangeEnd }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$cancellation.reasonCode', 'unspecified'] },
+          count: { $sum: 1 },
+          customers: { $addToSet: '$customerId' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          reasonCode: '$_id',
+          count: 1,
+          customers: { $size: '$customers' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    const cancelledCount = byReason.reduce((sum, reason) => sum + reason.count, 0);
+
+    // Subscriptions running on the first day of the range, for the churn rate
+    const activeAtStart = await CustomerSubscription.countDocuments({
+      startDate: { $lte: from },
+      endDate: { $gte: from }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startDate: from,
+        endDate: to,
+        cancelledCount,
+        activeAtStart,
+        churnRate: activeAtStart > 0 ? Math.round((cancelledCount / activeAtStart) * 10000) / 100 : 0,
+        byReason
+      }
+    });
+
+  } catch (error) {
+    console.error('Get churn report error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error generating churn report' 
+    });
+  }
+};
+
+// @desc    Pause subscription
+// @route   POST /api/subscriptions/:id/pause
 // @access  Private
-const calculateSubscriptionPricing = async (req, res) => {
+const pauseSubscription = async (req, res) => {
   try {
-    const { mealPlanId, discount } = req.body;
+    const { id } = req.params;
+    const { pauseDate, reason } = req.body || {};
 
-    const mealPlan = await MealPlan.findById(mealPlanId);
-    if (!mealPlan) {
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid subscription ID format' 
+      });
+    }
+
+    const subscription = await CustomerSubscription.findById(id);
+
+    if (!subscription) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Meal plan not found' 
+        message: 'Subscription not found' 
       });
     }
 
-    let finalPrice = mealPlan.pricing.basePrice;
-    let discountAmount = 0;
+    if (subscription.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Only active subscriptions can be paused (current status: ${subscription.status})`
+      });
+    }
 
-    if (discount && discount.value > 0) {
-      if (discount.type === 'percentage') {
-        discountAmount = (finalPrice * discount.value) / 100;
-        finalPrice = finalPrice - discountAmount;
-      } else if (discount.type === 'fixed') {
-        discountAmount = discount.value;
-        finalPrice = Math.max(0, finalPrice - discountAmount);
-      }
+    const pauseStart = toStartOfDay(pauseDate);
+    if (isNaN(pauseStart.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pause date format. Use YYYY-MM-DD'
+      });
     }
 
-    const pricingCalculation = {
-      mealPlan: {
-        id: mealPlan._id,
-        name: mealPlan.planName,
-        code: mealPlan.planCode
-      },
-      basePrice: mealPlan.pricing.basePrice,
-      discount: discount || { type: 'percentage', value: 0 },
-      discountAmount: discountAmount,
-      finalPrice: finalPrice,
-      currency: mealPlan.pricing.currency
-    };
+    if (pauseStart < toStartOfDay(subscription.startDate) || pauseStart > toStartOfDay(subscription.endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pause date must fall within the subscription period'
+      });
+    }
+
+    subscription.pauseHistory.push({
+      startDate: pauseStart,
+      reason,
+      pausedBy: req.user?.name || 'Admin'
+    });
+    subscription.status = 'paused';
+    subscription.updatedBy = req.user?.name || 'Admin';
+    await subscription.save();
 
     res.status(200).json({
       success: true,
-      data: { pricing: pricingCalculation }
+      message: 'Subscription paused successfully',
+      data: { subscription }
     });
 
   } catch (error) {
-    console.error('Calculate pricing error:', error);
+    console.error('Pause subscription error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error calculating pricing' 
+      message: 'Server error pausing subscription' 
     });
   }
 };
 
-// @desc    Get subscription statistics
-// @route   GET /api/subscriptions/stats
+// @desc    Resume paused subscription
+// @route   POST /api/subscriptions/:id/resume
 // @access  Private
-const getSubscriptionStats = async (req, res) => {
+const resumeSubscription = async (req, res) => {
   try {
-    const currentDate = new Date();
-    const currentMonth = currentDate.getMonth() + 1;
-    const currentYear = currentDate.getFullYear();
+    const { id } = req.params;
+    const { resumeDate, compensation = 'extend' } = req.body || {};
 
-    // Get total subscriptions (all time)
-    const totalCount = await CustomerSubscription.countDocuments();
-    
-    // Get active subscriptions for CURRENT MONTH only
-    const activeCount = await CustomerSubscription.countDocuments({ 
-      status: 'active',
-      'subscriptionPeriod.month': currentMonth,
-      'subscriptionPeriod.year': currentYear
-    });
-    
-    // Calculate monthly revenue from active subscriptions for CURRENT MONTH only
-    const activeSubscriptions = await CustomerSubscription.find({ 
-      status: 'active',
-      'subscriptionPeriod.month': currentMonth,
-      'subscriptionPeriod.year': currentYear
-    }).populate('mealPlanId', 'pricing');
-    
-    let monthlyRevenue = 0;
-    activeSubscriptions.forEach(subscription => {
-      // Calculate prorated amount for each subscription
-      if (subscription.startDate && subscription.endDate) {
-        const proratedInfo = calculateProratedAmount(
-          subscription.pricing.basePricePerMonth,
-          subscription.startDate,
-          subscription.endDate,
-          subscription.pricing.discount
-        );
-        monthlyRevenue += proratedInfo.finalAmount;
-      } else {
-        // Fallback to existing finalPrice for subscriptions without date ranges
-        monthlyRevenue += subscription.pricing.finalPrice || 0;
-      }
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid subscription ID format' 
+      });
+    }
+
+    if (!['extend', 'credit'].includes(compensation)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Compensation must be either extend or credit'
+      });
+    }
+
+    const subscription = await CustomerSubscription.findById(id);
+
+    if (!subscription) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Subscription not found' 
+      });
+    }
+
+    const openPause = subscription.getOpenPause();
+    if (subscription.status !== 'paused' || !openPause) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is not paused'
+      });
+    }
+
+    const resumeStart = toStartOfDay(resumeDate);
+    if (isNaN(resumeStart.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid resume date format. Use YYYY-MM-DD'
+      });
+    }
+
+    if (resumeStart < openPause.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resume date cannot be before the pause date'
+      });
+    }
+
+    // Days without deliveries: pause date up to (not including) the resume date
+    const daysPaused = calculateDaysBetween(openPause.startDate, resumeStart) - 1;
+    const originalEndDate = new Date(subscription.endDate);
+    const payment = await findSubscriptionPayment(subscription);
+    let creditAmount = 0;
+
+    // Only days that fell inside the subscription period are compensated
+    const lastPausedDay = new Date(resumeStart);
+    lastPausedDay.setDate(lastPausedDay.getDate() - 1);
+    const lastCoveredDay = lastPausedDay < originalEndDate ? lastPausedDay : originalEndDate;
+    const daysCovered = lastCoveredDay >= openPause.startDate
+      ? calculateDaysBetween(openPause.startDate, lastCoveredDay)
+      : 0;
+
+    if (daysCovered > 0 && compensation === 'extend') {
+      const newEndDate = new Date(originalEndDate);
+      newEndDate.setDate(newEndDate.getDate() + daysCovered);
+
+      // The extended period must not run into the customer's next subscription
+      const overlappingSubscription = await CustomerSubscription.findOne({
+        _id: { $ne: subscription._id },
+        customerId: subscription.customerId,
+        status: { $ne: 'cancelled' },
+        startDate: { $gt: originalEndDate, $lte: newEndDate }
+      });
+
+      if (overlappingSubscription) {
+        return res.status(400).json({
+          success: false,
+          message: 'Extending the end date would overlap with the next subscription. Resume with credit compensation instead.'
+        });
+      }
+
+      subscription.endDate = newEndDate;
+
+      if (payment) {
+        const dueDate = new Date(newEndDate);
+        dueDate.setDate(dueDate.getDate() + 5); // Due 5 days after subscription ends
+        payment.dueDate = dueDate;
+        payment.planDetails.subscriptionPeriod = `${new Date(subscription.startDate).toDateString()} - ${newEndDate.toDateString()}`;
+        payment.notes = [payment.notes, `Paused ${daysPaused} day(s), end date extended by ${daysCovered} day(s) to ${newEndDate.toDateString()}`].filter(Boolean).join(' | ');
+        await payment.save();
+      }
+    } else if (daysCovered > 0 && compensation === 'credit') {
+      const creditInfo = calculateProratedAmount(
+        subscription.pricing.basePricePerMonth,
+        openPause.startDate,
+        lastCoveredDay,
+        subscription.pricing.discount
+      );
+      creditAmount = creditInfo.finalAmount;
+
+      if (payment) {
+        creditAmount = Math.min(creditAmount, payment.amountDue);
+        payment.amountDue = Math.round((payment.amountDue - creditAmount) * 100) / 100;
+        payment.planDetails.finalAmount = payment.amountDue;
+        payment.notes = [payment.notes, `Paused ${daysPaused} day(s), credit of ${creditAmount} AED applied`].filter(Boolean).join(' | ');
+        await payment.save();
+      }
+    }
+
+    openPause.endDate = resumeStart;
+    openPause.daysPaused = daysPaused;
+    openPause.compensation = compensation;
+    openPause.creditAmount = creditAmount;
+    openPause.resumedBy = req.user?.name || 'Admin';
+    subscription.status = 'active';
+    subscription.updatedBy = req.user?.name || 'Admin';
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription resumed successfully',
+      data: {
+        subscription,
+        daysPaused,
+        compensation,
+        creditAmount,
+        paymentUpdated: !!payment && daysPaused > 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume subscription error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error resuming subscription' 
+    });
+  }
+};
+
+// @desc    Change the meal plan from an effective date (splits the subscription and re-prices both halves)
+// @route   POST /api/subscriptions/:id/change-plan
+// @access  Private
+const changeSubscriptionPlan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { mealPlanId, effectiveDate, basePricePerMonth, discount, customMeals } = req.body || {};
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid subscription ID format' 
+      });
+    }
+
+    if (!mealPlanId || !String(mealPlanId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid mealPlanId is required'
+      });
+    }
+
+    const subscription = await CustomerSubscription.findById(id);
+
+    if (!subscription) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Subscription not found' 
+      });
+    }
+
+    if (subscription.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Only active subscriptions can change plan (current status: ${subscription.status})`
+      });
+    }
+
+    const changeFrom = toStartOfDay(effectiveDate);
+    if (!effectiveDate || isNaN(changeFrom.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid effective date format. Use YYYY-MM-DD'
+      });
+    }
+
+    if (changeFrom <= toStartOfDay(subscription.startDate) || changeFrom > toStartOfDay(subscription.endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Effective date must be after the start date and within the subscription period'
+      });
+    }
+
+    const mealPlan = await MealPlan.findById(mealPlanId);
+    if (!mealPlan) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Meal plan not found' 
+      });
+    }
+
+    if (mealPlan._id.equals(subscription.mealPlanId) && !customMeals && !basePricePerMonth && !discount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is already on this meal plan'
+      });
+    }
+
+    const customMealError = await findInvalidCustomMeal(customMeals, subscription.customMeals);
+    if (customMealError) {
+      return res.status(400).json({
+        success: false,
+        message: customMealError
+      });
+    }
+
+    const result = await changePlan(subscription._id, {
+      mealPlan,
+      effectiveDate: changeFrom,
+      basePricePerMonth,
+      discount,
+      customMeals,
+      createdBy: req.user?.name || 'Admin',
+      recordedBy: req.user?.id
+    });
+
+    await result.subscription.populate('customerId', 'name phone email');
+    await result.subscription.populate('mealPlanId', 'planName planCode meals');
+
+    res.status(200).json({
+      success: true,
+      message: result.walletCredit > 0
+        ? `Plan changed successfully. ${result.walletCredit} AED credited to the customer's wallet`
+        : 'Plan changed successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Change subscription plan error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error changing subscription plan',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Set per-meal delivery slot and address overrides (does not change billing)
+// @route   PUT /api/subscriptions/:id/delivery-preferences
+// @access  Private
+const updateDeliveryPreferences = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const preferences = req.body || {};
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid subscription ID format' 
+      });
+    }
+
+    const mealTypes = Object.keys(preferences).filter(key => MEAL_TYPES.includes(key));
+    if (mealTypes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide breakfast, lunch and/or dinner with a deliveryTime and/or address (null clears an override)'
+      });
+    }
+
+    const subscription = await CustomerSubscription.findById(id).populate('mealPlanId', 'planName meals');
+
+    if (!subscription) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Subscription not found' 
+      });
+    }
+
+    if (['cancelled', 'completed'].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change delivery preferences of a ${subscription.status} subscription`
+      });
+    }
+
+    const deliverySlots = await loadDeliverySlots();
+
+    for (const mealType of mealTypes) {
+      const { deliveryTime, address } = preferences[mealType] || {};
+      const before = resolveMeal(subscription, subscription.mealPlanId, mealType, deliverySlots);
+
+      if (!before.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: `${mealType} is not part of this subscription`
+        });
+      }
+
+      // Keep the meal selection, replace only what was sent
+      const current = normaliseMealSetting(subscription.customMeals?.[mealType]);
+      const next = {
+        enabled: current.enabled,
+        deliveryTime: deliveryTime !== undefined ? deliveryTime : current.deliveryTime,
+        address: address !== undefined ? address : current.address
+      };
+
+      const error = validateMealSetting(mealType, next, deliverySlots);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const after = resolveMeal({ customMeals: { [mealType]: next } }, subscription.mealPlanId, mealType, deliverySlots);
+      const slotError = await findSlotChangeError(mealType, {
+        before,
+        after,
+        chosenDeliveryTime: next.deliveryTime !== current.deliveryTime ? next.deliveryTime : null
+      }, deliverySlots);
+      if (slotError) {
+        return res.status(400).json({ success: false, message: slotError });
+      }
+
+      // Store the old boolean format again when nothing but the selection is left
+      const hasOverrides = next.deliveryTime !== null || next.address !== null;
+      subscription.customMeals[mealType] = hasOverrides ? next : next.enabled;
+      subscription.markModified(`customMeals.${mealType}`);
+    }
+
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery preferences updated successfully',
+      data: {
+        subscription,
+        meals: resolveMeals(subscription, subscription.mealPlanId, deliverySlots)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update delivery preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error updating delivery preferences' 
+    });
+  }
+};
+
+// @desc    Get subscription pricing calculation
+// @route   POST /api/subscriptions/calculate-pricing
+// @access  Private
+const calculateSubscriptionPricing = async (req, res) => {
+  try {
+    const { mealPlanId, discount } = req.body;
+
+    const mealPlan = await MealPlan.findById(mealPlanId);
+    if (!mealPlan) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Meal plan not found' 
+      });
+    }
+
+    let finalPrice = mealPlan.pricing.basePrice;
+    let discountAmount = 0;
+
+    if (discount && discount.value > 0) {
+      if (discount.type === 'percentage') {
+        discountAmount = (finalPrice * discount.value) / 100;
+        finalPrice = finalPrice - discountAmount;
+      } else if (discount.type === 'fixed') {
+        discountAmount = discount.value;
+        finalPrice = Math.max(0, finalPrice - discountAmount);
+      }
+    }
+
+    const pricingCalculation = {
+      mealPlan: {
+        id: mealPlan._id,
+        name: mealPlan.planName,
+        code: mealPlan.planCode
+      },
+      basePrice: mealPlan.pricing.basePrice,
+      discount: discount || { type: 'percentage', value: 0 },
+      discountAmount: discountAmount,
+      finalPrice: finalPrice,
+      currency: mealPlan.pricing.currency
+    };
+
+    res.status(200).json({
+      success: true,
+      data: { pricing: pricingCalculation }
+    });
+
+  } catch (error) {
+    console.error('Calculate pricing error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error calculating pricing' 
+    });
+  }
+};
+
+// @desc    Get subscription statistics
+// @route   GET /api/subscriptions/stats
+// @access  Private
+const getSubscriptionStats = async (req, res) => {
+  try {
+    const currentDate = new Date();
+    const currentMonth = currentDate.getMonth() + 1;
+    const currentYear = currentDate.getFullYear();
+
+    // Get total subscriptions (all time)
+    const totalCount = await CustomerSubscription.countDocuments();
+    
+    // Get active subscriptions for CURRENT MONTH only
+    const activeCount = await CustomerSubscription.countDocuments({ 
+      status: 'active',
+      'subscriptionPeriod.month': currentMonth,
+      'subscriptionPeriod.year': currentYear
+    });
+    
+    // Calculate monthly revenue from active subscriptions for CURRENT MONTH only
+    const activeSubscriptions = await CustomerSubscription.find({ 
+      status: 'active',
+      'subscriptionPeriod.month': currentMonth,
+      'subscriptionPeriod.year': currentYear
+    }).populate('mealPlanId', 'pricing');
+    
+    let monthlyRevenue = 0;
+    activeSubscriptions.forEach(subscription => {
+      // Calculate prorated amount for each subscription
+      if (subscription.startDate && subscription.endDate) {
+        const proratedInfo = calculateProratedAmount(
+          subscription.pricing.basePricePerMonth,
+          subscription.startDate,
+          subscription.endDate,
+          subscription.pricing.discount
+        );
+        monthlyRevenue += proratedInfo.finalAmount;
+      } else {
+        // Fallback to existing finalPrice for subscriptions without date ranges
+        monthlyRevenue += subscription.pricing.finalPrice || 0;
+      }
+    });
+
+    // Get status breakdown
+    const statusStats = await CustomerSubscription.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalCount,
+        activeCount,
+        monthlyRevenue,
+        statusStats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscription stats error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching subscription statistics' 
+    });
+  }
+};
+
+// @desc    Auto-extend active subscriptions to next month (?dryRun=true previews without writing)
+// @route   POST /api/subscriptions/auto-extend
+// @access  Private
+const autoExtendSubscriptions = async (req, res) => {
+  try {
+    const { targetMonth, targetYear, createdBy } = req.body;
+    const dryRun = req.query.dryRun === 'true';
+    
+    const { batchId, targetPeriod, sourcePeriod, results } = await runAutoExtension({
+      targetMonth,
+      targetYear,
+      createdBy: createdBy || req.user?.name,
+      dryRun
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${dryRun ? 'Auto-extension dry run completed. Would extend' : 'Auto-extension completed. Extended'}: ${results.extended.length}, Skipped: ${results.skipped.length}, Errors: ${results.errors.length}`,
+      data: {
+        dryRun,
+        batchId: batchId || null,
+        targetPeriod,
+        sourcePeriod,
+        results
+      }
+    });
+    
+  } catch (error) {
+    console.error('Auto-extend subscriptions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during auto-extension',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get auto-extension batches (most recent first)
+// @route   GET /api/subscriptions/auto-extend/batches
+// @access  Private
+const getAutoExtensionBatches = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const batches = await AutoExtensionBatch.find(query)
+      .select('-results')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AutoExtensionBatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get auto-extension batches error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching auto-extension batches' 
+    });
+  }
+};
+
+// @desc    Roll back an auto-extension batch (only while none of its payments are paid)
+// @route   POST /api/subscriptions/auto-extend/:batchId/rollback
+// @access  Private
+const rollbackAutoExtension = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!batchId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid batch ID format' 
+      });
+    }
+
+    const batch = await AutoExtensionBatch.findById(batchId);
+
+    if (!batch) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Auto-extension batch not found' 
+      });
+    }
+
+    if (batch.status === 'rolled_back') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This batch has already been rolled back' 
+      });
+    }
+
+    if (batch.status === 'running') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This batch is still running' 
+      });
+    }
+
+    // Any money received against the batch means it is no longer safe to undo
+    // Amounts drawn from the customer's wallet are refunded to the wallet instead
+    const batchPayments = await Payment.find({ _id: { $in: batch.paymentIds } }).populate('customer', 'name');
+    const getWalletPaid = (payment) => payment.paymentHistory
+      .filter(entry => entry.paymentMethod === 'wallet')
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const paidPayments = batchPayments.filter(payment =>
+      payment.amountPaid - getWalletPaid(payment) > 0 ||
+      payment.paymentHistory.some(entry => entry.paymentMethod !== 'wallet')
+    );
+
+    if (paidPayments.length > 0) {
+      const customerNames = paidPayments.map(p => p.customer?.name || p.customer).join(', ');
+      return res.status(400).json({
+        success: false,
+        message: `Cannot roll back: payments have already been recorded for ${customerNames}`
+      });
+    }
+
+    // Deleting an invoiced payment would leave a gap in the invoice sequence
+    const invoicedPayments = batchPayments.filter(payment => payment.invoiceNumber);
+
+    if (invoicedPayments.length > 0) {
+      const invoiceNumbers = invoicedPayments.map(p => p.invoiceNumber).join(', ');
+      return res.status(400).json({
+        success: false,
+        message: `Cannot roll back: invoices have already been issued for payments in this batch (${invoiceNumbers})`
+      });
+    }
+
+    // Deliveries already tracked against the new subscriptions would be orphaned
+    const trackedCount = await DailyMealTracking.countDocuments({
+      subscriptionId: { $in: batch.subscriptionIds }
     });
 
-    // Get status breakdown
-    const statusStats = await CustomerSubscription.aggregate([
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
+    if (trackedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot roll back: ${trackedCount} meal tracking record(s) exist for subscriptions in this batch`
+      });
+    }
+
+    const rolledBackBy = req.user?.name || 'Admin';
+
+    // Undo the whole batch or nothing
+    const { walletRefunded, paymentResult, skipResult, creditResult, subscriptionResult } = await runInTransaction(async (session) => {
+      let walletRefunded = 0;
+      for (const payment of batchPayments) {
+        const walletPaid = getWalletPaid(payment);
+        if (walletPaid > 0) {
+          await creditWallet(payment.customer._id, walletPaid, {
+            source: 'reversal',
+            paymentId: payment._id,
+            notes: `Auto-extension batch ${batch._id} rolled back`,
+            createdBy: rolledBackBy,
+            session
+          });
+          walletRefunded += walletPaid;
         }
       }
-    ]);
 
-    res.status(200).json({
-      success: true,
-      data: {
-        totalCount,
-        activeCount,
-        monthlyRevenue,
-        statusStats
-      }
-    });
+      const paymentResult = await Payment.deleteMany({ _id: { $in: batch.paymentIds } }, { session });
+      const skipResult = await SkipDay.deleteMany({ subscriptionId: { $in: batch.subscriptionIds } }, { session });
 
-  } catch (error) {
-    console.error('Get subscription stats error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error fetching subscription statistics' 
-    });
-  }
-};
+      // Skipped-meal credits absorbed by the batch become pending again
+      const creditResult = await SkipDay.updateMany(
+        { creditAppliedTo: { $in: batch.subscriptionIds } },
+        { $set: { creditAppliedTo: null }, $unset: { creditAppliedAt: 1 } },
+        { session }
+      );
 
-// @desc    Auto-extend active subscriptions to next month
-// @route   POST /api/subscriptions/auto-extend
-// @access  Private
-const autoExtendSubscriptions = async (req, res) => {
-  try {
-    const { targetMonth, targetYear, createdBy } = req.body;
-    
-    // Use provided target month/year or default to current month
-    const currentDate = new Date();
-    const extendToMonth = targetMonth || (currentDate.getMonth() + 1); // Current month (1-indexed)
-    const extendToYear = targetYear || currentDate.getFullYear();
-    
-    // Calculate previous month for source subscriptions
-    const sourceMonth = extendToMonth === 1 ? 12 : extendToMonth - 1;
-    const sourceYear = extendToMonth === 1 ? extendToYear - 1 : extendToYear;
-    
-    console.log(`🎯 Auto-extension: FROM ${sourceMonth}/${sourceYear} TO ${extendToMonth}/${extendToYear}`);
-    
-    // Find active subscriptions from previous month
-    const allSubscriptions = await CustomerSubscription.find({
-      status: 'active',
-      'subscriptionPeriod.month': sourceMonth,
-      'subscriptionPeriod.year': sourceYear
-    })
-    .populate('customerId', 'name phone email')
-    .populate('mealPlanId', 'planName planCode meals pricing');
-    
-    // Get the last day of the source month
-    const lastDayOfSourceMonth = new Date(sourceYear, sourceMonth, 0).getDate();
-    
-    // Filter to only include customers whose latest subscription ends on the last day of the month
-    const eligibleSubscriptions = [];
-    const customerGroups = {};
-    
-    // Group subscriptions by customer
-    allSubscriptions.forEach(sub => {
-      const customerId = sub.customerId._id.toString();
-      if (!customerGroups[customerId]) {
-        customerGroups[customerId] = [];
+      const subscriptionResult = await CustomerSubscription.deleteMany({ _id: { $in: batch.subscriptionIds } }, { session });
+
+      // Guard against a concurrent rollback of the same batch
+      const marked = await AutoExtensionBatch.updateOne(
+        { _id: batch._id, status: 'completed' },
+        { $set: { status: 'rolled_back', rolledBackAt: new Date(), rolledBackBy } },
+        { session }
+      );
+      if (marked.modifiedCount !== 1) {
+        throw new Error('Batch was rolled back concurrently');
       }
-      customerGroups[customerId].push(sub);
+
+      return { walletRefunded, paymentResult, skipResult, creditResult, subscriptionResult };
     });
-    
-    // Check each customer's subscriptions for eligibility
-    for (const [customerId, customerSubs] of Object.entries(customerGroups)) {
-      // Find the subscription with the latest end date for this customer
-      let latestSubscription = customerSubs[0];
-      let latestEndDate = new Date(latestSubscription.endDate);
-      
-      for (const sub of customerSubs) {
-        const subEndDate = new Date(sub.endDate);
-        if (subEndDate > latestEndDate) {
-          latestSubscription = sub;
-          latestEndDate = subEndDate;
-        }
-      }
-      
-      // Check if the latest subscription ends on the last day of the month
-      const subscriptionEndDay = latestEndDate.getDate();
-      
-      if (subscriptionEndDay === lastDayOfSourceMonth) {
-        // This customer is eligible for auto-extension
-        eligibleSubscriptions.push(latestSubscription);
-      }
-    }
-    
-    console.log(`Found ${allSubscriptions.length} total active subscriptions from ${sourceMonth}/${sourceYear}`);
-    console.log(`${eligibleSubscriptions.length} subscriptions are eligible for auto-extension (ending on last day of month: ${lastDayOfSourceMonth})`);
-    
-    const results = {
-      extended: [],
-      skipped: [],
-      errors: []
-    };
-    
-    // Get month boundaries for the target month
-    const startDate = new Date(extendToYear, extendToMonth - 1, 1);
-    const endDate = new Date(extendToYear, extendToMonth, 0);
-    
-    for (const subscription of eligibleSubscriptions) {
-      try {
-        // Check if same meal plan subscription already exists for target period
-        const existingSubscription = await CustomerSubscription.findOne({
-          customerId: subscription.customerId._id,
-          mealPlanId: subscription.mealPlanId,
-          'subscriptionPeriod.month': extendToMonth,
-          'subscriptionPeriod.year': extendToYear
-        });
-        
-        if (existingSubscription) {
-          results.skipped.push({
-            customerId: subscription.customerId._id,
-            customerName: subscription.customerId.name,
-            reason: 'Same meal plan subscription already exists for target period'
-          });
-          continue;
-        }
-        
-        // Calculate prorated pricing for the new subscription
-        const proratedInfo = calculateProratedAmount(
-          subscription.pricing.basePricePerMonth,
-          startDate.toISOString().split('T')[0],
-          endDate.toISOString().split('T')[0],
-          subscription.pricing.discount
-        );
 
-        // Create new subscription for next month
-        const newSubscription = await CustomerSubscription.create({
-          customerId: subscription.customerId._id,
-          mealPlanId: subscription.mealPlanId._id,
-          subscriptionPeriod: {
-            month: extendToMonth,
-            year: extendToYear
-          },
-          pricing: {
-            basePricePerMonth: subscription.pricing.basePricePerMonth,
-            discount: subscription.pricing.discount || { type: 'percentage', value: 0 },
-            finalPrice: proratedInfo.finalAmount,
-            proratedAmount: proratedInfo.proratedAmount,
-            subscriptionDays: proratedInfo.subscriptionDays,
-            monthDays: proratedInfo.monthDays,
-            proratedRatio: proratedInfo.proratedRatio
-          },
-          customMeals: subscription.customMeals || {},
-          startDate: startDate.toISOString().split('T')[0],
-          endDate: endDate.toISOString().split('T')[0],
-          notes: subscription.notes || '',
-          status: 'active',
-          createdBy: createdBy || 'Auto-Extension System'
-        });
-        
-        // Create corresponding payment record for the extended subscription
-        try {
-          const dueDate = new Date(endDate);
-          dueDate.setDate(dueDate.getDate() + 5); // Due 5 days after subscription ends
-          
-          // Calculate subscription duration for payment details
-          const subscriptionDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
-          
-          await Payment.create({
-            customer: subscription.customerId._id,
-            month: extendToMonth,
-            year: extendToYear,
-            planDetails: {
-              planName: subscription.mealPlanId.planName,
-              monthlyAmount: subscription.pricing.basePricePerMonth, // Original base price
-              proratedAmount: proratedInfo.proratedAmount, // Prorated amount before discount 
-              finalAmount: proratedInfo.finalAmount, // Final prorated discounted amount
-              discountApplied: subscription.pricing.discount || { type: 'percentage', value: 0 },
-              subscriptionPeriod: `${startDate.toDateString()} - ${endDate.toDateString()}`,
-              subscriptionDays: proratedInfo.subscriptionDays,
-              monthDays: proratedInfo.monthDays,
-              proratedRatio: proratedInfo.proratedRatio
-            },
-            amountDue: proratedInfo.finalAmount, // Use prorated final price
-            dueDate,
-            paymentDate: startDate.toISOString().split('T')[0], // Set payment date to subscription start
-            notes: `Auto-extended payment for ${subscription.mealPlanId.planName} (${proratedInfo.subscriptionDays} days out of ${proratedInfo.monthDays}, ${Math.round(proratedInfo.proratedRatio * 100)}%, ${startDate.toDateString()} to ${endDate.toDateString()})${subscription.pricing.discount?.value > 0 ? ` - ${subscription.pricing.discount.type === 'percentage' ? subscription.pricing.discount.value + '%' : subscription.pricing.discount.value + ' AED'} discount applied` : ''}`,
-            // recordedBy omitted for auto-extension system
-          });
-          
-          console.log(`✅ Payment record created for extended subscription ${newSubscription._id}`);
-        } catch (paymentError) {
-          console.error(`Error creating payment record for extended subscription:`, paymentError);
-          // Don't fail the extension if payment creation fails
-        }
-        
-        results.extended.push({
-          customerId: subscription.customerId._id,
-          customerName: subscription.customerId.name,
-          subscriptionId: newSubscription._id,
-          mealPlan: subscription.mealPlanId.planName,
-          finalPrice: proratedInfo.finalAmount
-        });
-        
-      } catch (error) {
-        console.error(`Error extending subscription for customer ${subscription.customerId._id}:`, error);
-        results.errors.push({
-          customerId: subscription.customerId._id,
-          customerName: subscription.customerId.name,
-          error: error.message
-        });
-      }
-    }
-    
-    res.status(200).json({
+    res.json({
       success: true,
-      message: `Auto-extension completed. Extended: ${results.extended.length}, Skipped: ${results.skipped.length}, Errors: ${results.errors.length}`,
+      message: `Auto-extension batch rolled back. Removed ${subscriptionResult.deletedCount} subscription(s) and ${paymentResult.deletedCount} payment(s)`,
       data: {
-        targetPeriod: { month: extendToMonth, year: extendToYear },
-        sourcePeriod: { month: sourceMonth, year: sourceYear },
-        results
+        batchId: batch._id,
+        subscriptionsDeleted: subscriptionResult.deletedCount,
+        paymentsDeleted: paymentResult.deletedCount,
+        skipDaysDeleted: skipResult.deletedCount,
+        creditsRestored: creditResult.modifiedCount,
+        walletRefunded
       }
     });
-    
   } catch (error) {
-    console.error('Auto-extend subscriptions error:', error);
+    console.error('Rollback auto-extension error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error during auto-extension',
-      error: error.message 
+      message: 'Server error rolling back auto-extension' 
     });
   }
 };
@@ -927,97 +1697,10 @@ const getEligibleForAutoExtension = async (req, res) => {
 
 // @desc    Generate payment records for existing subscriptions without payments
 // @route   POST /api/subscriptions/generate-payments
-// @access  Private (Admin)
+// @access  Private (payments:create)
 const generatePaymentsForExistingSubscriptions = async (req, res) => {
   try {
-    // Get all active subscriptions
-    const subscriptions = await CustomerSubscription.find({ status: 'active' })
-      .populate('customerId', 'name phone email')
-      .populate('mealPlanId', 'planName planCode');
-    
-    console.log(`Found ${subscriptions.length} active subscriptions to process`);
-    
-    const results = {
-      created: [],
-      skipped: [],
-      errors: []
-    };
-    
-    for (const subscription of subscriptions) {
-      try {
-        // Check if payment already exists for this specific subscription
-        // We need to check for payments that match the subscription period exactly
-        const existingPayment = await Payment.findOne({
-          customer: subscription.customerId._id,
-          month: subscription.subscriptionPeriod.month,
-          year: subscription.subscriptionPeriod.year,
-          'planDetails.subscriptionPeriod': `${new Date(subscription.startDate).toDateString()} - ${new Date(subscription.endDate).toDateString()}`
-        });
-        
-        if (existingPayment) {
-          results.skipped.push({
-            customerId: subscription.customerId._id,
-            customerName: subscription.customerId.name,
-            reason: 'Payment already exists'
-          });
-          continue;
-        }
-        
-        // Create payment record based on actual subscription period
-        const dueDate = new Date(subscription.endDate);
-        dueDate.setDate(dueDate.getDate() + 5); // Due 5 days after subscription ends
-        
-        // Calculate prorated amount for the subscription
-        const startDate = new Date(subscription.startDate);
-        const endDate = new Date(subscription.endDate);
-        const proratedInfo = calculateProratedAmount(
-          subscription.pricing.basePricePerMonth,
-          subscription.startDate,
-          subscription.endDate,
-          subscription.pricing.discount
-        );
-        
-        const payment = await Payment.create({
-          customer: subscription.customerId._id,
-          month: subscription.subscriptionPeriod.month,
-          year: subscription.subscriptionPeriod.year,
-          planDetails: {
-            planName: subscription.mealPlanId.planName,
-            monthlyAmount: subscription.pricing.basePricePerMonth, // Original base price
-            proratedAmount: proratedInfo.proratedAmount, // Prorated amount before discount
-            finalAmount: proratedInfo.finalAmount, // Final prorated discounted amount
-            discountApplied: subscription.pricing.discount || { type: 'percentage', value: 0 },
-            subscriptionPeriod: `${startDate.toDateString()} - ${endDate.toDateString()}`,
-            subscriptionDays: proratedInfo.subscriptionDays,
-            monthDays: proratedInfo.monthDays,
-            proratedRatio: proratedInfo.proratedRatio,
-            subscriptionId: subscription._id // Add subscription reference
-          },
-          amountDue: proratedInfo.finalAmount, // Use prorated final price
-          dueDate,
-          paymentDate: subscription.startDate, // Set payment date to subscription start
-          notes: `Generated payment for ${subscription.mealPlanId.planName} subscription (${proratedInfo.subscriptionDays} days out of ${proratedInfo.monthDays}, ${Math.round(proratedInfo.proratedRatio * 100)}%, ${startDate.toDateString()} to ${endDate.toDateString()})${subscription.pricing.discount?.value > 0 ? ` - ${subscription.pricing.discount.type === 'percentage' ? subscription.pricing.discount.value + '%' : subscription.pricing.discount.value + ' AED'} discount applied` : ''}`,
-          // Only set recordedBy if we have a valid user ID
-          ...(req.user?.id && { recordedBy: req.user.id })
-        });
-        
-        results.created.push({
-          customerId: subscription.customerId._id,
-          customerName: subscription.customerId.name,
-          paymentId: payment._id,
-          amount: proratedInfo.finalAmount,
-          subscriptionPeriod: `${startDate.toDateString()} - ${endDate.toDateString()}`
-        });
-        
-      } catch (error) {
-        console.error(`Error creating payment for subscription ${subscription._id}:`, error);
-        results.errors.push({
-          customerId: subscription.customerId._id,
-          customerName: subscription.customerId.name,
-          error: error.message
-        });
-      }
-    }
+    const results = await generateMissingPayments({ recordedBy: req.user?.id });
     
     res.status(200).json({
       success: true,
@@ -1037,7 +1720,7 @@ const generatePaymentsForExistingSubscriptions = async (req, res) => {
 
 // @desc    Get weekly subscription report (3 days back to 3 days forward)
 // @route   GET /api/subscriptions/reports/weekly
-// @access  Private (Admin)
+// @access  Private (reports:view)
 const getWeeklySubscriptionReport = async (req, res) => {
   try {
     const currentDate = new Date();
@@ -1193,6 +1876,18 @@ const getWeeklySubscriptionReport = async (req, res) => {
       finalExpiring = wideExpiring;
     }
 
+    // Meals each subscription actually receives, resolved the same way as the delivery report
+    const deliverySlots = await loadDeliverySlots();
+    [...finalNewlyActivated, ...finalExpiring].forEach(subscription => {
+      subscription.effectiveMeals = resolveMeals(subscription, {
+        meals: {
+          breakfast: subscription.mealPlan.breakfast,
+          lunch: subscription.mealPlan.lunch,
+          dinner: subscription.mealPlan.dinner
+        }
+      }, deliverySlots);
+    });
+
     // Calculate summary stats
     const stats = {
       dateRange: {
@@ -1252,9 +1947,6 @@ const checkSubscriptionPayments = async (req, res) => {
       });
     }
 
-    // Check for payments for this specific subscription month
-    const Payment = require('../models/Payment');
-    
     // Get subscription period (month and year)
     const subscriptionMonth = subscription.subscriptionPeriod?.month;
     const subscriptionYear = subscription.subscriptionPeriod?.year;
@@ -1266,12 +1958,8 @@ const checkSubscriptionPayments = async (req, res) => {
       });
     }
     
-    // Check if payment exists for this customer in the specific month/year
-    const payments = await Payment.find({
-      customer: subscription.customerId,
-      month: subscriptionMonth,
-      year: subscriptionYear
-    });
+    // Check for payments billed against this subscription
+    const payments = await Payment.find({ subscriptionId: subscription._id });
 
     // Set cache control headers to prevent 304 responses
     res.set({
@@ -1341,36 +2029,18 @@ const checkSubscriptionPaymentsBulk = async (req, res) => {
       });
     }
 
-    // Build query to check payments for all customers
-    const Payment = require('../models/Payment');
-    const customerIds = [...new Set(subscriptions.map(s => s.customerId))];
-    
-    // Get all payments for these customers
+    // Get all payments billed against these subscriptions
     const payments = await Payment.find({
-      customer: { $in: customerIds }
-    }).lean();
+      subscriptionId: { $in: subscriptions.map(s => s._id) }
+    }).select('subscriptionId').lean();
+
+    const paidSubscriptionIds = new Set(payments.map(payment => payment.subscriptionId.toString()));
 
     // Build result map: subscriptionId -> hasPayments
     const paymentStatusMap = {};
     
     subscriptions.forEach(subscription => {
-      const subscriptionMonth = subscription.subscriptionPeriod?.month;
-      const subscriptionYear = subscription.subscriptionPeriod?.year;
-      
-      if (!subscriptionMonth || !subscriptionYear) {
-        paymentStatusMap[subscription._id] = false;
-        return;
-      }
-      
-      // Check if customer has payment for the specific subscription month/year
-      // The month and year are at the payment document level, not in paymentHistory
-      const hasPayments = payments.some(payment => 
-        payment.customer.toString() === subscription.customerId.toString() &&
-        payment.month === subscriptionMonth &&
-        payment.year === subscriptionYear
-      );
-      
-      paymentStatusMap[subscription._id] = hasPayments;
+      paymentStatusMap[subscription._id] = paidSubscriptionIds.has(subscription._id.toString());
     });
 
     // Set cache control headers to prevent 304 responses
@@ -1396,7 +2066,7 @@ const checkSubscriptionPaymentsBulk = async (req, res) => {
   }
 };
 
-// @desc    Delete subscription (permanently remove)
+// @desc    Delete subscription (moves it to the trash)
 // @route   DELETE /api/subscriptions/:id
 // @access  Private
 const deleteSubscription = async (req, res) => {
@@ -1421,40 +2091,8 @@ const deleteSubscription = async (req, res) => {
       });
     }
 
-    // Check for any payments for this customer/subscription
-    const Payment = require('../models/Payment');
-    
-    // Get subscription period months to check for specific payment records
-    const subscriptionStartDate = new Date(subscription.startDate);
-    const subscriptionEndDate = new Date(subscription.endDate);
-    
-    // Extract all months covered by this subscription
-    const subscriptionMonths = [];
-    let currentDate = new Date(subscriptionStartDate);
-    
-    while (currentDate <= subscriptionEndDate) {
-      subscriptionMonths.push({
-        month: currentDate.getMonth() + 1,
-        year: currentDate.getFullYear()
-      });
-      
-      // Move to next month
-      currentDate.setMonth(currentDate.getMonth() + 1);
-      currentDate.setDate(1); // Reset to first day of month
-    }
-    
-    // Check for payments in any of the subscription months
-    const paymentChecks = await Promise.all(
-      subscriptionMonths.map(({ month, year }) =>
-        Payment.findOne({
-          customer: subscription.customerId,
-          month: month,
-          year: year
-        })
-      )
-    );
-    
-    const paymentsFound = paymentChecks.filter(payment => payment !== null);
+    // Check for payments billed against this subscription
+    const paymentsFound = await Payment.find({ subscriptionId: subscription._id });
 
     if (paymentsFound.length > 0) {
       const paymentMonths = paymentsFound.map(p => 
@@ -1468,7 +2106,8 @@ const deleteSubscription = async (req, res) => {
     }
 
     // Safe to delete - no payments found
-    await CustomerSubscription.findByIdAndDelete(id);
+    // Move it to the trash; its skips and skip credits are cleaned up when the purge job removes it
+    await softDeleteRecord('subscriptions', subscription._id, req.user?.name || 'Admin');
 
     res.json({
       success: true,
@@ -1494,30 +2133,19 @@ const getDeliveryTimeOptions = async (req, res) => {
   try {
     const { mealType = 'lunch' } = req.query;
 
-    // Define delivery time options for each meal type (same as dashboard breakdown)
-    const deliveryTimeOptions = {
-      breakfast: {
-        'standard': { label: '🕐 Standard', displayTime: '7:00-9:00 AM' },
-        'early-morning': { label: '🌅 Early Morning', displayTime: '5:00-6:00 AM' }
-      },
-      lunch: {
-        'standard': { label: '🕐 Standard', displayTime: '11:00 AM-1:00 PM' },
-        'early-morning': { label: '🌅 Early Morning', displayTime: '7:00-9:00 AM' },
-        'late-afternoon': { label: '🌇 Late Afternoon', displayTime: '3:00-5:00 PM' }
-      },
-      dinner: {
-        'standard': { label: '🕐 Standard', displayTime: '6:00-8:00 PM' },
-        'late-night': { label: '🌙 Late Night', displayTime: '9:00-11:00 PM' }
-      }
-    };
-
-    const options = deliveryTimeOptions[mealType.toLowerCase()] || deliveryTimeOptions.lunch;
+    // Active slots from the DeliverySlot collection, earliest first
+    const slotMealType = MEAL_TYPES.includes(mealType.toLowerCase()) ? mealType.toLowerCase() : 'lunch';
+    const slots = await getActiveSlots(slotMealType);
 
     // Convert to array format for frontend
-    const optionsArray = Object.entries(options).map(([key, value]) => ({
-      value: key,
-      label: value.label,
-      displayTime: value.displayTime
+    const optionsArray = slots.map(slot => ({
+      value: slot.key,
+      label: slot.label,
+      displayTime: slot.displayTime,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      cutoffMinutes: slot.cutoffMinutes,
+      capacity: slot.capacity
     }));
 
     res.status(200).json({
@@ -1525,7 +2153,7 @@ const getDeliveryTimeOptions = async (req, res) => {
       data: {
         mealType: mealType,
         options: optionsArray,
-        defaultOption: 'standard'
+        defaultOption: DEFAULT_DELIVERY_TIME
       }
     });
 
@@ -1566,137 +2194,7 @@ const getDeliveryReport = async (req, res) => {
       });
     }
 
-    // Build filter for active subscriptions that cover the selected date
-    let subscriptionFilter = {
-      status: 'active',
-      startDate: { $lte: selectedDate },
-      endDate: { $gte: selectedDate }
-    };
-
-    if (customerId) {
-      subscriptionFilter.customerId = customerId;
-    }
-
-    // Get active subscriptions with customer and meal plan details
-    const subscriptions = await CustomerSubscription.find(subscriptionFilter)
-      .populate({
-        path: 'customerId',
-        select: 'name phone email deliveryAddress notes'
-      })
-      .populate({
-        path: 'mealPlanId',
-        select: 'planName meals pricing'
-      });
-
-    // Sort by building name first, then by customer name for easier delivery planning
-
-    // Process subscription data for delivery planning
-    let deliveryPlan = subscriptions.map(subscription => {
-      const customer = subscription.customerId;
-      const mealPlan = subscription.mealPlanId;
-      
-      // Handle missing customer or meal plan data
-      if (!customer || !mealPlan) {
-        return null;
-      }
-
-      // Check if the customer has the requested meal type enabled
-      const mealTypeKey = mealType.toLowerCase();
-      let hasMealEnabled = false;
-
-      // Check custom meal settings first, then fallback to meal plan
-      if (subscription.customMeals && subscription.customMeals[mealTypeKey] !== null) {
-        hasMealEnabled = subscription.customMeals[mealTypeKey];
-      } else if (mealPlan.meals && mealPlan.meals[mealTypeKey]) {
-        const mealData = mealPlan.meals[mealTypeKey];
-        hasMealEnabled = typeof mealData === 'boolean' ? mealData : mealData?.enabled || false;
-      }
-
-      // Skip if meal is not enabled for this customer
-      if (!hasMealEnabled) {
-        return null;
-      }
-
-      // Get delivery time for this meal type
-      let customerDeliveryTime = 'standard';
-      if (mealPlan.meals && mealPlan.meals[mealTypeKey] && typeof mealPlan.meals[mealTypeKey] === 'object') {
-        customerDeliveryTime = mealPlan.meals[mealTypeKey].deliveryTime || 'standard';
-      }
-
-      // Default delivery times for each meal type (matching dashboard breakdown)
-      const defaultDeliveryTimes = {
-        breakfast: { 
-          'standard': '7:00-9:00 AM', 
-          'early-morning': '5:00-6:00 AM' 
-        },
-        lunch: { 
-          'standard': '11:00 AM-1:00 PM', 
-          'early-morning': '7:00-9:00 AM', 
-          'late-afternoon': '3:00-5:00 PM' 
-        },
-        dinner: { 
-          'standard': '6:00-8:00 PM', 
-          'late-night': '9:00-11:00 PM' 
-        }
-      };
-
-      const deliveryTimeDisplay = defaultDeliveryTimes[mealTypeKey]?.[customerDeliveryTime] || 
-                                  defaultDeliveryTimes[mealTypeKey]?.standard || 
-                                  'Standard Time';
-
-      return {
-        subscriptionId: subscription._id,
-        customer: {
-          id: customer._id,
-          name: customer.name,
-          phone: customer.phone,
-          email: customer.email,
-          buildingName: customer.deliveryAddress?.buildingName || 'N/A',
-          flatNumber: customer.deliveryAddress?.flatNumber || 'N/A',
-          area: customer.deliveryAddress?.area || 'N/A',
-          notes: customer.notes || '',
-          fullAddress: customer.deliveryAddress
-        },
-        mealPlan: {
-          id: mealPlan._id,
-          name: mealPlan.planName
-        },
-        deliveryDetails: {
-          mealType: mealType,
-          deliveryTime: customerDeliveryTime,
-          deliveryTimeDisplay: deliveryTimeDisplay,
-          date: selectedDate
-        }
-      };
-    }).filter(item => item !== null); // Remove null entries
-
-    // Sort by building name (ascending), then by flat number, then by customer name
-    deliveryPlan.sort((a, b) => {
-      const buildingA = (a.customer.buildingName === 'N/A' || !a.customer.buildingName) ? 'ZZZZ' : a.customer.buildingName;
-      const buildingB = (b.customer.buildingName === 'N/A' || !b.customer.buildingName) ? 'ZZZZ' : b.customer.buildingName;
-      
-      if (buildingA !== buildingB) {
-        return buildingA.localeCompare(buildingB);
-      }
-      
-      // If same building, sort by flat number
-      const flatA = (a.customer.flatNumber === 'N/A' || !a.customer.flatNumber) ? 'ZZZZ' : a.customer.flatNumber;
-      const flatB = (b.customer.flatNumber === 'N/A' || !b.customer.flatNumber) ? 'ZZZZ' : b.customer.flatNumber;
-      
-      if (flatA !== flatB) {
-        return flatA.localeCompare(flatB);
-      }
-      
-      // If same building and flat, sort by customer name
-      return a.customer.name.localeCompare(b.customer.name);
-    });
-
-    // Apply delivery time filter if specified
-    if (deliveryTime && deliveryTime !== 'all') {
-      deliveryPlan = deliveryPlan.filter(item => 
-        item.deliveryDetails.deliveryTime === deliveryTime
-      );
-    }
+    const deliveryPlan = await buildDeliveryPlan({ date: selectedDate, mealType, deliveryTime, customerId });
 
     // Group by delivery time for summary
     const deliveryTimeSummary = deliveryPlan.reduce((acc, item) => {
@@ -1741,21 +2239,151 @@ const getDeliveryReport = async (req, res) => {
   }
 };
 
+// @desc    Group the delivery plan into driver routes in drop order
+// @route   GET /api/subscriptions/reports/delivery/routes
+// @access  Private
+const getDeliveryRoutePlan = async (req, res) => {
+  try {
+    const { 
+      date, // Required: delivery date (YYYY-MM-DD)
+      mealType = 'lunch',
+      deliveryTime = 'standard',
+      capacity, // Max drops per driver
+      drivers, // Optional number of drivers available
+      startLat, // Optional start point, defaults to the kitchen location
+      startLng
+    } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required (YYYY-MM-DD format)'
+      });
+    }
+
+    const selectedDate = new Date(date);
+    if (isNaN(selectedDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    const maxDrops = parseInt(capacity) || parseInt(process.env.DELIVERY_ROUTE_CAPACITY) || 30;
+    const driverCount = drivers !== undefined ? parseInt(drivers) : null;
+    if (maxDrops < 1 || (driverCount !== null && !(driverCount >= 1))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capacity and drivers must be positive numbers'
+      });
+    }
+
+    // Kitchen location from the query, else from the environment
+    const kitchen = {
+      latitude: parseFloat(startLat ?? process.env.KITCHEN_LATITUDE),
+      longitude: parseFloat(startLng ?? process.env.KITCHEN_LONGITUDE)
+    };
+    const kitchenConfigured = Number.isFinite(kitchen.latitude) && Number.isFinite(kitchen.longitude);
+
+    const deliveryPlan = await buildDeliveryPlan({ date: selectedDate, mealType, deliveryTime });
+
+    const drops = deliveryPlan.map(item => ({
+      item,
+      location: item.customer.fullAddress?.coordinates,
+      area: item.customer.fullAddress?.area,
+      buildingName: item.customer.fullAddress?.buildingName,
+      flatNumber: item.customer.fullAddress?.flatNumber,
+      name: item.customer.name
+    }));
+
+    const { start, routes } = planRoutes(drops, {
+      start: kitchenConfigured ? kitchen : null,
+      capacity: maxDrops
+    });
+
+    // Routes beyond the available drivers are reported as unassigned
+    const assignedRoutes = driverCount !== null ? routes.slice(0, driverCount) : routes;
+    const overflowRoutes = driverCount !== null ? routes.slice(driverCount) : [];
+
+    const formattedRoutes = assignedRoutes.map((route, index) => {
+      let previous = start;
+      return {
+        routeNumber: index + 1,
+        name: `Route ${index + 1}`,
+        optimised: route.optimised,
+        totalDrops: route.drops.length,
+        distanceKm: route.distanceKm,
+        areas: [...new Set(route.drops.map(drop => drop.area).filter(Boolean))],
+        subscriptionIds: route.drops.map(drop => drop.item.subscriptionId),
+        drops: route.drops.map((drop, dropIndex) => {
+          const legKm = route.optimised && previous
+            ? Math.round(distanceKm(previous, drop.location) * 100) / 100
+            : null;
+          if (route.optimised) previous = drop.location;
+          return {
+            sequence: dropIndex + 1,
+            ...drop.item,
+            approximateLocation: route.optimised ? drop.approximateLocation : null,
+            distanceFromPreviousKm: legKm
+          };
+        })
+      };
+    });
+
+    const unassigned = overflowRoutes.flatMap(route => route.drops.map(drop => drop.item));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        routes: formattedRoutes,
+        unassigned,
+        summary: {
+          date: selectedDate.toISOString().split('T')[0],
+          mealType,
+          deliveryTime,
+          totalDeliveries: deliveryPlan.length,
+          totalRoutes: formattedRoutes.length,
+          capacity: maxDrops,
+          drivers: driverCount,
+          start: start ? { ...start, source: kitchenConfigured ? 'kitchen' : 'centre_of_drops' } : null,
+          dropsWithoutLocation: routes.filter(route => !route.optimised).reduce((sum, route) => sum + route.drops.length, 0),
+          unassignedDrops: unassigned.length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get delivery routes error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error planning delivery routes' 
+    });
+  }
+};
+
 module.exports = {
   getSubscriptions,
   getCustomerSubscriptions,
   createSubscription,
   updateSubscription,
   cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  changeSubscriptionPlan,
+  updateDeliveryPreferences,
   calculateSubscriptionPricing,
   getSubscriptionStats,
   autoExtendSubscriptions,
+  getAutoExtensionBatches,
+  rollbackAutoExtension,
   getEligibleForAutoExtension,
   generatePaymentsForExistingSubscriptions,
   getWeeklySubscriptionReport,
+  getChurnReport,
   checkSubscriptionPayments,
   checkSubscriptionPaymentsBulk,
   deleteSubscription,
   getDeliveryTimeOptions,
-  getDeliveryReport
+  getDeliveryReport,
+  getDeliveryRoutePlan
 };
\ No newline at end of file
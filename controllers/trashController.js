@@ -0,0 +1,153 @@
+const Customer = require('../models/Customer');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const { TRASH_MODELS, getRetentionDays, restoreRecord } = require('../services/trashService');
+
+// Related documents shown next to each deleted record (they may be in the trash too)
+const TRASH_POPULATE = {
+  customers: [],
+  subscriptions: [
+    { path: 'customerId', select: 'name phone', options: { withDeleted: true } },
+    { path: 'mealPlanId', select: 'planName' }
+  ],
+  payments: [
+    { path: 'customer', select: 'name phone', options: { withDeleted: true } }
+  ]
+};
+
+// @desc    List deleted customers, subscriptions or payments (most recently deleted first)
+// @route   GET /api/trash?entity=customers|subscriptions|payments
+// @access  Private (trash:manage)
+const getTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const entity = req.query.entity || 'customers';
+
+    if (!TRASH_MODELS[entity]) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Entity must be one of: ${Object.keys(TRASH_MODELS).join(', ')}` 
+      });
+    }
+
+    const query = { deletedAt: { $ne: null } };
+    const retentionDays = getRetentionDays();
+
+    const records = await TRASH_MODELS[entity].find(query)
+      .populate(TRASH_POPULATE[entity])
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await TRASH_MODELS[entity].countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entity,
+        retentionDays,
+        records: records.map(record => {
+          const purgeAfter = new Date(record.deletedAt);
+          purgeAfter.setDate(purgeAfter.getDate() + retentionDays);
+          return { ...record.toObject(), purgeAfter };
+        }),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching deleted records' 
+    });
+  }
+};
+
+// @desc    Restore a deleted record (a customer also restores what was deleted with it)
+// @route   POST /api/trash/:entity/:id/restore
+// @access  Private (trash:manage)
+const restoreFromTrash = async (req, res) => {
+  try {
+    const { entity, id } = req.params;
+
+    if (!TRASH_MODELS[entity]) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Entity must be one of: ${Object.keys(TRASH_MODELS).join(', ')}` 
+      });
+    }
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid ID format' 
+      });
+    }
+
+    const record = await TRASH_MODELS[entity].findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Deleted record not found' 
+      });
+    }
+
+    // Subscriptions and payments cannot come back while what they belong to is still deleted
+    const customerId = entity === 'subscriptions' ? record.customerId : entity === 'payments' ? record.customer : null;
+    if (customerId && !(await Customer.exists({ _id: customerId }))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The customer for this record is deleted. Restore the customer first.' 
+      });
+    }
+
+    if (entity === 'payments' && record.subscriptionId && !(await CustomerSubscription.exists({ _id: record.subscriptionId }))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The subscription for this payment is deleted. Restore the subscription first.' 
+      });
+    }
+
+    const restored = await restoreRecord(entity, record);
+
+    res.status(200).json({
+      success: true,
+      message: 'Record restored successfully',
+      data: {
+        entity,
+        id: record._id,
+        restored
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Cannot restore: another active record now uses the same unique details' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error restoring record' 
+    });
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreFromTrash
+};
\ No newline at end of file
@@ -1,8 +1,10 @@
 const User = require('../models/User');
+const { revokeAllSessions } = require('../services/tokenService');
+const { PERMISSIONS, ROLES, ROLE_NAMES, getRolePermissions } = require('../utils/permissions');
 
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private (Admin)
+// @access  Private (users:view)
 const getUsers = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -39,13 +41,47 @@ const getUsers = async (req, res) => {
   }
 };
 
+// @desc    Get staff roles and the permissions each one grants
+// @route   GET /api/users/roles
+// @access  Private (users:view)
+const getRoles = async (req, res) => {
+  try {
+    const roles = ROLE_NAMES.map(role => ({
+      role,
+      label: ROLES[role].label,
+      permissions: getRolePermissions(role)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles,
+        permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({ permission, description }))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching roles' 
+    });
+  }
+};
+
 // @desc    Create new user
 // @route   POST /api/users
-// @access  Private (Super Admin)
+// @access  Private (users:manage)
 const createUser = async (req, res) => {
   try {
     const { name, email, password, role, phone } = req.body;
 
+    if (role !== undefined && !ROLE_NAMES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}` 
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -73,6 +109,7 @@ const createUser = async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: getRolePermissions(user.role),
           phone: user.phone,
           isActive: user.isActive,
           createdAt: user.createdAt
@@ -99,10 +136,17 @@ const createUser = async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Private (Super Admin)
+// @access  Private (users:manage)
 const updateUser = async (req, res) => {
   try {
     const { name, email, role, phone, isActive } = req.body;
+
+    if (role !== undefined && !ROLE_NAMES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}` 
+      });
+    }
     
     const user = await User.findById(req.params.id);
     
@@ -126,10 +170,16 @@ const updateUser = async (req, res) => {
     if (email !== undefined) user.email = email;
     if (role !== undefined && req.user.role === 'super_admin') user.role = role;
     if (phone !== undefined) user.phone = phone;
+    const deactivated = user.isActive && isActive === false;
     if (isActive !== undefined) user.isActive = isActive;
 
     await user.save();
 
+    // A deactivated account must not keep any session alive
+    if (deactivated) {
+      await revokeAllSessions(user._id, 'deactivated');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -139,6 +189,7 @@ const updateUser = async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: getRolePermissions(user.role),
           phone: user.phone,
           isActive: user.isActive
         }
@@ -156,7 +207,7 @@ const updateUser = async (req, res) => {
 
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private (Super Admin)
+// @access  Private (users:manage)
 const deleteUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -184,6 +235,7 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await revokeAllSessions(user._id, 'deactivated');
     await User.findByIdAndDelete(req.params.id);
 
     res.status(200).json({
@@ -200,9 +252,40 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// @desc    Log a user out of every session (e.g. staff who have left)
+// @route   POST /api/users/:id/logout-all
+// @access  Private (users:manage)
+const logoutUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const revoked = await revokeAllSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${user.name} has been logged out of all sessions`,
+      data: { sessionsRevoked: revoked }
+    });
+
+  } catch (error) {
+    console.error('Logout user sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error logging out user' 
+    });
+  }
+};
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private (Admin)
+// @access  Private (users:view)
 const getUserById = async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
@@ -230,8 +313,10 @@ const getUserById = async (req, res) => {
 
 module.exports = {
   getUsers,
+  getRoles,
   createUser,
   updateUser,
   deleteUser,
+  logoutUserSessions,
   getUserById
 };
\ No newline at end of file
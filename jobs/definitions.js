@@ -0,0 +1,35 @@
+/**
+ * Scheduled job definitions (cron expressions are evaluated in JOB_TIMEZONE)
+ */
+
+const { runAutoExtension, generateMissingPayments, markOverduePayments } = require('../services/billingService');
+const { purgeDeletedRecords } = require('../services/trashService');
+
+const jobDefinitions = [
+  {
+    name: 'auto-extend-subscriptions',
+    description: 'Extend subscriptions that ran to month end into the new month',
+    schedule: process.env.JOB_AUTO_EXTEND_CRON || '0 2 1 * *', // 02:00 on the 1st of every month
+    handler: () => runAutoExtension({ createdBy: 'Auto-Extension Scheduler' })
+  },
+  {
+    name: 'generate-payments',
+    description: 'Create payment records for active subscriptions without one',
+    schedule: process.env.JOB_GENERATE_PAYMENTS_CRON || '30 2 * * *', // 02:30 daily
+    handler: () => generateMissingPayments()
+  },
+  {
+    name: 'mark-overdue-payments',
+    description: 'Flag unpaid payments past their due date as overdue',
+    schedule: process.env.JOB_OVERDUE_SWEEP_CRON || '0 1 * * *', // 01:00 nightly
+    handler: () => markOverduePayments()
+  },
+  {
+    name: 'purge-deleted-records',
+    description: 'Permanently remove records in the trash for longer than SOFT_DELETE_RETENTION_DAYS (default 30)',
+    schedule: process.env.JOB_PURGE_DELETED_CRON || '0 3 * * *', // 03:00 nightly
+    handler: () => purgeDeletedRecords()
+  }
+];
+
+module.exports = jobDefinitions;
\ No newline at end of file
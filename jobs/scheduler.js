@@ -0,0 +1,157 @@
+/**
+ * In-process job scheduler
+ * Every instance schedules the same jobs; a lock document in Mongo lets only one of them run each tick
+ */
+
+const os = require('os');
+const cron = require('node-cron');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const jobDefinitions = require('./definitions');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const TIMEZONE = process.env.JOB_TIMEZONE || 'Asia/Dubai';
+// A crashed instance's lock expires after this long so the job is not blocked forever
+const LOCK_TTL_MS = (parseInt(process.env.JOB_LOCK_TTL_MINUTES) || 30) * 60 * 1000;
+
+const scheduledTasks = new Map();
+
+/**
+ * Try to take the distributed lock for a job
+ * @param {string} name - Job name
+ * @returns {Promise<boolean>} True if this instance now holds the lock
+ */
+const acquireLock = async (name) => {
+  const now = new Date();
+
+  try {
+    await ScheduledJob.updateOne({ name }, { $setOnInsert: { name } }, { upsert: true });
+  } catch (error) {
+    // Another instance created the record at the same moment
+    if (error.code !== 11000) throw error;
+  }
+
+  const job = await ScheduledJob.findOneAndUpdate(
+    { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+    { new: true }
+  );
+
+  return !!job;
+};
+
+/**
+ * Release a job lock held by this instance and persist the last-run record
+ * @param {string} name - Job name
+ * @param {Object} lastRun - Fields describing the finished run
+ * @returns {Promise}
+ */
+const releaseLock = async (name, lastRun) => {
+  await ScheduledJob.updateOne(
+    { name, lockedBy: INSTANCE_ID },
+    { $set: { lockedBy: null, lockedUntil: null, ...lastRun } }
+  );
+};
+
+/**
+ * Run a job now, if no other instance is running it
+ * @param {string} name - Job name
+ * @param {Object} options
+ * @param {string} [options.trigger] - 'schedule' or 'manual'
+ * @param {string} [options.triggeredBy] - Who started the run
+ * @returns {Promise<Object>} { run } when the job ran, { skipped: true, reason } otherwise
+ */
+const runJob = async (name, { trigger = 'schedule', triggeredBy = 'Scheduler' } = {}) => {
+  const definition = jobDefinitions.find(job => job.name === name);
+  if (!definition) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (!(await acquireLock(name))) {
+    return { skipped: true, reason: 'Job is already running on another instance' };
+  }
+
+  const run = await JobRun.create({
+    jobName: name,
+    trigger,
+    triggeredBy,
+    startedAt: new Date(),
+    host: INSTANCE_ID
+  });
+
+  try {
+    run.result = await definition.handler();
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Scheduled job ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = { message: error.message, stack: error.stack };
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+
+  try {
+    await run.save();
+  } finally {
+    await releaseLock(name, {
+      schedule: definition.schedule,
+      lastRunAt: run.startedAt,
+      lastFinishedAt: run.finishedAt,
+      lastStatus: run.status,
+      lastError: run.error?.message || null,
+      lastRunId: run._id
+    });
+  }
+
+  console.log(`⏱️  Job ${name} ${run.status} in ${run.durationMs}ms`);
+  return { run };
+};
+
+/**
+ * Schedule every job definition (no-op when ENABLE_SCHEDULER=false)
+ */
+const startScheduler = () => {
+  if (process.env.ENABLE_SCHEDULER === 'false') {
+    console.log('Job scheduler disabled (ENABLE_SCHEDULER=false)');
+    return;
+  }
+
+  jobDefinitions.forEach(definition => {
+    if (!cron.validate(definition.schedule)) {
+      console.error(`Invalid cron expression for job ${definition.name}: ${definition.schedule}`);
+      return;
+    }
+
+    const task = cron.schedule(definition.schedule, () => {
+      runJob(definition.name).catch(error => {
+        console.error(`Error running scheduled job ${definition.name}:`, error);
+      });
+    }, { timezone: TIMEZONE, name: definition.name });
+
+    scheduledTasks.set(definition.name, task);
+  });
+
+  console.log(`Job scheduler started with ${scheduledTasks.size} job(s) in ${TIMEZONE}`);
+};
+
+/**
+ * Get job definitions with their next scheduled run on this instance
+ * @returns {Array} Job summaries
+ */
+const getJobDefinitions = () => {
+  return jobDefinitions.map(({ name, description, schedule }) => ({
+    name,
+    description,
+    schedule,
+    timezone: TIMEZONE,
+    scheduled: scheduledTasks.has(name),
+    nextRunAt: scheduledTasks.get(name)?.getNextRun?.() || null
+  }));
+};
+
+module.exports = {
+  startScheduler,
+  runJob,
+  getJobDefinitions
+};
\ No newline at end of file
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Customer = require('../models/Customer');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const { hasPermission } = require('../utils/permissions');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,12 +14,23 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Customer portal tokens never grant staff access
+    if (decoded.type === 'customer') {
+      return res.status(403).json({ message: 'Staff access token required' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user || !user.isActive) {
       return res.status(403).json({ message: 'User account is inactive' });
     }
 
+    // Sessions ended by "log out all sessions" (or a password change)
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Session has been revoked. Please log in again.' });
+    }
+
     req.user = user;
     next();
   } catch (err) {
@@ -24,24 +38,66 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is super admin
-const requireSuperAdmin = (req, res, next) => {
-  if (req.user.role !== 'super_admin') {
-    return res.status(403).json({ message: 'Super admin access required' });
+// Middleware to authenticate a customer portal token (sets req.customer)
+const authenticateCustomer = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'customer') {
+      return res.status(403).json({ message: 'Customer access token required' });
+    }
+
+    const customer = await Customer.findById(decoded.id);
+
+    if (!customer || !customer.isActive) {
+      return res.status(403).json({ message: 'Customer account is inactive' });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (err) {
+    return res.status(403).json({ message: 'Invalid or expired token' });
+  }
+};
+
+// Middleware to check that the :id subscription belongs to the authenticated customer
+const requireOwnSubscription = async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ message: 'Invalid subscription ID format' });
+  }
+
+  const owned = await CustomerSubscription.exists({ _id: id, customerId: req.customer._id });
+
+  // Other customers' subscriptions look the same as missing ones
+  if (!owned) {
+    return res.status(404).json({ message: 'Subscription not found' });
   }
+
   next();
 };
 
-// Middleware to check if user is admin or super admin
-const requireAdmin = (req, res, next) => {
-  if (!['admin', 'super_admin'].includes(req.user.role)) {
-    return res.status(403).json({ message: 'Admin access required' });
+// Middleware to check that the user's role grants every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({ message: `Permission required: ${missing.join(', ')}` });
   }
   next();
 };
 
 module.exports = { 
   authenticateToken, 
-  requireSuperAdmin, 
-  requireAdmin 
+  authenticateCustomer,
+  requireOwnSubscription,
+  requirePermission
 };
\ No newline at end of file
@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Middleware to make the current request reachable from code that has no `req`
+// (e.g. Mongoose hooks recording who made a change)
+const captureRequestContext = (req, res, next) => {
+  storage.run({ req }, () => next());
+};
+
+// Request being handled in the current async context, or null outside a request (jobs, scripts)
+const getCurrentRequest = () => storage.getStore()?.req || null;
+
+module.exports = {
+  captureRequestContext,
+  getCurrentRequest
+};
\ No newline at end of file
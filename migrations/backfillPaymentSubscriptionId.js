@@ -0,0 +1,108 @@
+/**
+ * Database migration to link existing payments to the subscription they bill
+ * Payments used to be matched to subscriptions by customer + month + year, narrowed by the
+ * formatted planDetails.subscriptionPeriod string when a customer had several subscriptions
+ * in the same month. This applies the same heuristics once and stores the result in
+ * Payment.subscriptionId so the rest of the code can rely on the real link.
+ *
+ * Usage: node migrations/backfillPaymentSubscriptionId.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Payment = require('../models/Payment');
+const CustomerSubscription = require('../models/CustomerSubscription');
+
+const formatPeriodLabel = (subscription) =>
+  `${new Date(subscription.startDate).toDateString()} - ${new Date(subscription.endDate).toDateString()}`;
+
+async function backfillPaymentSubscriptionIds() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+    console.log('Connected to MongoDB');
+    if (dryRun) {
+      console.log('🔍 Dry run - no payments will be updated');
+    }
+
+    const payments = await Payment.find({ subscriptionId: null }).lean();
+    console.log(`\n💳 Found ${payments.length} payments without a subscription link`);
+
+    const results = {
+      linked: 0,
+      unmatched: [],
+      ambiguous: []
+    };
+
+    for (const payment of payments) {
+      // Same customer + billing period
+      const candidates = await CustomerSubscription.find({
+        customerId: payment.customer,
+        'subscriptionPeriod.month': payment.month,
+        'subscriptionPeriod.year': payment.year
+      }).lean();
+
+      let match = null;
+
+      if (candidates.length === 1) {
+        match = candidates[0];
+      } else if (candidates.length > 1) {
+        // Several subscriptions in the month - narrow by the formatted date range
+        const periodMatches = candidates.filter(subscription =>
+          formatPeriodLabel(subscription) === payment.planDetails?.subscriptionPeriod
+        );
+
+        if (periodMatches.length === 1) {
+          match = periodMatches[0];
+        } else {
+          results.ambiguous.push({
+            paymentId: payment._id,
+            period: `${payment.month}/${payment.year}`,
+            candidates: candidates.map(subscription => subscription._id)
+          });
+          continue;
+        }
+      }
+
+      if (!match) {
+        results.unmatched.push({
+          paymentId: payment._id,
+          period: `${payment.month}/${payment.year}`
+        });
+        continue;
+      }
+
+      if (!dryRun) {
+        await Payment.updateOne({ _id: payment._id }, { $set: { subscriptionId: match._id } });
+      }
+      results.linked++;
+    }
+
+    console.log('\n📊 Final Results:');
+    console.log(`✅ ${dryRun ? 'Would link' : 'Linked'}: ${results.linked}`);
+
+    console.log(`ℹ️  No matching subscription: ${results.unmatched.length}`);
+    results.unmatched.forEach(({ paymentId, period }) => {
+      console.log(`   - Payment ${paymentId} (${period})`);
+    });
+
+    console.log(`⚠️  Ambiguous (link manually): ${results.ambiguous.length}`);
+    results.ambiguous.forEach(({ paymentId, period, candidates }) => {
+      console.log(`   - Payment ${paymentId} (${period}) matches subscriptions ${candidates.join(', ')}`);
+    });
+
+    console.log('\n✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+backfillPaymentSubscriptionIds();
\ No newline at end of file
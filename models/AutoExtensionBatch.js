@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const autoExtensionBatchSchema = new mongoose.Schema({
+  targetPeriod: {
+    month: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 12
+    },
+    year: {
+      type: Number,
+      required: true
+    }
+  },
+  sourcePeriod: {
+    month: {
+      type: Number,
+      min: 1,
+      max: 12
+    },
+    year: {
+      type: Number
+    }
+  },
+  subscriptionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerSubscription'
+  }],
+  paymentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  summary: {
+    extended: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  // Full extended/skipped/errors breakdown returned by the run
+  results: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // 'running' while extensions are still being added to the batch
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'rolled_back'],
+    default: 'completed'
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'System'
+  },
+  rolledBackAt: {
+    type: Date
+  },
+  rolledBackBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+autoExtensionBatchSchema.index({ 'targetPeriod.year': 1, 'targetPeriod.month': 1 });
+autoExtensionBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AutoExtensionBatch', autoExtensionBatchSchema);
\ No newline at end of file
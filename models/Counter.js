@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Named sequences for server-generated document numbers (invoices, receipts, ...)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment a sequence and return the new value (starts at 1)
+counterSchema.statics.next = async function(name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+// Give back the most recently issued value, but only if nothing was issued after it
+counterSchema.statics.release = async function(name, seq, { session } = {}) {
+  const result = await this.updateOne({ _id: name, seq }, { $inc: { seq: -1 } }, { session });
+  return result.modifiedCount === 1;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
\ No newline at end of file
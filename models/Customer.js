@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
 const customerSchema = new mongoose.Schema({
   name: {
@@ -79,6 +81,13 @@ const customerSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Advance balance from overpayments, drawn first by new payment records
+  // Only changed through services/walletService so every change has a WalletTransaction
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
   notes: {
     type: String,
     trim: true,
@@ -112,4 +121,10 @@ customerSchema.index({ isActive: 1 });
 customerSchema.index({ createdAt: 1 });
 customerSchema.index({ updatedAt: 1 });
 
+// Deleted records stay in the trash until purged
+customerSchema.plugin(softDeletePlugin);
+
+// Record every change made through the API
+customerSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Customer', customerSchema);
\ No newline at end of file
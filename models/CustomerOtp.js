@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const customerOtpSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the code; the code itself is only ever sent by SMS
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+customerOtpSchema.index({ phone: 1, createdAt: -1 });
+// Codes are kept for a day, then removed by MongoDB
+customerOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('CustomerOtp', customerOtpSchema);
\ No newline at end of file
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const { resolveMeals, validateMealSetting } = require('../utils/mealResolver');
+
+// Custom meal setting: boolean (old format) or { enabled, deliveryTime, address } (new format)
+const customMealField = (mealType) => ({
+  type: mongoose.Schema.Types.Mixed,
+  default: null, // null means use plan default
+  // Shape only; the controllers check delivery times against the DeliverySlot collection
+  validate: {
+    validator: (value) => !validateMealSetting(mealType, value),
+    message: (props) => validateMealSetting(mealType, props.value)
+  }
+});
 
 const customerSubscriptionSchema = new mongoose.Schema({
   customerId: {
@@ -50,23 +64,24 @@ const customerSubscriptionSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: [0, 'Final price cannot be negative']
-    }
-  },
-  customMeals: {
-    // Allow custom meal selection different from plan defaults
-    breakfast: {
-      type: Boolean,
-      default: null // null means use plan default
     },
-    lunch: {
-      type: Boolean,
-      default: null
+    creditApplied: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit cannot be negative']
     },
-    dinner: {
-      type: Boolean,
-      default: null
+    closedDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Closed days cannot be negative']
     }
   },
+  customMeals: {
+    // Allow custom meal selection, delivery slot and address different from plan defaults
+    breakfast: customMealField('breakfast'),
+    lunch: customMealField('lunch'),
+    dinner: customMealField('dinner')
+  },
   status: {
     type: String,
     enum: ['active', 'paused', 'cancelled', 'completed'],
@@ -85,11 +100,70 @@ const customerSubscriptionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  pauseHistory: [{
+    // First day without deliveries
+    startDate: {
+      type: Date,
+      required: true
+    },
+    // First day deliveries restart (null while the pause is open)
+    endDate: {
+      type: Date,
+      default: null
+    },
+    daysPaused: {
+      type: Number,
+      min: 0
+    },
+    compensation: {
+      type: String,
+      enum: ['extend', 'credit']
+    },
+    creditAmount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    pausedBy: String,
+    resumedBy: String
+  }],
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'overdue', 'refunded'],
     default: 'pending'
   },
+  cancellation: {
+    // First day without service
+    effectiveDate: Date,
+    // Why the customer left (used for churn reporting)
+    reasonCode: {
+      type: String,
+      enum: ['price', 'food_quality', 'delivery_issues', 'dietary_change', 'relocation', 'travel', 'switched_provider', 'other'],
+      default: null
+    },
+    reasonNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cancellation note cannot exceed 500 characters']
+    },
+    cancelledAt: Date,
+    cancelledBy: String
+  },
+  // Mid-period plan changes split a subscription in two; these link the halves
+  previousSubscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerSubscription',
+    default: null
+  },
+  nextSubscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerSubscription',
+    default: null
+  },
   createdBy: {
     type: String,
     required: true,
@@ -109,6 +183,7 @@ customerSubscriptionSchema.index({ 'subscriptionPeriod.month': 1, 'subscriptionP
 customerSubscriptionSchema.index({ status: 1 });
 customerSubscriptionSchema.index({ paymentStatus: 1 });
 customerSubscriptionSchema.index({ startDate: 1, endDate: 1 });
+customerSubscriptionSchema.index({ 'cancellation.effectiveDate': 1, 'cancellation.reasonCode': 1 });
 
 // Compound index for better query performance (removed unique constraint to allow multiple subscriptions per month)
 customerSubscriptionSchema.index({ 
@@ -130,20 +205,43 @@ customerSubscriptionSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual to get effective meal selection
+// Virtual to get effective meal selection (plan defaults need mealPlanId populated)
 customerSubscriptionSchema.virtual('effectiveMeals').get(function() {
+  const mealPlan = this.populated('mealPlanId') ? this.mealPlanId : null;
+  const meals = resolveMeals(this, mealPlan);
   return {
-    breakfast: this.customMeals.breakfast !== null ? this.customMeals.breakfast : this.mealPlan?.meals?.breakfast || false,
-    lunch: this.customMeals.lunch !== null ? this.customMeals.lunch : this.mealPlan?.meals?.lunch || false,
-    dinner: this.customMeals.dinner !== null ? this.customMeals.dinner : this.mealPlan?.meals?.dinner || false
+    breakfast: meals.breakfast.enabled,
+    lunch: meals.lunch.enabled,
+    dinner: meals.dinner.enabled
   };
 });
 
+// Method to get the pause window that has not been resumed yet
+customerSubscriptionSchema.methods.getOpenPause = function() {
+  return (this.pauseHistory || []).find(pause => !pause.endDate) || null;
+};
+
+// Method to check if a date falls inside any recorded pause window
+customerSubscriptionSchema.methods.isPausedOnDate = function(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return (this.pauseHistory || []).some(pause =>
+    day >= pause.startDate && (!pause.endDate || day < pause.endDate)
+  );
+};
+
 // Method to check if subscription is active for a specific date
 customerSubscriptionSchema.methods.isActiveOnDate = function(date) {
-  return this.status === 'active' && 
+  return ['active', 'paused'].includes(this.status) && 
          date >= this.startDate && 
-         date <= this.endDate;
+         date <= this.endDate &&
+         !this.isPausedOnDate(date);
 };
 
+// Deleted records stay in the trash until purged
+customerSubscriptionSchema.plugin(softDeletePlugin);
+
+// Record every change made through the API
+customerSubscriptionSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('CustomerSubscription', customerSubscriptionSchema);
\ No newline at end of file
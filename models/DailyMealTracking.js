@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
 const dailyMealTrackingSchema = new mongoose.Schema({
   customerId: {
@@ -166,4 +167,7 @@ dailyMealTrackingSchema.pre('save', function(next) {
   next();
 });
 
+// Rows of deleted customers stay in the trash until purged
+dailyMealTrackingSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('DailyMealTracking', dailyMealTrackingSchema);
\ No newline at end of file
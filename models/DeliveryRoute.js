@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// One drop on a route - a single meal delivered to one customer
+const deliveryStopSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerSubscription',
+    required: [true, 'Subscription ID is required']
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed', 'customer_absent'],
+    default: 'pending'
+  },
+  // When the driver made the drop (or tried to)
+  statusAt: {
+    type: Date
+  },
+  // Reference to the proof-of-delivery photo (storage key or URL), uploaded by the driver app
+  photoRef: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Photo reference cannot exceed 500 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  markedBy: {
+    type: String
+  }
+});
+
+const deliveryRouteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Route name cannot exceed 100 characters']
+  },
+  // Local midnight of the delivery day
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  mealType: {
+    type: String,
+    required: [true, 'Meal type is required'],
+    enum: ['breakfast', 'lunch', 'dinner']
+  },
+  deliveryTime: {
+    type: String,
+    trim: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Driver is required']
+  },
+  stops: [deliveryStopSchema],
+  status: {
+    type: String,
+    enum: ['planned', 'in_progress', 'completed'],
+    default: 'planned'
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'System'
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+deliveryRouteSchema.index({ date: 1, mealType: 1 });
+deliveryRouteSchema.index({ driverId: 1, date: 1 });
+deliveryRouteSchema.index({ 'stops.subscriptionId': 1, date: 1 });
+
+// Route status follows its drops
+deliveryRouteSchema.pre('save', function(next) {
+  const done = this.stops.filter(stop => stop.status !== 'pending').length;
+
+  if (this.stops.length > 0 && done === this.stops.length) {
+    this.status = 'completed';
+  } else if (done > 0) {
+    this.status = 'in_progress';
+  } else {
+    this.status = 'planned';
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('DeliveryRoute', deliveryRouteSchema);
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const deliverySlotSchema = new mongoose.Schema({
+  mealType: {
+    type: String,
+    required: [true, 'Meal type is required'],
+    enum: ['breakfast', 'lunch', 'dinner']
+  },
+  // Stored on meal plans and subscriptions (e.g. 'standard', 'early-morning'), so it cannot change
+  key: {
+    type: String,
+    required: [true, 'Slot key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slot key may only contain letters, numbers and dashes']
+  },
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  // Local times, HH:MM (24h)
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_FORMAT, 'Start time must be HH:MM (24h)']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_FORMAT, 'End time must be HH:MM (24h)'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  // Changes for the day's delivery close this many minutes before the slot starts
+  cutoffMinutes: {
+    type: Number,
+    default: 120,
+    min: [0, 'Cut-off cannot be negative']
+  },
+  // Most deliveries the slot can take in a day (null means no limit)
+  capacity: {
+    type: Number,
+    default: null,
+    min: [1, 'Capacity must be at least 1']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'System'
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+deliverySlotSchema.index({ mealType: 1, key: 1 }, { unique: true });
+deliverySlotSchema.index({ isActive: 1 });
+
+// Record every change made through the API
+deliverySlotSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: String,
+    default: 'Scheduler'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number,
+    min: 0
+  },
+  // Summary returned by the job handler
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    message: String,
+    stack: String
+  },
+  host: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+jobRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const kitchenClosureSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  // Empty means the closure applies to every emirate
+  emirates: [{
+    type: String,
+    enum: ['Abu Dhabi', 'Dubai', 'Sharjah', 'Ajman', 'Ras Al Khaimah', 'Fujairah', 'Umm Al Quwain']
+  }],
+  // Empty means the closure applies to every meal
+  mealTypes: [{
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner']
+  }],
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'System'
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+kitchenClosureSchema.index({ date: 1 });
+
+// Method to check if the closure covers a given emirate and meal
+kitchenClosureSchema.methods.appliesTo = function(emirate, mealType) {
+  return (!this.emirates.length || this.emirates.includes(emirate)) &&
+         (!this.mealTypes.length || this.mealTypes.includes(mealType));
+};
+
+module.exports = mongoose.model('KitchenClosure', kitchenClosureSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const { resolveMeals, getEnabledMealTypes } = require('../utils/mealResolver');
 
 const mealPlanSchema = new mongoose.Schema({
   planName: {
@@ -84,39 +86,25 @@ mealPlanSchema.index({ planCode: 1 });
 mealPlanSchema.index({ isActive: 1 });
 mealPlanSchema.index({ 'pricing.basePrice': 1 });
 
-// Helper function to check if meal is enabled
-const isMealEnabled = (mealData) => {
-  if (typeof mealData === 'boolean') return mealData;
-  if (typeof mealData === 'object' && mealData !== null) return mealData.enabled;
-  return false;
-};
-
 // Virtual to get meal count
 mealPlanSchema.virtual('mealCount').get(function() {
-  return (isMealEnabled(this.meals.breakfast) ? 1 : 0) + 
-         (isMealEnabled(this.meals.lunch) ? 1 : 0) + 
-         (isMealEnabled(this.meals.dinner) ? 1 : 0);
+  return getEnabledMealTypes(null, this).length;
 });
 
 // Method to get meal types as array
 mealPlanSchema.methods.getMealTypes = function() {
-  const meals = [];
-  if (isMealEnabled(this.meals.breakfast)) meals.push('breakfast');
-  if (isMealEnabled(this.meals.lunch)) meals.push('lunch');
-  if (isMealEnabled(this.meals.dinner)) meals.push('dinner');
-  return meals;
+  return getEnabledMealTypes(null, this);
 };
 
 // Method to get meal with delivery times
 mealPlanSchema.methods.getMealsWithDeliveryTimes = function() {
   const meals = {};
   
-  ['breakfast', 'lunch', 'dinner'].forEach(mealType => {
-    const mealData = this.meals[mealType];
-    if (isMealEnabled(mealData)) {
+  Object.entries(resolveMeals(null, this)).forEach(([mealType, meal]) => {
+    if (meal.enabled) {
       meals[mealType] = {
         enabled: true,
-        deliveryTime: (typeof mealData === 'object' && mealData.deliveryTime) ? mealData.deliveryTime : 'standard'
+        deliveryTime: meal.deliveryTime
       };
     }
   });
@@ -124,4 +112,7 @@ mealPlanSchema.methods.getMealsWithDeliveryTimes = function() {
   return meals;
 };
 
+// Record every change made through the API
+mealPlanSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('MealPlan', mealPlanSchema);
\ No newline at end of file
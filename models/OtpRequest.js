@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One document per login code requested for a phone number, registered or not, so request
+// throttling cannot tell the two apart
+const otpRequestSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+otpRequestSchema.index({ phone: 1, createdAt: -1 });
+// Requests are kept for a day, then removed by MongoDB
+otpRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpRequest', otpRequestSchema);
\ No newline at end of file
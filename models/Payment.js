@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
 const paymentSchema = new mongoose.Schema({
   customer: {
@@ -6,6 +8,12 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Customer',
     required: true
   },
+  // Subscription this payment bills (null for payments recorded without one)
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerSubscription',
+    default: null
+  },
   month: {
     type: Number,
     required: true,
@@ -26,6 +34,10 @@ const paymentSchema = new mongoose.Schema({
       required: true,
       min: [0, 'Amount cannot be negative']
     },
+    proratedAmount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
     finalAmount: {
       type: Number,
       min: [0, 'Amount cannot be negative']
@@ -48,6 +60,22 @@ const paymentSchema = new mongoose.Schema({
     subscriptionDays: {
       type: Number,
       min: [1, 'Subscription must be at least 1 day']
+    },
+    monthDays: {
+      type: Number,
+      min: [1, 'Month must have at least 1 day']
+    },
+    proratedRatio: {
+      type: Number,
+      min: [0, 'Ratio cannot be negative']
+    },
+    creditApplied: {
+      type: Number,
+      min: [0, 'Credit cannot be negative']
+    },
+    closedDays: {
+      type: Number,
+      min: [0, 'Closed days cannot be negative']
     }
   },
   amountPaid: {
@@ -60,14 +88,20 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Due amount cannot be negative']
   },
+  // Total paid back to the customer (already deducted from amountPaid)
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'partial', 'paid', 'overdue'],
+    enum: ['pending', 'partial', 'paid', 'overdue', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
     type: String,
-    enum: ['cash', 'online', 'upi', 'bank_transfer', 'card', 'cheque'],
+    enum: ['cash', 'online', 'upi', 'bank_transfer', 'card', 'cheque', 'wallet'],
     default: 'cash'
   },
   paymentDate: Date,
@@ -77,6 +111,13 @@ const paymentSchema = new mongoose.Schema({
   },
   transactionId: String,
   receiptNumber: String,
+  // Sequential invoice number, issued the first time an invoice is generated
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoiceIssuedAt: Date,
   notes: String,
   paymentHistory: [{
     amount: {
@@ -86,7 +127,7 @@ const paymentSchema = new mongoose.Schema({
     },
     paymentMethod: {
       type: String,
-      enum: ['cash', 'online', 'upi', 'bank_transfer', 'card', 'cheque'],
+      enum: ['cash', 'online', 'upi', 'bank_transfer', 'card', 'cheque', 'wallet'],
       required: true
     },
     transactionId: String,
@@ -95,6 +136,47 @@ const paymentSchema = new mongoose.Schema({
       default: Date.now
     },
     notes: String,
+    receiptNumber: String,
+    // Part of this entry that exceeded the amount due and went to the customer's wallet
+    creditedToWallet: {
+      type: Number,
+      default: 0
+    },
+    // Running totals at the moment this entry was recorded, shown on its receipt
+    paidToDate: Number,
+    balanceAfter: Number,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Refund amount must be greater than zero']
+    },
+    refundMethod: {
+      type: String,
+      enum: ['cash', 'online', 'upi', 'bank_transfer', 'card', 'cheque', 'wallet'],
+      required: true
+    },
+    reason: {
+      type: String,
+      required: [true, 'Refund reason is required'],
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    // paymentHistory entry this refund reverses (empty for refunds against the payment as a whole)
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    refundNumber: String,
+    transactionId: String,
+    refundedAt: {
+      type: Date,
+      default: Date.now
+    },
     recordedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -112,6 +194,8 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ customer: 1, month: 1, year: 1 });
 
 // Other indexes for better performance
+paymentSchema.index({ subscriptionId: 1 });
+paymentSchema.index({ 'paymentHistory.receiptNumber': 1 });
 paymentSchema.index({ paymentStatus: 1 });
 paymentSchema.index({ dueDate: 1 });
 paymentSchema.index({ month: 1, year: 1 });
@@ -119,7 +203,9 @@ paymentSchema.index({ createdAt: -1 });
 
 // Update payment status based on amount paid vs due
 paymentSchema.pre('save', function(next) {
-  if (this.amountPaid >= this.amountDue) {
+  if (this.amountRefunded > 0 && this.amountPaid <= 0) {
+    this.paymentStatus = 'refunded';
+  } else if (this.amountPaid >= this.amountDue) {
     this.paymentStatus = 'paid';
   } else if (this.amountPaid > 0) {
     this.paymentStatus = 'partial';
@@ -131,4 +217,10 @@ paymentSchema.pre('save', function(next) {
   next();
 });
 
+// Deleted records stay in the trash until purged
+paymentSchema.plugin(softDeletePlugin);
+
+// Record every change made through the API
+paymentSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
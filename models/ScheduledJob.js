@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One document per job definition: holds the distributed lock and the last-run record
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  schedule: {
+    type: String,
+    trim: true
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: {
+    type: String
+  },
+  lastRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRun'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
\ No newline at end of file
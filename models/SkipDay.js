@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const skipDaySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerSubscription',
+    required: [true, 'Subscription ID is required']
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  mealType: {
+    type: String,
+    required: [true, 'Meal type is required'],
+    enum: ['breakfast', 'lunch', 'dinner']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  creditAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  },
+  // Subscription whose billing absorbed this credit (null while the credit is pending)
+  creditAppliedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerSubscription',
+    default: null
+  },
+  creditAppliedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'System'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+skipDaySchema.index({ customerId: 1 });
+skipDaySchema.index({ date: 1, mealType: 1 });
+
+// A meal can only be skipped once per subscription and day
+skipDaySchema.index({ 
+  subscriptionId: 1, 
+  date: 1, 
+  mealType: 1 
+}, { unique: true });
+
+module.exports = mongoose.model('SkipDay', skipDaySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const auditPlugin = require('../utils/auditPlugin');
+const { ROLE_NAMES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,7 +25,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['super_admin', 'admin'],
+    enum: ROLE_NAMES,
     default: 'admin'
   },
   phone: {
@@ -37,6 +39,11 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  // Bumped to invalidate every access token issued so far (log out all sessions)
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -71,4 +78,7 @@ userSchema.methods.toJSON = function() {
   return userObject;
 };
 
+// Record every change made through the API
+userSchema.plugin(auditPlugin, { ignore: ['lastLogin'] });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
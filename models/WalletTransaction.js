@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['credit', 'debit']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  // Customer wallet balance right after this transaction
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['overpayment', 'payment_applied', 'refund', 'reversal']
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    default: 'System'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+walletTransactionSchema.index({ customerId: 1, createdAt: -1 });
+walletTransactionSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require authentication and the audit:view permission
+router.use(authenticateToken, requirePermission('audit:view'));
+
+// @route   GET /api/audit
+router.get('/', getAuditLogs);
+
+module.exports = router;
\ No newline at end of file
@@ -1,11 +1,36 @@
 const express = require('express');
-const { login, getMe, updateProfile, changePassword } = require('../controllers/authController');
+const {
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  getMe,
+  updateProfile,
+  changePassword
+} = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/auth');
 const router = express.Router();
 
 // @route   POST /api/auth/login
 router.post('/login', login);
 
+// @route   POST /api/auth/refresh
+router.post('/refresh', refresh);
+
+// @route   POST /api/auth/logout
+router.post('/logout', logout);
+
+// @route   POST /api/auth/logout-all
+router.post('/logout-all', authenticateToken, logoutAll);
+
+// @route   POST /api/auth/forgot-password
+router.post('/forgot-password', forgotPassword);
+
+// @route   POST /api/auth/reset-password
+router.post('/reset-password', resetPassword);
+
 // @route   GET /api/auth/me
 router.get('/me', authenticateToken, getMe);
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const { getClosures, createClosure, updateClosure, deleteClosure } = require('../controllers/closureController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// @route   GET /api/closures
+router.get('/', requirePermission('closures:view'), getClosures);
+
+// @route   POST /api/closures
+router.post('/', requirePermission('closures:manage'), createClosure);
+
+// @route   PUT /api/closures/:id
+router.put('/:id', requirePermission('closures:manage'), updateClosure);
+
+// @route   DELETE /api/closures/:id
+router.delete('/:id', requirePermission('closures:manage'), deleteClosure);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const express = require('express');
+const {
+  requestOtp,
+  verifyOtp,
+  getMyProfile,
+  updateMyAddress,
+  getMySubscriptions,
+  getMyPayments,
+  addMySkipDays,
+  removeMySkipDay
+} = require('../controllers/customerPortalController');
+const { getSubscriptionSkips } = require('../controllers/skipDayController');
+const { authenticateCustomer, requireOwnSubscription } = require('../middleware/auth');
+const router = express.Router();
+
+// @route   POST /api/me/auth/request-otp
+router.post('/auth/request-otp', requestOtp);
+
+// @route   POST /api/me/auth/verify-otp
+router.post('/auth/verify-otp', verifyOtp);
+
+// Everything below requires a customer token and only ever touches that customer's data
+router.use(authenticateCustomer);
+
+// @route   GET /api/me
+router.get('/', getMyProfile);
+
+// @route   PUT /api/me/address
+router.put('/address', updateMyAddress);
+
+// @route   GET /api/me/subscriptions
+router.get('/subscriptions', getMySubscriptions);
+
+// @route   GET /api/me/payments
+router.get('/payments', getMyPayments);
+
+// @route   GET /api/me/subscriptions/:id/skips
+router.get('/subscriptions/:id/skips', requireOwnSubscription, getSubscriptionSkips);
+
+// @route   POST /api/me/subscriptions/:id/skips
+router.post('/subscriptions/:id/skips', requireOwnSubscription, addMySkipDays);
+
+// @route   DELETE /api/me/subscriptions/:id/skips/:skipId
+router.delete('/subscriptions/:id/skips/:skipId', requireOwnSubscription, removeMySkipDay);
+
+module.exports = router;
\ No newline at end of file
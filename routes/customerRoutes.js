@@ -6,33 +6,37 @@ const {
   updateCustomer, 
   deleteCustomer,
   getCustomerStats,
+  getCustomerWallet,
   getFilterOptions
 } = require('../controllers/customerController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
-// All routes require authentication and admin access
-router.use(authenticateToken, requireAdmin);
+// All routes require authentication
+router.use(authenticateToken);
 
 // @route   GET /api/customers/dashboard/stats
-router.get('/dashboard/stats', getCustomerStats);
+router.get('/dashboard/stats', requirePermission('reports:view'), getCustomerStats);
 
 // @route   GET /api/customers/filter-options
-router.get('/filter-options', getFilterOptions);
+router.get('/filter-options', requirePermission('customers:view'), getFilterOptions);
 
 // @route   GET /api/customers
-router.get('/', getCustomers);
+router.get('/', requirePermission('customers:view'), getCustomers);
 
 // @route   POST /api/customers
-router.post('/', createCustomer);
+router.post('/', requirePermission('customers:create'), createCustomer);
 
 // @route   GET /api/customers/:id
-router.get('/:id', getCustomerById);
+router.get('/:id', requirePermission('customers:view'), getCustomerById);
+
+// @route   GET /api/customers/:id/wallet
+router.get('/:id/wallet', requirePermission('customers:view'), getCustomerWallet);
 
 // @route   PUT /api/customers/:id
-router.put('/:id', updateCustomer);
+router.put('/:id', requirePermission('customers:update'), updateCustomer);
 
 // @route   DELETE /api/customers/:id
-router.delete('/:id', deleteCustomer);
+router.delete('/:id', requirePermission('customers:delete'), deleteCustomer);
 
 module.exports = router;
\ No newline at end of file
@@ -7,18 +7,18 @@ const {
   getDeliveryTimeBreakdown,
   createDailyTracking
 } = require('../controllers/dailyTrackingController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
-// All routes require authentication and admin access
-router.use(authenticateToken, requireAdmin);
+// All routes require authentication
+router.use(authenticateToken);
 
 // Routes
 router.route('/')
-  .get(getDailyRecords)
-  .post(createDailyTracking);
+  .get(requirePermission('tracking:view'), getDailyRecords)
+  .post(requirePermission('tracking:update'), createDailyTracking);
 
-router.post('/attendance', markAttendance);
-router.get('/stats/today', getTodayStats);
-router.get('/stats/delivery-times', getDeliveryTimeBreakdown);
+router.post('/attendance', requirePermission('tracking:update'), markAttendance);
+router.get('/stats/today', requirePermission('tracking:view'), getTodayStats);
+router.get('/stats/delivery-times', requirePermission('tracking:view'), getDeliveryTimeBreakdown);
 
 module.exports = router;
\ No newline at end of file
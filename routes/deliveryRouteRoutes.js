@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getDeliveryRoutes,
+  getDeliveryRoute,
+  createDeliveryRoute,
+  updateDeliveryRoute,
+  deleteDeliveryRoute
+} = require('../controllers/deliveryRouteController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require authentication and route planning access
+router.use(authenticateToken, requirePermission('deliveries:manage'));
+
+// @route   GET /api/delivery-routes
+router.get('/', getDeliveryRoutes);
+
+// @route   POST /api/delivery-routes
+router.post('/', createDeliveryRoute);
+
+// @route   GET /api/delivery-routes/:id
+router.get('/:id', getDeliveryRoute);
+
+// @route   PUT /api/delivery-routes/:id
+router.put('/:id', updateDeliveryRoute);
+
+// @route   DELETE /api/delivery-routes/:id
+router.delete('/:id', deleteDeliveryRoute);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getDeliverySlots,
+  createDeliverySlot,
+  updateDeliverySlot,
+  deleteDeliverySlot
+} = require('../controllers/deliverySlotController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// @route   GET /api/delivery-slots
+router.get('/', requirePermission('delivery-slots:view'), getDeliverySlots);
+
+// @route   POST /api/delivery-slots
+router.post('/', requirePermission('delivery-slots:manage'), createDeliverySlot);
+
+// @route   PUT /api/delivery-slots/:id
+router.put('/:id', requirePermission('delivery-slots:manage'), updateDeliverySlot);
+
+// @route   DELETE /api/delivery-slots/:id
+router.delete('/:id', requirePermission('delivery-slots:manage'), deleteDeliverySlot);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const { getMyRoutes, getMyRoute, markDrop } = require('../controllers/driverController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require a driver signed in
+router.use(authenticateToken, requirePermission('deliveries:drive'));
+
+// @route   GET /api/driver/routes
+router.get('/routes', getMyRoutes);
+
+// @route   GET /api/driver/routes/:id
+router.get('/routes/:id', getMyRoute);
+
+// @route   POST /api/driver/routes/:id/stops/:stopId
+router.post('/routes/:id/stops/:stopId', markDrop);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const { getJobs, getJobRuns, triggerJob } = require('../controllers/jobController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// @route   GET /api/jobs
+router.get('/', requirePermission('jobs:view'), getJobs);
+
+// @route   GET /api/jobs/runs
+router.get('/runs', requirePermission('jobs:view'), getJobRuns);
+
+// @route   POST /api/jobs/:name/run
+router.post('/:name/run', requirePermission('jobs:run'), triggerJob);
+
+module.exports = router;
\ No newline at end of file
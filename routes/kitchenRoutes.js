@@ -0,0 +1,12 @@
+const express = require('express');
+const { getProductionSheet } = require('../controllers/kitchenController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require authentication and kitchen access
+router.use(authenticateToken, requirePermission('kitchen:view'));
+
+// @route   GET /api/kitchen/production
+router.get('/production', getProductionSheet);
+
+module.exports = router;
\ No newline at end of file
@@ -9,22 +9,22 @@ const {
   getMealPlanPricing,
   getMealPlanStats
 } = require('../controllers/mealPlanController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
-// All routes require authentication and admin access
-router.use(authenticateToken, requireAdmin);
+// All routes require authentication
+router.use(authenticateToken);
 
 // Routes - Order matters! Specific routes MUST come before parameterized routes
-router.get('/stats', getMealPlanStats);
-router.get('/pricing/:planId', getMealPlanPricing);
+router.get('/stats', requirePermission('reports:view'), getMealPlanStats);
+router.get('/pricing/:planId', requirePermission('meal-plans:view'), getMealPlanPricing);
 
 router.route('/')
-  .get(getMealPlans)
-  .post(createMealPlan);
+  .get(requirePermission('meal-plans:view'), getMealPlans)
+  .post(requirePermission('meal-plans:manage'), createMealPlan);
 
 router.route('/:id')
-  .get(getMealPlan)
-  .put(updateMealPlan)
-  .delete(deleteMealPlan);
+  .get(requirePermission('meal-plans:view'), getMealPlan)
+  .put(requirePermission('meal-plans:manage'), updateMealPlan)
+  .delete(requirePermission('meal-plans:manage'), deleteMealPlan);
 
 module.exports = router;
\ No newline at end of file
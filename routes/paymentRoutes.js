@@ -6,41 +6,53 @@ const {
   updatePayment,
   deletePayment,
   recordPayment,
+  refundPayment,
+  getPaymentInvoice,
+  getPaymentReceipt,
   getPaymentStats,
   getMonthlyReport,
   getYearlyReport
 } = require('../controllers/paymentController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
-// All routes require authentication and admin access
-router.use(authenticateToken, requireAdmin);
+// All routes require authentication
+router.use(authenticateToken);
 
 // @route   GET /api/payments/dashboard/stats
-router.get('/dashboard/stats', getPaymentStats);
+router.get('/dashboard/stats', requirePermission('reports:view'), getPaymentStats);
 
 // @route   GET /api/payments/reports/monthly
-router.get('/reports/monthly', getMonthlyReport);
+router.get('/reports/monthly', requirePermission('reports:view'), getMonthlyReport);
 
 // @route   GET /api/payments/reports/yearly
-router.get('/reports/yearly', getYearlyReport);
+router.get('/reports/yearly', requirePermission('reports:view'), getYearlyReport);
 
 // @route   GET /api/payments
-router.get('/', getPayments);
+router.get('/', requirePermission('payments:view'), getPayments);
 
 // @route   GET /api/payments/:id
-router.get('/:id', getPayment);
+router.get('/:id', requirePermission('payments:view'), getPayment);
 
 // @route   POST /api/payments
-router.post('/', createPayment);
+router.post('/', requirePermission('payments:create'), createPayment);
 
 // @route   PUT /api/payments/:id
-router.put('/:id', updatePayment);
+router.put('/:id', requirePermission('payments:update'), updatePayment);
 
 // @route   DELETE /api/payments/:id
-router.delete('/:id', deletePayment);
+router.delete('/:id', requirePermission('payments:delete'), deletePayment);
 
 // @route   POST /api/payments/:id/record
-router.post('/:id/record', recordPayment);
+router.post('/:id/record', requirePermission('payments:record'), recordPayment);
+
+// @route   POST /api/payments/:id/refund
+router.post('/:id/refund', requirePermission('payments:refund'), refundPayment);
+
+// @route   GET /api/payments/:id/invoice
+router.get('/:id/invoice', requirePermission('payments:view'), getPaymentInvoice);
+
+// @route   GET /api/payments/:id/receipts/:entryId
+router.get('/:id/receipts/:entryId', requirePermission('payments:view'), getPaymentReceipt);
 
 module.exports = router;
\ No newline at end of file
@@ -6,47 +6,72 @@ const {
   createSubscription,
   updateSubscription,
   cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  changeSubscriptionPlan,
+  updateDeliveryPreferences,
   calculateSubscriptionPricing,
   getSubscriptionStats,
   autoExtendSubscriptions,
+  getAutoExtensionBatches,
+  rollbackAutoExtension,
   getEligibleForAutoExtension,
   generatePaymentsForExistingSubscriptions,
   getWeeklySubscriptionReport,
+  getChurnReport,
   checkSubscriptionPayments,
   checkSubscriptionPaymentsBulk,
   deleteSubscription,
   getDeliveryTimeOptions,
-  getDeliveryReport
+  getDeliveryReport,
+  getDeliveryRoutePlan
 } = require('../controllers/subscriptionController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  getSubscriptionSkips,
+  addSkipDays,
+  removeSkipDay
+} = require('../controllers/skipDayController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
-// All routes require authentication and admin access
-router.use(authenticateToken, requireAdmin);
+// All routes require authentication
+router.use(authenticateToken);
 
 // Routes - Order matters! Specific routes MUST come before parameterized routes
-router.get('/stats', getSubscriptionStats);
-router.get('/reports/weekly', getWeeklySubscriptionReport);
-router.get('/reports/delivery', getDeliveryReport);
-router.get('/delivery-time-options', getDeliveryTimeOptions);
-router.post('/calculate-pricing', calculateSubscriptionPricing);
-router.post('/auto-extend', autoExtendSubscriptions);
-router.get('/auto-extend/eligible', getEligibleForAutoExtension);
-router.post('/generate-payments', generatePaymentsForExistingSubscriptions);
-router.post('/generate-payments', generatePaymentsForExistingSubscriptions);
-router.post('/check-payments-bulk', checkSubscriptionPaymentsBulk);
-
-router.get('/customer/:customerId', getCustomerSubscriptions);
-router.get('/:id/check-payments', checkSubscriptionPayments);
+router.get('/stats', requirePermission('reports:view'), getSubscriptionStats);
+router.get('/reports/weekly', requirePermission('reports:view'), getWeeklySubscriptionReport);
+router.get('/reports/delivery', requirePermission('tracking:view'), getDeliveryReport);
+router.get('/reports/delivery/routes', requirePermission('deliveries:manage'), getDeliveryRoutePlan);
+router.get('/reports/churn', requirePermission('reports:view'), getChurnReport);
+router.get('/delivery-time-options', requirePermission('subscriptions:view'), getDeliveryTimeOptions);
+router.post('/calculate-pricing', requirePermission('subscriptions:view'), calculateSubscriptionPricing);
+router.post('/auto-extend', requirePermission('subscriptions:auto-extend'), autoExtendSubscriptions);
+router.get('/auto-extend/eligible', requirePermission('subscriptions:auto-extend'), getEligibleForAutoExtension);
+router.get('/auto-extend/batches', requirePermission('subscriptions:auto-extend'), getAutoExtensionBatches);
+router.post('/auto-extend/:batchId/rollback', requirePermission('subscriptions:auto-extend'), rollbackAutoExtension);
+router.post('/generate-payments', requirePermission('payments:create'), generatePaymentsForExistingSubscriptions);
+router.post('/check-payments-bulk', requirePermission('payments:view'), checkSubscriptionPaymentsBulk);
+
+router.get('/customer/:customerId', requirePermission('subscriptions:view'), getCustomerSubscriptions);
+router.get('/:id/check-payments', requirePermission('payments:view'), checkSubscriptionPayments);
+router.post('/:id/pause', requirePermission('subscriptions:update'), pauseSubscription);
+router.post('/:id/resume', requirePermission('subscriptions:update'), resumeSubscription);
+router.post('/:id/change-plan', requirePermission('subscriptions:update'), changeSubscriptionPlan);
+router.put('/:id/delivery-preferences', requirePermission('subscriptions:update'), updateDeliveryPreferences);
+
+router.route('/:id/skips')
+  .get(requirePermission('subscriptions:view'), getSubscriptionSkips)
+  .post(requirePermission('subscriptions:update'), addSkipDays);
+router.delete('/:id/skips/:skipId', requirePermission('subscriptions:update'), removeSkipDay);
 
 router.route('/')
-  .get(getSubscriptions)
-  .post(createSubscription);
+  .get(requirePermission('subscriptions:view'), getSubscriptions)
+  .post(requirePermission('subscriptions:create'), createSubscription);
 
 router.route('/:id')
-  .put(updateSubscription)
-  .delete(deleteSubscription);
+  .put(requirePermission('subscriptions:update'), updateSubscription)
+  .delete(requirePermission('subscriptions:delete'), deleteSubscription);
 
 // Keep the cancel route for backward compatibility
-router.put('/:id/cancel', cancelSubscription);
+router.put('/:id/cancel', requirePermission('subscriptions:cancel'), cancelSubscription);
 
 module.exports = router;
\ No newline at end of file
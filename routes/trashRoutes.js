@@ -0,0 +1,15 @@
+const express = require('express');
+const { getTrash, restoreFromTrash } = require('../controllers/trashController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// All routes require authentication and the trash:manage permission
+router.use(authenticateToken, requirePermission('trash:manage'));
+
+// @route   GET /api/trash
+router.get('/', getTrash);
+
+// @route   POST /api/trash/:entity/:id/restore
+router.post('/:entity/:id/restore', restoreFromTrash);
+
+module.exports = router;
\ No newline at end of file
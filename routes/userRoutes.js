@@ -1,24 +1,30 @@
 const express = require('express');
-const { getUsers, createUser, updateUser, deleteUser, getUserById } = require('../controllers/userController');
-const { authenticateToken, requireSuperAdmin, requireAdmin } = require('../middleware/auth');
+const { getUsers, getRoles, createUser, updateUser, deleteUser, logoutUserSessions, getUserById } = require('../controllers/userController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
 // @route   GET /api/users
-router.get('/', requireAdmin, getUsers);
+router.get('/', requirePermission('users:view'), getUsers);
+
+// @route   GET /api/users/roles
+router.get('/roles', requirePermission('users:view'), getRoles);
 
 // @route   POST /api/users
-router.post('/', requireSuperAdmin, createUser);
+router.post('/', requirePermission('users:manage'), createUser);
 
 // @route   GET /api/users/:id
-router.get('/:id', requireAdmin, getUserById);
+router.get('/:id', requirePermission('users:view'), getUserById);
 
 // @route   PUT /api/users/:id
-router.put('/:id', requireSuperAdmin, updateUser);
+router.put('/:id', requirePermission('users:manage'), updateUser);
+
+// @route   POST /api/users/:id/logout-all
+router.post('/:id/logout-all', requirePermission('users:manage'), logoutUserSessions);
 
 // @route   DELETE /api/users/:id
-router.delete('/:id', requireSuperAdmin, deleteUser);
+router.delete('/:id', requirePermission('users:manage'), deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -8,6 +8,9 @@ const mongoose = require('mongoose');
 // Load environment variables
 dotenv.config();
 
+const { startScheduler } = require('./jobs/scheduler');
+const { captureRequestContext } = require('./middleware/requestContext');
+
 const app = express();
 
 // Security middleware
@@ -31,9 +34,16 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Make the current request (actor, route, IP) available to the audit log hooks
+app.use(captureRequestContext);
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    // Scheduled jobs need the database, so start them once connected
+    startScheduler();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -59,6 +69,15 @@ app.use('/api/tracking', require('./routes/trackingRoutesNew'));
 app.use('/api/daily-tracking', require('./routes/dailyTrackingRoutes'));
 app.use('/api/meal-plans', require('./routes/mealPlans'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
+app.use('/api/closures', require('./routes/closureRoutes'));
+app.use('/api/jobs', require('./routes/jobRoutes'));
+app.use('/api/audit', require('./routes/auditRoutes'));
+app.use('/api/trash', require('./routes/trashRoutes'));
+app.use('/api/me', require('./routes/customerPortalRoutes'));
+app.use('/api/delivery-routes', require('./routes/deliveryRouteRoutes'));
+app.use('/api/driver', require('./routes/driverRoutes'));
+app.use('/api/kitchen', require('./routes/kitchenRoutes'));
+app.use('/api/delivery-slots', require('./routes/deliverySlotRoutes'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,891 @@
+/**
+ * Billing workflows shared by the admin endpoints and the scheduled job runner
+ */
+
+const mongoose = require('mongoose');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const Payment = require('../models/Payment');
+const SkipDay = require('../models/SkipDay');
+const DailyMealTracking = require('../models/DailyMealTracking');
+const AutoExtensionBatch = require('../models/AutoExtensionBatch');
+const { applyWalletToPayment, creditWallet } = require('./walletService');
+const { nextRefundNumber } = require('./invoiceService');
+const { calculateProratedAmount } = require('../utils/proratedAmountUtils');
+const { getPendingSkipCredits, claimSkipCredits, getEnabledMealTypes } = require('../utils/skipDayUtils');
+const { countClosedDays } = require('../utils/closureUtils');
+const { runInTransaction } = require('../utils/transactionUtils');
+
+/**
+ * Extend subscriptions that ran to the end of last month into the target month
+ * Creates the new subscription and its payment record for every eligible customer,
+ * and records the run as a batch that can be rolled back. Each customer's extension is
+ * written in its own transaction, so a failure never leaves a subscription without its bill.
+ * @param {Object} options
+ * @param {number} [options.targetMonth] - Month to extend into (1-12, defaults to current month)
+ * @param {number} [options.targetYear] - Year to extend into (defaults to current year)
+ * @param {string} [options.createdBy] - Name recorded on the new subscriptions
+ * @param {boolean} [options.dryRun] - Price and validate everything without writing
+ * @returns {Promise<Object>} { dryRun, batchId, targetPeriod, sourcePeriod, results: { extended, skipped, errors } }
+ */
+const runAutoExtension = async ({ targetMonth, targetYear, createdBy, dryRun = false } = {}) => {
+  // Use provided target month/year or default to current month
+  const currentDate = new Date();
+  const extendToMonth = targetMonth || (currentDate.getMonth() + 1); // Current month (1-indexed)
+  const extendToYear = targetYear || currentDate.getFullYear();
+  
+  // Calculate previous month for source subscriptions
+  const sourceMonth = extendToMonth === 1 ? 12 : extendToMonth - 1;
+  const sourceYear = extendToMonth === 1 ? extendToYear - 1 : extendToYear;
+  
+  console.log(`🎯 Auto-extension: FROM ${sourceMonth}/${sourceYear} TO ${extendToMonth}/${extendToYear}`);
+  
+  // Find active subscriptions from previous month
+  const allSubscriptions = await CustomerSubscription.find({
+    status: 'active',
+    'subscriptionPeriod.month': sourceMonth,
+    'subscriptionPeriod.year': sourceYear
+  })
+  .populate('customerId', 'name phone email emirates walletBalance')
+  .populate('mealPlanId', 'planName planCode meals pricing');
+  
+  // Get the last day of the source month
+  const lastDayOfSourceMonth = new Date(sourceYear, sourceMonth, 0).getDate();
+  
+  // Filter to only include customers whose latest subscription ends on the last day of the month
+  const eligibleSubscriptions = [];
+  const customerGroups = {};
+  
+  // Group subscriptions by customer
+  allSubscriptions.forEach(sub => {
+    const customerId = sub.customerId._id.toString();
+    if (!customerGroups[customerId]) {
+      customerGroups[customerId] = [];
+    }
+    customerGroups[customerId].push(sub);
+  });
+  
+  // Check each customer's subscriptions for eligibility
+  for (const [customerId, customerSubs] of Object.entries(customerGroups)) {
+    // Find the subscription with the latest end date for this customer
+    let latestSubscription = customerSubs[0];
+    let latestEndDate = new Date(latestSubscription.endDate);
+    
+    for (const sub of customerSubs) {
+      const subEndDate = new Date(sub.endDate);
+      if (subEndDate > latestEndDate) {
+        latestSubscription = sub;
+        latestEndDate = subEndDate;
+      }
+    }
+    
+    // Check if the latest subscription ends on the last day of the month
+    const subscriptionEndDay = latestEndDate.getDate();
+    
+    if (subscriptionEndDay === lastDayOfSourceMonth) {
+      // This customer is eligible for auto-extension
+      eligibleSubscriptions.push(latestSubscription);
+    }
+  }
+  
+  console.log(`Found ${allSubscriptions.length} total active subscriptions from ${sourceMonth}/${sourceYear}`);
+  console.log(`${eligibleSubscriptions.length} subscriptions are eligible for auto-extension (ending on last day of month: ${lastDayOfSourceMonth})`);
+  
+  const results = {
+    extended: [],
+    skipped: [],
+    errors: []
+  };
+  const targetPeriod = { month: extendToMonth, year: extendToYear };
+  const sourcePeriod = { month: sourceMonth, year: sourceYear };
+
+  // Record the run up front; every committed extension adds itself to it so it can be rolled back as a unit
+  const batch = dryRun ? null : await AutoExtensionBatch.create({
+    targetPeriod,
+    sourcePeriod,
+    status: 'running',
+    createdBy: createdBy || 'Auto-Extension System'
+  });
+  
+  // Get month boundaries for the target month
+  const startDate = new Date(extendToYear, extendToMonth - 1, 1);
+  const endDate = new Date(extendToYear, extendToMonth, 0);
+  
+  for (const subscription of eligibleSubscriptions) {
+    try {
+      // Check if same meal plan subscription already exists for target period
+      const existingSubscription = await CustomerSubscription.findOne({
+        customerId: subscription.customerId._id,
+        mealPlanId: subscription.mealPlanId,
+        'subscriptionPeriod.month': extendToMonth,
+        'subscriptionPeriod.year': extendToYear
+      });
+      
+      if (existingSubscription) {
+        results.skipped.push({
+          customerId: subscription.customerId._id,
+          customerName: subscription.customerId.name,
+          reason: 'Same meal plan subscription already exists for target period'
+        });
+        continue;
+      }
+      
+      // Kitchen closure days are not billed
+      const closedDays = await countClosedDays(
+        startDate,
+        endDate,
+        subscription.customerId.emirates,
+        getEnabledMealTypes(subscription, subscription.mealPlanId)
+      );
+
+      // Carry forward credits from meals skipped on earlier subscriptions
+      const beforeCreditInfo = calculateProratedAmount(
+        subscription.pricing.basePricePerMonth,
+        startDate.toISOString().split('T')[0],
+        endDate.toISOString().split('T')[0],
+        subscription.pricing.discount,
+        { closedDays }
+      );
+
+      // Price, subscription and payment for the skip credits carried into it
+      const buildExtension = (skipCredits) => {
+        // Calculate prorated pricing for the new subscription
+        const proratedInfo = calculateProratedAmount(
+          subscription.pricing.basePricePerMonth,
+          startDate.toISOString().split('T')[0],
+          endDate.toISOString().split('T')[0],
+          subscription.pricing.discount,
+          { closedDays, credit: skipCredits.total }
+        );
+
+        const newSubscriptionData = {
+          customerId: subscription.customerId._id,
+          mealPlanId: subscription.mealPlanId._id,
+          subscriptionPeriod: {
+            month: extendToMonth,
+            year: extendToYear
+          },
+          pricing: {
+            basePricePerMonth: subscription.pricing.basePricePerMonth,
+            discount: subscription.pricing.discount || { type: 'percentage', value: 0 },
+            finalPrice: proratedInfo.finalAmount,
+            proratedAmount: proratedInfo.proratedAmount,
+            subscriptionDays: proratedInfo.subscriptionDays,
+            monthDays: proratedInfo.monthDays,
+            proratedRatio: proratedInfo.proratedRatio,
+            creditApplied: proratedInfo.creditApplied,
+            closedDays: proratedInfo.closedDays
+          },
+          customMeals: subscription.customMeals || {},
+          startDate: startDate.toISOString().split('T')[0],
+          endDate: endDate.toISOString().split('T')[0],
+          notes: subscription.notes || '',
+          status: 'active',
+          createdBy: createdBy || 'Auto-Extension System'
+        };
+
+        const dueDate = new Date(endDate);
+        dueDate.setDate(dueDate.getDate() + 5); // Due 5 days after subscription ends
+
+        const paymentData = {
+          customer: subscription.customerId._id,
+          month: extendToMonth,
+          year: extendToYear,
+          planDetails: {
+            planName: subscription.mealPlanId.planName,
+            monthlyAmount: subscription.pricing.basePricePerMonth, // Original base price
+            proratedAmount: proratedInfo.proratedAmount, // Prorated amount before discount 
+            finalAmount: proratedInfo.finalAmount, // Final prorated discounted amount
+            discountApplied: subscription.pricing.discount || { type: 'percentage', value: 0 },
+            subscriptionPeriod: `${startDate.toDateString()} - ${endDate.toDateString()}`,
+            subscriptionDays: proratedInfo.subscriptionDays,
+            monthDays: proratedInfo.monthDays,
+            proratedRatio: proratedInfo.proratedRatio,
+            creditApplied: proratedInfo.creditApplied,
+            closedDays: proratedInfo.closedDays
+          },
+          amountDue: proratedInfo.finalAmount, // Use prorated final price
+          dueDate,
+          paymentDate: startDate.toISOString().split('T')[0], // Set payment date to subscription start
+          notes: `Auto-extended payment for ${subscription.mealPlanId.planName} (${proratedInfo.subscriptionDays} days out of ${proratedInfo.monthDays}, ${Math.round(proratedInfo.proratedRatio * 100)}%, ${startDate.toDateString()} to ${endDate.toDateString()})${subscription.pricing.discount?.value > 0 ? ` - ${subscription.pricing.discount.type === 'percentage' ? subscription.pricing.discount.value + '%' : subscription.pricing.discount.value + ' AED'} discount applied` : ''}${proratedInfo.creditApplied > 0 ? ` - ${proratedInfo.creditApplied} AED skipped-meal credit applied` : ''}`,
+          // recordedBy omitted for auto-extension system
+        };
+
+        const extensionSummary = {
+          customerId: subscription.customerId._id,
+          customerName: subscription.customerId.name,
+          sourceSubscriptionId: subscription._id,
+          mealPlan: subscription.mealPlanId.planName,
+          startDate: newSubscriptionData.startDate,
+          endDate: newSubscriptionData.endDate,
+          pricing: {
+            basePricePerMonth: proratedInfo.basePricePerMonth,
+            subscriptionDays: proratedInfo.subscriptionDays,
+            closedDays: proratedInfo.closedDays,
+            monthDays: proratedInfo.monthDays,
+            proratedAmount: proratedInfo.proratedAmount,
+            discountAmount: proratedInfo.discountAmount,
+            creditApplied: proratedInfo.creditApplied,
+            finalAmount: proratedInfo.finalAmount
+          },
+          finalPrice: proratedInfo.finalAmount
+        };
+
+        return { newSubscriptionData, paymentData, extensionSummary };
+      };
+
+      if (dryRun) {
+        // Validate exactly what would be written, without writing it
+        const { newSubscriptionData, paymentData, extensionSummary } = buildExtension(
+          await getPendingSkipCredits(subscription.customerId._id, beforeCreditInfo.finalAmount)
+        );
+        await new CustomerSubscription(newSubscriptionData).validate();
+        await new Payment(paymentData).validate();
+
+        extensionSummary.walletApplied = Math.min(subscription.customerId.walletBalance || 0, extensionSummary.finalPrice);
+        results.extended.push(extensionSummary);
+        continue;
+      }
+
+      // Subscription, skip credits, payment and wallet draw commit together or not at all
+      const created = await runInTransaction(async (session) => {
+        // Skip credits are claimed first and the extension is priced with what was claimed
+        const subscriptionId = new mongoose.Types.ObjectId();
+        const skipCredits = await claimSkipCredits(subscription.customerId._id, subscriptionId, beforeCreditInfo.finalAmount, { session });
+        const { newSubscriptionData, paymentData, extensionSummary } = buildExtension(skipCredits);
+
+        const [newSubscription] = await CustomerSubscription.create([{ _id: subscriptionId, ...newSubscriptionData }], { session });
+
+        const [payment] = await Payment.create([{ ...paymentData, subscriptionId: newSubscription._id }], { session });
+
+        // Draw from any advance balance the customer has
+        const walletApplied = await applyWalletToPayment(payment, {
+          createdBy: createdBy || 'Auto-Extension System',
+          session
+        });
+
+        await AutoExtensionBatch.updateOne(
+          { _id: batch._id },
+          { $push: { subscriptionIds: newSubscription._id, paymentIds: payment._id } },
+          { session }
+        );
+
+        return { ...extensionSummary, subscriptionId: newSubscription._id, paymentId: payment._id, walletApplied };
+      });
+
+      console.log(`✅ Extended subscription ${created.subscriptionId} with payment ${created.paymentId}`);
+
+      results.extended.push(created);
+      
+    } catch (error) {
+      console.error(`Error extending subscription for customer ${subscription.customerId._id}:`, error);
+      results.errors.push({
+        customerId: subscription.customerId._id,
+        customerName: subscription.customerId.name,
+        error: error.message
+      });
+    }
+  }
+
+  if (dryRun) {
+    return { dryRun: true, targetPeriod, sourcePeriod, results };
+  }
+
+  await AutoExtensionBatch.updateOne(
+    { _id: batch._id },
+    {
+      $set: {
+        summary: {
+          extended: results.extended.length,
+          skipped: results.skipped.length,
+          errors: results.errors.length
+        },
+        results,
+        status: 'completed'
+      }
+    }
+  );
+
+  return { dryRun: false, batchId: batch._id, targetPeriod, sourcePeriod, results };
+};
+
+/**
+ * Create payment records for active subscriptions that do not have one yet
+ * @param {Object} options
+ * @param {string} [options.recordedBy] - User ID recorded on the new payments
+ * @returns {Promise<Object>} { created, skipped, errors }
+ */
+const generateMissingPayments = async ({ recordedBy } = {}) => {
+  // Get all active subscriptions
+  const subscriptions = await CustomerSubscription.find({ status: 'active' })
+    .populate('customerId', 'name phone email emirates')
+    .populate('mealPlanId', 'planName planCode meals');
+  
+  console.log(`Found ${subscriptions.length} active subscriptions to process`);
+  
+  const results = {
+    created: [],
+    skipped: [],
+    errors: []
+  };
+  
+  for (const subscription of subscriptions) {
+    try {
+      // Check if payment already exists for this specific subscription
+      const existingPayment = await Payment.findOne({ subscriptionId: subscription._id });
+      
+      if (existingPayment) {
+        results.skipped.push({
+          customerId: subscription.customerId._id,
+          customerName: subscription.customerId.name,
+          reason: 'Payment already exists'
+        });
+        continue;
+      }
+      
+      // Create payment record based on actual subscription period
+      const dueDate = new Date(subscription.endDate);
+      dueDate.setDate(dueDate.getDate() + 5); // Due 5 days after subscription ends
+      
+      // Calculate prorated amount for the subscription
+      const startDate = new Date(subscription.startDate);
+      const endDate = new Date(subscription.endDate);
+      const closedDays = await countClosedDays(
+        subscription.startDate,
+        subscription.endDate,
+        subscription.customerId.emirates,
+        getEnabledMealTypes(subscription, subscription.mealPlanId)
+      );
+      const proratedInfo = calculateProratedAmount(
+        subscription.pricing.basePricePerMonth,
+        subscription.startDate,
+        subscription.endDate,
+        subscription.pricing.discount,
+        { closedDays }
+      );
+      
+      const payment = await Payment.create({
+        customer: subscription.customerId._id,
+        subscriptionId: subscription._id,
+        month: subscription.subscriptionPeriod.month,
+        year: subscription.subscriptionPeriod.year,
+        planDetails: {
+          planName: subscription.mealPlanId.planName,
+          monthlyAmount: subscription.pricing.basePricePerMonth, // Original base price
+          proratedAmount: proratedInfo.proratedAmount, // Prorated amount before discount
+          finalAmount: proratedInfo.finalAmount, // Final prorated discounted amount
+          discountApplied: subscription.pricing.discount || { type: 'percentage', value: 0 },
+          subscriptionPeriod: `${startDate.toDateString()} - ${endDate.toDateString()}`,
+          subscriptionDays: proratedInfo.subscriptionDays,
+          monthDays: proratedInfo.monthDays,
+          proratedRatio: proratedInfo.proratedRatio,
+          closedDays: proratedInfo.closedDays
+        },
+        amountDue: proratedInfo.finalAmount, // Use prorated final price
+        dueDate,
+        paymentDate: subscription.startDate, // Set payment date to subscription start
+        notes: `Generated payment for ${subscription.mealPlanId.planName} subscription (${proratedInfo.subscriptionDays} days out of ${proratedInfo.monthDays}, ${Math.round(proratedInfo.proratedRatio * 100)}%, ${startDate.toDateString()} to ${endDate.toDateString()})${subscription.pricing.discount?.value > 0 ? ` - ${subscription.pricing.discount.type === 'percentage' ? subscription.pricing.discount.value + '%' : subscription.pricing.discount.value + ' AED'} discount applied` : ''}`,
+        // Only set recordedBy if we have a valid user ID
+        ...(recordedBy && { recordedBy })
+      });
+      
+      results.created.push({
+        customerId: subscription.customerId._id,
+        customerName: subscription.customerId.name,
+        paymentId: payment._id,
+        amount: proratedInfo.finalAmount,
+        subscriptionPeriod: `${startDate.toDateString()} - ${endDate.toDateString()}`
+      });
+      
+    } catch (error) {
+      console.error(`Error creating payment for subscription ${subscription._id}:`, error);
+      results.errors.push({
+        customerId: subscription.customerId._id,
+        customerName: subscription.customerId.name,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Flag unpaid payments whose due date has passed as overdue
+ * Mirrors the Payment pre-save rule, which otherwise only runs on the next save()
+ * @param {Date} [asOf] - Reference time (defaults to now)
+ * @returns {Promise<Object>} { markedOverdue }
+ */
+const markOverduePayments = async (asOf = new Date()) => {
+  const result = await Payment.updateMany(
+    {
+      paymentStatus: 'pending',
+      amountPaid: { $lte: 0 },
+      dueDate: { $lt: asOf }
+    },
+    { $set: { paymentStatus: 'overdue' } }
+  );
+
+  return { markedOverdue: result.modifiedCount };
+};
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * How much of a payment can still be refunded, overall or for one paymentHistory entry
+ * @param {Object} payment - Payment document
+ * @param {string} [entryId] - paymentHistory entry to reverse
+ * @returns {number|null} Refundable amount, or null if the entry does not exist
+ */
+const getRefundableAmount = (payment, entryId) => {
+  if (!entryId) {
+    return round(payment.amountPaid);
+  }
+
+  const entry = payment.paymentHistory.id(entryId);
+  if (!entry) {
+    return null;
+  }
+
+  const alreadyRefunded = payment.refunds
+    .filter(refund => refund.entryId?.equals(entry._id))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  // The part of the entry that went to the wallet was never part of amountPaid
+  return round(Math.min(payment.amountPaid, entry.amount - (entry.creditedToWallet || 0) - alreadyRefunded));
+};
+
+/**
+ * Refund money collected on a payment
+ * Deducts the amount from amountPaid (the pre-save hook recomputes the status) and,
+ * for wallet refunds, credits the customer's wallet
+ * @param {Object} payment - Payment document (amount must not exceed getRefundableAmount)
+ * @param {Object} refund - { amount, refundMethod, reason, entryId, transactionId, recordedBy, createdBy, session }
+ * @returns {Promise<Object>} The refund entry added to payment.refunds
+ */
+const refundPayment = async (payment, { amount, refundMethod, reason, entryId, transactionId, recordedBy, createdBy, session }) => {
+  const refundAmount = round(amount);
+
+  payment.refunds.push({
+    amount: refundAmount,
+    refundMethod,
+    reason,
+    entryId,
+    transactionId,
+    refundNumber: await nextRefundNumber({ session }),
+    ...(recordedBy && { recordedBy })
+  });
+  payment.amountPaid = round(payment.amountPaid - refundAmount);
+  payment.amountRefunded = round((payment.amountRefunded || 0) + refundAmount);
+
+  await payment.save({ session });
+
+  const refundEntry = payment.refunds[payment.refunds.length - 1];
+
+  if (refundMethod === 'wallet') {
+    await creditWallet(payment.customer?._id || payment.customer, refundAmount, {
+      source: 'refund',
+      paymentId: payment._id,
+      notes: `Refund ${refundEntry.refundNumber}: ${reason}`,
+      createdBy,
+      session
+    });
+  }
+
+  return refundEntry;
+};
+
+/**
+ * Settle the unused part of an invoiced payment without changing the invoice
+ * Issued invoices are never re-priced. The difference between what was invoiced and what was
+ * used goes to the customer's wallet, pays whatever is still open on the invoice, and the
+ * rest stays in the wallet.
+ * @param {Object} payment - Payment document with an invoiceNumber
+ * @param {number} amountUsed - What the invoiced period should have cost
+ * @param {Object} options - { notes, createdBy, recordedBy, session }
+ * @returns {Promise<Object>} { credited, appliedToInvoice, walletCredit }
+ */
+const creditUnusedInvoice = async (payment, amountUsed, { notes, createdBy, recordedBy, session }) => {
+  const credited = Math.max(0, round(payment.amountDue - amountUsed));
+
+  if (credited <= 0) {
+    return { credited: 0, appliedToInvoice: 0, walletCredit: 0 };
+  }
+
+  await creditWallet(payment.customer?._id || payment.customer, credited, {
+    source: 'refund',
+    paymentId: payment._id,
+    notes: `${notes}: ${credited} AED of invoice ${payment.invoiceNumber} not used`,
+    createdBy,
+    session
+  });
+
+  const appliedToInvoice = await applyWalletToPayment(payment, { createdBy, recordedBy, session });
+
+  return { credited, appliedToInvoice, walletCredit: Math.max(0, round(credited - appliedToInvoice)) };
+};
+
+/**
+ * Work out what a subscription cancelled part-way through its period has actually used
+ * The used days are priced with calculateProratedAmount on the same terms as the original charge.
+ * The payment is only read, so this is safe for invoiced payments too.
+ * @param {Object} subscription - Subscription with customerId and mealPlanId populated
+ * @param {Object} payment - The subscription's Payment document
+ * @param {Date} effectiveDate - First day without service
+ * @returns {Promise<Object>} { usedAmount, refundAmount, usedInfo }
+ */
+const calculateCancellationRefund = async (subscription, payment, effectiveDate) => {
+  const lastServiceDay = new Date(effectiveDate);
+  lastServiceDay.setDate(lastServiceDay.getDate() - 1);
+
+  let usedInfo = null;
+  let usedAmount = 0;
+
+  if (lastServiceDay >= new Date(subscription.startDate)) {
+    const closedDays = await countClosedDays(
+      subscription.startDate,
+      lastServiceDay,
+      subscription.customerId?.emirates,
+      getEnabledMealTypes(subscription, subscription.mealPlanId)
+    );
+
+    usedInfo = calculateProratedAmount(
+      subscription.pricing.basePricePerMonth,
+      subscription.startDate,
+      lastServiceDay,
+      subscription.pricing.discount,
+      { closedDays, credit: subscription.pricing.creditApplied || 0 }
+    );
+    usedAmount = Math.min(usedInfo.finalAmount, payment.amountDue);
+  }
+
+  return {
+    usedAmount: round(usedAmount),
+    refundAmount: Math.max(0, round(payment.amountPaid - usedAmount)),
+    usedInfo
+  };
+};
+
+/**
+ * Cancel a subscription from an effective date and settle its payment
+ * endDate is shortened to the last service day, the payment is re-prorated to the days actually
+ * used, and skips after the cancellation stop earning credit. Money paid beyond the used amount is
+ * refunded when a refund method is given; otherwise it is reported back as owed to the customer.
+ * An invoiced payment keeps its amounts: the unused days are credited to the wallet instead
+ * (see creditUnusedInvoice), whatever refund method was given. Everything runs in one transaction.
+ * @param {string} subscriptionId - Subscription to cancel
+ * @param {Object} cancellation
+ * @param {Date} cancellation.effectiveDate - First day without service
+ * @param {string} [cancellation.reasonCode] - Churn reason code
+ * @param {string} [cancellation.reasonNote] - Free-text reason
+ * @param {string} [cancellation.refundMethod] - Refund the overpaid amount this way (e.g. 'wallet', 'cash')
+ * @param {string} [cancellation.refundReason] - Reason recorded on the refund
+ * @param {string} [cancellation.cancelledBy] - Name recorded on the subscription
+ * @param {string} [cancellation.recordedBy] - User id recorded on the refund
+ * @returns {Promise<Object>} { subscription, settlement }
+ */
+const settleCancellation = async (subscriptionId, { effectiveDate, reasonCode, reasonNote, refundMethod, refundReason, cancelledBy, recordedBy }) =>
+  runInTransaction(async (session) => {
+    const subscription = await CustomerSubscription.findById(subscriptionId)
+      .populate('customerId', 'name emirates')
+      .populate('mealPlanId', 'planName meals')
+      .session(session);
+    const payment = await Payment.findOne({ subscriptionId }).session(session);
+
+    const previousEndDate = subscription.endDate;
+    const lastServiceDay = new Date(effectiveDate);
+    lastServiceDay.setDate(lastServiceDay.getDate() - 1);
+
+    // A subscription cancelled before it starts keeps its dates; it is simply never served
+    if (lastServiceDay >= new Date(subscription.startDate)) {
+      subscription.endDate = lastServiceDay;
+    }
+
+    const settlement = {
+      effectiveDate,
+      previousEndDate,
+      endDate: subscription.endDate,
+      paymentId: payment?._id || null,
+      previousAmountDue: 0,
+      usedAmount: 0,
+      amountPaid: 0,
+      balanceDue: 0,
+      refundAmount: 0,
+      refunded: 0,
+      creditOwed: 0,
+      walletCredit: 0,
+      refund: null
+    };
+
+    if (payment?.invoiceNumber) {
+      const { usedAmount, refundAmount } = await calculateCancellationRefund(subscription, payment, effectiveDate);
+
+      settlement.previousAmountDue = payment.amountDue;
+      settlement.usedAmount = usedAmount;
+      settlement.refundAmount = refundAmount;
+
+      const { walletCredit } = await creditUnusedInvoice(payment, usedAmount, {
+        notes: `Cancelled from ${effectiveDate.toDateString()}`,
+        createdBy: cancelledBy,
+        recordedBy,
+        session
+      });
+      settlement.walletCredit = walletCredit;
+
+      settlement.amountPaid = round(payment.amountPaid);
+      settlement.balanceDue = Math.max(0, round(payment.amountDue - payment.amountPaid));
+    } else if (payment) {
+      const { usedAmount, refundAmount } = await calculateCancellationRefund(subscription, payment, effectiveDate);
+
+      settlement.previousAmountDue = payment.amountDue;
+      settlement.usedAmount = usedAmount;
+      settlement.refundAmount = refundAmount;
+
+      payment.amountDue = usedAmount;
+      payment.notes = `${payment.notes || ''} | Cancelled from ${effectiveDate.toDateString()}, due reduced from ${settlement.previousAmountDue} to ${usedAmount} AED`;
+
+      if (refundAmount > 0 && refundMethod) {
+        settlement.refund = await refundPayment(payment, {
+          amount: refundAmount,
+          refundMethod,
+          reason: refundReason || 'Subscription cancelled mid-period',
+          recordedBy,
+          createdBy: cancelledBy,
+          session
+        });
+        settlement.refunded = refundAmount;
+      } else {
+        await payment.save({ session });
+        settlement.creditOwed = refundAmount;
+      }
+
+      settlement.amountPaid = round(payment.amountPaid);
+      settlement.balanceDue = Math.max(0, round(payment.amountDue - payment.amountPaid));
+    }
+
+    // Skips after the cancellation are moot and must not carry credit into a later subscription
+    await SkipDay.deleteMany(
+      { subscriptionId: subscription._id, date: { $gte: effectiveDate }, creditAppliedTo: null },
+      { session }
+    );
+
+    subscription.status = 'cancelled';
+    subscription.cancellation = {
+      effectiveDate,
+      reasonCode: reasonCode || null,
+      reasonNote,
+      cancelledAt: new Date(),
+      cancelledBy
+    };
+    subscription.updatedBy = cancelledBy;
+    await subscription.save({ session });
+
+    return { subscription, settlement };
+  });
+
+/**
+ * Switch a subscription to another meal plan part-way through its period
+ * The subscription is split at the effective date: the original keeps the days before it,
+ * and a new subscription on the new plan covers the rest. Both halves are priced with
+ * calculateProratedAmount, the original payment is re-priced to the first half, any money
+ * already paid beyond that moves to the wallet, and a new payment is raised for the second
+ * half and paid from the wallet where possible. An invoiced original payment keeps its
+ * amounts; the second half's share of it is credited to the wallet instead (see
+ * creditUnusedInvoice). Everything runs in one transaction.
+ * @param {string} subscriptionId - Active subscription to change
+ * @param {Object} change
+ * @param {Object} change.mealPlan - MealPlan document to switch to
+ * @param {Date} change.effectiveDate - First day on the new plan (after startDate, not after endDate)
+ * @param {number} [change.basePricePerMonth] - Defaults to the new plan's base price
+ * @param {Object} [change.discount] - Defaults to the current subscription's discount
+ * @param {Object} [change.customMeals] - Meal selection for the new plan (defaults to plan meals)
+ * @param {string} [change.createdBy] - Name recorded on the new subscription
+ * @param {string} [change.recordedBy] - User id recorded on payment entries
+ * @returns {Promise<Object>} { previousSubscription, subscription, previousPayment, payment, movedToWallet, walletApplied, walletCredit }
+ */
+const changeSubscriptionPlan = async (subscriptionId, { mealPlan, effectiveDate, basePricePerMonth, discount, customMeals, createdBy, recordedBy }) =>
+  runInTransaction(async (session) => {
+    const previousSubscription = await CustomerSubscription.findById(subscriptionId)
+      .populate('customerId', 'name emirates')
+      .populate('mealPlanId', 'planName meals')
+      .session(session);
+    const previousPayment = await Payment.findOne({ subscriptionId }).session(session);
+
+    const customerId = previousSubscription.customerId._id;
+    const emirates = previousSubscription.customerId.emirates;
+    const endDate = new Date(previousSubscription.endDate);
+    const lastOldDay = new Date(effectiveDate);
+    lastOldDay.setDate(lastOldDay.getDate() - 1);
+
+    // First half: the old plan on its original terms
+    const credit = previousSubscription.pricing.creditApplied || 0;
+    const oldClosedDays = await countClosedDays(
+      previousSubscription.startDate,
+      lastOldDay,
+      emirates,
+      getEnabledMealTypes(previousSubscription, previousSubscription.mealPlanId)
+    );
+    const oldInfo = calculateProratedAmount(
+      previousSubscription.pricing.basePricePerMonth,
+      previousSubscription.startDate,
+      lastOldDay,
+      previousSubscription.pricing.discount,
+      { closedDays: oldClosedDays, credit }
+    );
+
+    // Second half: the new plan, with whatever skip credit the first half could not absorb
+    const newCustomMeals = customMeals || {};
+    const newDiscount = discount || {
+      type: previousSubscription.pricing.discount?.type || 'percentage',
+      value: previousSubscription.pricing.discount?.value || 0,
+      reason: previousSubscription.pricing.discount?.reason
+    };
+    const newBasePrice = basePricePerMonth || mealPlan.pricing.basePrice;
+    const newClosedDays = await countClosedDays(
+      effectiveDate,
+      endDate,
+      emirates,
+      getEnabledMealTypes({ customMeals: newCustomMeals }, mealPlan)
+    );
+    const newInfo = calculateProratedAmount(
+      newBasePrice,
+      effectiveDate,
+      endDate,
+      newDiscount,
+      { closedDays: newClosedDays, credit: round(credit - oldInfo.creditApplied) }
+    );
+
+    const changeNote = `Plan changed from ${previousSubscription.mealPlanId.planName} to ${mealPlan.planName} on ${effectiveDate.toDateString()}`;
+
+    const [subscription] = await CustomerSubscription.create([{
+      customerId,
+      mealPlanId: mealPlan._id,
+      subscriptionPeriod: {
+        month: effectiveDate.getMonth() + 1,
+        year: effectiveDate.getFullYear()
+      },
+      pricing: {
+        basePricePerMonth: newBasePrice,
+        discount: newDiscount,
+        finalPrice: newInfo.finalAmount,
+        creditApplied: newInfo.creditApplied,
+        closedDays: newInfo.closedDays
+      },
+      customMeals: newCustomMeals,
+      startDate: effectiveDate,
+      endDate,
+      notes: changeNote,
+      previousSubscriptionId: previousSubscription._id,
+      createdBy: createdBy || 'System'
+    }], { session });
+
+    previousSubscription.endDate = lastOldDay;
+    previousSubscription.pricing.creditApplied = oldInfo.creditApplied;
+    previousSubscription.pricing.closedDays = oldInfo.closedDays;
+    previousSubscription.nextSubscriptionId = subscription._id;
+    previousSubscription.notes = `${previousSubscription.notes ? `${previousSubscription.notes} | ` : ''}${changeNote}`.slice(0, 500);
+    previousSubscription.updatedBy = createdBy || 'System';
+    await previousSubscription.save({ session });
+
+    // Skips and meal tracking from the effective date on belong to the new subscription
+    await SkipDay.updateMany(
+      { subscriptionId: previousSubscription._id, date: { $gte: effectiveDate } },
+      { $set: { subscriptionId: subscription._id } },
+      { session }
+    );
+    await DailyMealTracking.updateMany(
+      { subscriptionId: previousSubscription._id, date: { $gte: effectiveDate } },
+      { $set: { subscriptionId: subscription._id } },
+      { session }
+    );
+
+    // Re-price the original payment to the first half; anything paid beyond it goes to the wallet
+    let movedToWallet = 0;
+    if (previousPayment?.invoiceNumber) {
+      const { walletCredit } = await creditUnusedInvoice(previousPayment, oldInfo.finalAmount, {
+        notes: changeNote,
+        createdBy,
+        recordedBy,
+        session
+      });
+      movedToWallet = walletCredit;
+    } else if (previousPayment) {
+      const previousAmountDue = previousPayment.amountDue;
+      previousPayment.amountDue = oldInfo.finalAmount;
+      previousPayment.planDetails.proratedAmount = oldInfo.proratedAmount;
+      previousPayment.planDetails.finalAmount = oldInfo.finalAmount;
+      previousPayment.planDetails.subscriptionPeriod = `${new Date(previousSubscription.startDate).toDateString()} - ${lastOldDay.toDateString()}`;
+      previousPayment.planDetails.subscriptionDays = oldInfo.subscriptionDays;
+      previousPayment.planDetails.monthDays = oldInfo.monthDays;
+      previousPayment.planDetails.proratedRatio = oldInfo.proratedRatio;
+      previousPayment.planDetails.creditApplied = oldInfo.creditApplied;
+      previousPayment.planDetails.closedDays = oldInfo.closedDays;
+      previousPayment.notes = `${previousPayment.notes || ''} | ${changeNote}, due reduced from ${previousAmountDue} to ${oldInfo.finalAmount} AED`;
+
+      const excess = round(previousPayment.amountPaid - previousPayment.amountDue);
+      if (excess > 0) {
+        await refundPayment(previousPayment, {
+          amount: excess,
+          refundMethod: 'wallet',
+          reason: changeNote,
+          recordedBy,
+          createdBy,
+          session
+        });
+        movedToWallet = excess;
+      } else {
+        await previousPayment.save({ session });
+      }
+    }
+
+    const dueDate = new Date(endDate);
+    dueDate.setDate(dueDate.getDate() + 5); // Due 5 days after subscription ends
+
+    const [payment] = await Payment.create([{
+      customer: customerId,
+      subscriptionId: subscription._id,
+      month: subscription.subscriptionPeriod.month,
+      year: subscription.subscriptionPeriod.year,
+      planDetails: {
+        planName: mealPlan.planName,
+        monthlyAmount: newBasePrice,
+        proratedAmount: newInfo.proratedAmount,
+        finalAmount: newInfo.finalAmount,
+        discountApplied: newDiscount,
+        subscriptionPeriod: `${effectiveDate.toDateString()} - ${endDate.toDateString()}`,
+        subscriptionDays: newInfo.subscriptionDays,
+        monthDays: newInfo.monthDays,
+        proratedRatio: newInfo.proratedRatio,
+        creditApplied: newInfo.creditApplied,
+        closedDays: newInfo.closedDays
+      },
+      amountDue: newInfo.finalAmount,
+      dueDate,
+      paymentDate: effectiveDate,
+      notes: `Payment for ${mealPlan.planName} after plan change (${newInfo.subscriptionDays} days out of ${newInfo.monthDays}, ${Math.round(newInfo.proratedRatio * 100)}%, ${effectiveDate.toDateString()} to ${endDate.toDateString()})`,
+      ...(recordedBy && { recordedBy })
+    }], { session });
+
+    const walletApplied = await applyWalletToPayment(payment, { createdBy, recordedBy, session });
+
+    return {
+      previousSubscription,
+      subscription,
+      previousPayment,
+      payment,
+      movedToWallet,
+      walletApplied,
+      // Money moved out of the first half that the second half did not need stays as credit
+      walletCredit: Math.max(0, round(movedToWallet - walletApplied))
+    };
+  });
+
+module.exports = {
+  runAutoExtension,
+  generateMissingPayments,
+  markOverduePayments,
+  getRefundableAmount,
+  refundPayment,
+  calculateCancellationRefund,
+  settleCancellation,
+  changeSubscriptionPlan
+};
\ No newline at end of file
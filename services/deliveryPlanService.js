@@ -0,0 +1,152 @@
+/**
+ * Delivery plan for one day and meal
+ * Shared by the delivery report and the route planner, so both list exactly the same drops.
+ */
+
+const CustomerSubscription = require('../models/CustomerSubscription');
+const { getSkippedMealKeys } = require('../utils/skipDayUtils');
+const { getClosureChecker } = require('../utils/closureUtils');
+const { resolveMeal } = require('../utils/mealResolver');
+const { loadDeliverySlots } = require('./deliverySlotService');
+
+/**
+ * List the drops for a day and meal, sorted by building, flat and customer name
+ * Paused days, skipped meals, kitchen closures and meals not in the plan are left out
+ * @param {Object} options - { date, mealType, deliveryTime, customerId }
+ * @returns {Promise<Array>} Delivery plan items ({ subscriptionId, customer, mealPlan, deliveryDetails })
+ */
+const buildDeliveryPlan = async ({ date, mealType = 'lunch', deliveryTime = 'standard', customerId }) => {
+  // Build filter for active subscriptions that cover the selected date
+  // Paused subscriptions are included so days outside their pause windows still get delivered
+  let subscriptionFilter = {
+    status: { $in: ['active', 'paused'] },
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  };
+
+  if (customerId) {
+    subscriptionFilter.customerId = customerId;
+  }
+
+  // Get active subscriptions with customer and meal plan details
+  const subscriptions = await CustomerSubscription.find(subscriptionFilter)
+    .populate({
+      path: 'customerId',
+      select: 'name phone email emirates deliveryAddress notes'
+    })
+    .populate({
+      path: 'mealPlanId',
+      select: 'planName meals pricing'
+    });
+
+  // Meals the customer asked to skip on this day
+  const skippedMeals = await getSkippedMealKeys(date, mealType.toLowerCase());
+
+  // Kitchen closures (optionally per emirate or meal) remove the slot entirely
+  const isKitchenClosed = await getClosureChecker(date);
+
+  // Slot display times come from the DeliverySlot collection
+  const slots = await loadDeliverySlots();
+
+  // Sort by building name first, then by customer name for easier delivery planning
+
+  // Process subscription data for delivery planning
+  let deliveryPlan = subscriptions.map(subscription => {
+    const customer = subscription.customerId;
+    const mealPlan = subscription.mealPlanId;
+    
+    // Handle missing customer or meal plan data
+    if (!customer || !mealPlan) {
+      return null;
+    }
+
+    // Skip days that fall inside a pause window
+    if (subscription.isPausedOnDate(date)) {
+      return null;
+    }
+
+    // Custom meal settings on the subscription override the meal plan
+    const mealTypeKey = mealType.toLowerCase();
+    const meal = resolveMeal(subscription, mealPlan, mealTypeKey, slots);
+
+    // Skip if meal is not enabled for this customer
+    if (!meal.enabled) {
+      return null;
+    }
+
+    // Skip if the customer asked for no delivery of this meal today
+    if (skippedMeals.has(`${subscription._id}:${mealTypeKey}`)) {
+      return null;
+    }
+
+    // A per-meal address on the subscription replaces the customer's delivery address
+    const address = meal.address || customer.deliveryAddress;
+    const emirates = meal.address?.emirates || customer.emirates;
+
+    // Skip if the kitchen is closed for this meal in the delivery emirate
+    if (isKitchenClosed(emirates, mealTypeKey)) {
+      return null;
+    }
+
+    return {
+      subscriptionId: subscription._id,
+      customer: {
+        id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+        email: customer.email,
+        emirates,
+        buildingName: address?.buildingName || 'N/A',
+        flatNumber: address?.flatNumber || 'N/A',
+        area: address?.area || 'N/A',
+        notes: customer.notes || '',
+        fullAddress: address,
+        addressOverridden: Boolean(meal.address)
+      },
+      mealPlan: {
+        id: mealPlan._id,
+        name: mealPlan.planName
+      },
+      deliveryDetails: {
+        mealType: mealType,
+        deliveryTime: meal.deliveryTime,
+        deliveryTimeDisplay: meal.deliveryTimeDisplay,
+        date: date
+      }
+    };
+  }).filter(item => item !== null); // Remove null entries
+
+  // Sort by building name (ascending), then by flat number, then by customer name
+  deliveryPlan.sort((a, b) => {
+    const buildingA = (a.customer.buildingName === 'N/A' || !a.customer.buildingName) ? 'ZZZZ' : a.customer.buildingName;
+    const buildingB = (b.customer.buildingName === 'N/A' || !b.customer.buildingName) ? 'ZZZZ' : b.customer.buildingName;
+    
+    if (buildingA !== buildingB) {
+      return buildingA.localeCompare(buildingB);
+    }
+    
+    // If same building, sort by flat number
+    const flatA = (a.customer.flatNumber === 'N/A' || !a.customer.flatNumber) ? 'ZZZZ' : a.customer.flatNumber;
+    const flatB = (b.customer.flatNumber === 'N/A' || !b.customer.flatNumber) ? 'ZZZZ' : b.customer.flatNumber;
+    
+    if (flatA !== flatB) {
+      return flatA.localeCompare(flatB);
+    }
+    
+    // If same building and flat, sort by customer name
+    return a.customer.name.localeCompare(b.customer.name);
+  });
+
+  // Apply delivery time filter if specified
+  if (deliveryTime && deliveryTime !== 'all') {
+    deliveryPlan = deliveryPlan.filter(item => 
+      item.deliveryDetails.deliveryTime === deliveryTime
+    );
+  }
+
+  return deliveryPlan;
+};
+
+module.exports = {
+  buildDeliveryPlan
+};
\ No newline at end of file
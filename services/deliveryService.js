@@ -0,0 +1,90 @@
+/**
+ * Driver delivery outcomes
+ * Marking a drop on a route updates the customer's DailyMealTracking row for that meal in the
+ * same transaction, so admins no longer need to mark attendance after the round.
+ */
+
+const DailyMealTracking = require('../models/DailyMealTracking');
+const { getDayBounds } = require('../utils/skipDayUtils');
+const { runInTransaction } = require('../utils/transactionUtils');
+
+const OUTCOME_LABELS = {
+  delivered: 'Delivered',
+  failed: 'Delivery failed',
+  customer_absent: 'Customer absent'
+};
+
+/**
+ * Set one meal on a customer's daily tracking row, creating the row if needed
+ * @param {Object} drop - { customerId, subscriptionId, date, mealType, served, servedTime, notes, recordedBy }
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} The DailyMealTracking document
+ */
+const recordMealServed = async ({ customerId, subscriptionId, date, mealType, served, servedTime, notes, recordedBy }, { session } = {}) => {
+  const { start, end } = getDayBounds(date);
+
+  let dailyRecord = await DailyMealTracking.findOne({
+    customerId,
+    date: { $gte: start, $lt: end }
+  }).session(session || null);
+
+  if (!dailyRecord) {
+    dailyRecord = new DailyMealTracking({
+      customerId,
+      subscriptionId,
+      date: start,
+      meals: {
+        breakfast: { served: false, consumed: false, servedTime: null, notes: '' },
+        lunch: { served: false, consumed: false, servedTime: null, notes: '' },
+        dinner: { served: false, consumed: false, servedTime: null, notes: '' }
+      }
+    });
+  }
+
+  // Same as markAttendance: a delivered meal counts as served and consumed
+  dailyRecord.meals[mealType] = {
+    served,
+    consumed: served,
+    servedTime: served ? servedTime : null,
+    notes: notes !== undefined ? notes : dailyRecord.meals[mealType]?.notes || ''
+  };
+  dailyRecord.recordedBy = recordedBy || 'System';
+
+  await dailyRecord.save({ session });
+  return dailyRecord;
+};
+
+/**
+ * Record the outcome of a drop and feed it into daily meal tracking
+ * @param {Object} route - DeliveryRoute document
+ * @param {Object} stop - Stop subdocument of the route
+ * @param {Object} outcome - { status, statusAt, photoRef, notes, markedBy }
+ * @returns {Promise<Object>} { route, stop, tracking }
+ */
+const recordDropOutcome = async (route, stop, { status, statusAt, photoRef, notes, markedBy }) =>
+  runInTransaction(async (session) => {
+    stop.status = status;
+    stop.statusAt = statusAt;
+    stop.markedBy = markedBy;
+    if (photoRef !== undefined) stop.photoRef = photoRef;
+    if (notes !== undefined) stop.notes = notes;
+
+    await route.save({ session });
+
+    const tracking = await recordMealServed({
+      customerId: stop.customerId,
+      subscriptionId: stop.subscriptionId,
+      date: route.date,
+      mealType: route.mealType,
+      served: status === 'delivered',
+      servedTime: statusAt,
+      notes: [OUTCOME_LABELS[status], stop.notes].filter(Boolean).join(': '),
+      recordedBy: markedBy
+    }, { session });
+
+    return { route, stop, tracking };
+  });
+
+module.exports = {
+  recordDropOutcome
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Delivery slots offered for each meal, kept in the DeliverySlot collection
+ * Slots are cached for a short while; pass the loaded slot map to the meal resolver wherever
+ * delivery times are checked or displayed.
+ */
+
+const DeliverySlot = require('../models/DeliverySlot');
+const { MEAL_TYPES } = require('../utils/mealResolver');
+
+// Slots offered before they were configurable; seeded when the collection is empty
+const DEFAULT_SLOTS = [
+  { mealType: 'breakfast', key: 'standard', label: '🕐 Standard', startTime: '07:00', endTime: '09:00' },
+  { mealType: 'breakfast', key: 'early-morning', label: '🌅 Early Morning', startTime: '05:00', endTime: '06:00' },
+  { mealType: 'lunch', key: 'standard', label: '🕐 Standard', startTime: '11:00', endTime: '13:00' },
+  { mealType: 'lunch', key: 'early-morning', label: '🌅 Early Morning', startTime: '07:00', endTime: '09:00' },
+  { mealType: 'lunch', key: 'late-afternoon', label: '🌇 Late Afternoon', startTime: '15:00', endTime: '17:00' },
+  { mealType: 'dinner', key: 'standard', label: '🕐 Standard', startTime: '18:00', endTime: '20:00' },
+  { mealType: 'dinner', key: 'late-night', label: '🌙 Late Night', startTime: '21:00', endTime: '23:00' }
+];
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedSlots = null;
+let cachedAt = 0;
+
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return { hours, minutes };
+};
+
+const formatTime = (time) => {
+  const { hours, minutes } = parseTime(time);
+  return {
+    text: `${hours % 12 || 12}:${String(minutes).padStart(2, '0')}`,
+    period: hours < 12 ? 'AM' : 'PM'
+  };
+};
+
+/**
+ * Format a slot's times the way customers see them
+ * @param {string} startTime - HH:MM
+ * @param {string} endTime - HH:MM
+ * @returns {string} e.g. '7:00-9:00 AM' or '11:00 AM-1:00 PM'
+ */
+const formatSlotTime = (startTime, endTime) => {
+  const start = formatTime(startTime);
+  const end = formatTime(endTime);
+  return start.period === end.period
+    ? `${start.text}-${end.text} ${end.period}`
+    : `${start.text} ${start.period}-${end.text} ${end.period}`;
+};
+
+/**
+ * Shape a slot document for API responses and the resolver
+ * @param {Object} slot - DeliverySlot document or plain object
+ * @returns {Object}
+ */
+const describeSlot = (slot) => ({
+  id: slot._id,
+  mealType: slot.mealType,
+  key: slot.key,
+  value: slot.key,
+  label: slot.label,
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  displayTime: formatSlotTime(slot.startTime, slot.endTime),
+  cutoffMinutes: slot.cutoffMinutes,
+  capacity: slot.capacity ?? null,
+  isActive: slot.isActive
+});
+
+// { breakfast: { standard: slot, ... }, lunch: {...}, dinner: {...} }, earliest slot first
+const toSlotMap = (slots) => {
+  const map = Object.fromEntries(MEAL_TYPES.map(mealType => [mealType, {}]));
+  [...slots]
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))
+    .forEach(slot => {
+      if (map[slot.mealType]) {
+        map[slot.mealType][slot.key] = describeSlot(slot);
+      }
+    });
+  return map;
+};
+
+const seedDefaultSlots = async () => {
+  try {
+    await DeliverySlot.insertMany(DEFAULT_SLOTS, { ordered: false });
+  } catch (error) {
+    // Another request seeded them first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Load every delivery slot (active or not), seeding the defaults on first use
+ * @param {Object} [options] - { refresh } to bypass the cache
+ * @returns {Promise<Object>} Slot map by meal type and key (see toSlotMap)
+ */
+const loadDeliverySlots = async ({ refresh = false } = {}) => {
+  if (!refresh && cachedSlots && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedSlots;
+  }
+
+  let slots = await DeliverySlot.find().lean();
+  if (slots.length === 0) {
+    await seedDefaultSlots();
+    slots = await DeliverySlot.find().lean();
+  }
+
+  cachedSlots = toSlotMap(slots);
+  cachedAt = Date.now();
+
+  return cachedSlots;
+};
+
+/**
+ * Active slots of one meal, earliest first
+ * @param {string} mealType
+ * @returns {Promise<Array>}
+ */
+const getActiveSlots = async (mealType) => {
+  const slots = await loadDeliverySlots();
+  return Object.values(slots[mealType] || {}).filter(slot => slot.isActive);
+};
+
+/**
+ * Check that a delivery time can be chosen for a meal
+ * @param {string} mealType
+ * @param {string} deliveryTime - Slot key
+ * @returns {Promise<string|null>} Error message, or null when the slot is active
+ */
+const validateDeliveryTime = async (mealType, deliveryTime) => {
+  const active = await getActiveSlots(mealType);
+  if (active.some(slot => slot.key === deliveryTime)) {
+    return null;
+  }
+  return `Invalid delivery time '${deliveryTime}' for ${mealType}. Valid options: ${active.map(slot => slot.key).join(', ')}`;
+};
+
+/**
+ * When changes for a slot's delivery on a day close and when the delivery is over
+ * @param {Object} slot - Slot as in the slot map
+ * @param {Date} [date] - Delivery day (defaults to today)
+ * @returns {Object} { cutoffAt, endsAt }
+ */
+const getChangeWindow = (slot, date = new Date()) => {
+  const start = parseTime(slot.startTime);
+  const end = parseTime(slot.endTime);
+
+  const cutoffAt = new Date(date);
+  cutoffAt.setHours(start.hours, start.minutes - (slot.cutoffMinutes || 0), 0, 0);
+
+  const endsAt = new Date(date);
+  endsAt.setHours(end.hours, end.minutes, 0, 0);
+
+  return { cutoffAt, endsAt };
+};
+
+/**
+ * Whether changes are closed for today's delivery in a slot (between the cut-off and the end of the slot)
+ * @param {Object} slot - Slot as in the slot map
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isPastCutoff = (slot, now = new Date()) => {
+  const { cutoffAt, endsAt } = getChangeWindow(slot, now);
+  return now >= cutoffAt && now < endsAt;
+};
+
+// Drop the cache after slots change so the next request reloads them
+const clearDeliverySlotCache = () => {
+  cachedSlots = null;
+  cachedAt = 0;
+};
+
+module.exports = {
+  DEFAULT_SLOTS,
+  formatSlotTime,
+  describeSlot,
+  loadDeliverySlots,
+  getActiveSlots,
+  validateDeliveryTime,
+  getChangeWindow,
+  isPastCutoff,
+  clearDeliverySlotCache
+};
\ No newline at end of file
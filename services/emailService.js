@@ -0,0 +1,71 @@
+/**
+ * Outgoing email through nodemailer
+ * EMAIL_TRANSPORT picks the transport:
+ *   json - renders the message and logs it (default, for local development)
+ *   file - renders the message and writes it as JSON to EMAIL_OUTBOX_DIR (default ./outbox)
+ *   smtp - sends through SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransportName = () => process.env.EMAIL_TRANSPORT || 'json';
+
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (getTransportName() === 'smtp') {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && {
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      })
+    });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} nodemailer info ({ messageId, ... })
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'Food2Plate <no-reply@food2plate.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  const transportName = getTransportName();
+  if (transportName === 'file') {
+    const outbox = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+    await fs.mkdir(outbox, { recursive: true });
+    const file = path.join(outbox, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`);
+    await fs.writeFile(file, info.message);
+    console.log(`📧 Email to ${to} written to ${file}`);
+  } else if (transportName === 'json') {
+    console.log(`📧 Email to ${to}: ${info.message}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  sendEmail
+};
\ No newline at end of file
@@ -0,0 +1,499 @@
+/**
+ * Invoice and receipt generation for payments
+ * Issues invoice/receipt numbers and renders the documents as HTML or PDF (rendered locally with pdfkit)
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Payment = require('../models/Payment');
+const Counter = require('../models/Counter');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'RCP';
+const REFUND_PREFIX = process.env.REFUND_PREFIX || 'RFD';
+const PENDING_PREFIX = 'PENDING-';
+const CLAIM_WAIT_MS = 100;
+const CLAIM_ATTEMPTS = 20;
+const STALE_CLAIM_MS = 30 * 1000;
+const BRAND_COLOR = '#2e7d32';
+
+const getCompanyDetails = () => ({
+  name: process.env.INVOICE_COMPANY_NAME || 'Food2Plate',
+  address: process.env.INVOICE_COMPANY_ADDRESS || '',
+  phone: process.env.INVOICE_COMPANY_PHONE || '',
+  email: process.env.INVOICE_COMPANY_EMAIL || '',
+  trn: process.env.INVOICE_COMPANY_TRN || ''
+});
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const formatAmount = (value) => `AED ${round(value).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toDateString() : '-');
+
+const formatDocumentNumber = (prefix, year, seq) => `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Make sure a payment has an invoice number, issuing the next one in sequence if needed
+ * The payment is claimed before the counter is touched, so concurrent requests for the
+ * same payment cannot each draw a number and leave a gap in the sequence. Every claim is unique,
+ * so a slow request whose claim was released as stale cannot finish over a newer claim.
+ * @param {string} paymentId
+ * @returns {Promise<Object|null>} Payment document with invoiceNumber set, or null if not found
+ */
+const issueInvoiceNumber = async (paymentId) => {
+  for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      return null;
+    }
+
+    if (payment.invoiceNumber && !payment.invoiceNumber.startsWith(PENDING_PREFIX)) {
+      return payment;
+    }
+
+    if (payment.invoiceNumber) {
+      // Another request is issuing the number - release the claim if that request died
+      if (Date.now() - new Date(payment.updatedAt).getTime() > STALE_CLAIM_MS) {
+        await Payment.updateOne(
+          { _id: payment._id, invoiceNumber: payment.invoiceNumber },
+          { $unset: { invoiceNumber: 1 } }
+        );
+        continue;
+      }
+      await sleep(CLAIM_WAIT_MS);
+      continue;
+    }
+
+    const claim = `${PENDING_PREFIX}${payment._id}-${crypto.randomBytes(8).toString('hex')}`;
+    const claimed = await Payment.updateOne(
+      { _id: payment._id, invoiceNumber: null },
+      { $set: { invoiceNumber: claim } }
+    );
+
+    if (claimed.modifiedCount !== 1) {
+      continue;
+    }
+
+    const issuedAt = new Date();
+    const counterName = `invoice-${issuedAt.getFullYear()}`;
+    let seq = null;
+    let issued;
+
+    try {
+      seq = await Counter.next(counterName);
+      issued = await Payment.updateOne(
+        { _id: payment._id, invoiceNumber: claim },
+        { $set: { invoiceNumber: formatDocumentNumber(INVOICE_PREFIX, issuedAt.getFullYear(), seq), invoiceIssuedAt: issuedAt } }
+      );
+    } catch (error) {
+      if (seq !== null) {
+        await Counter.release(counterName, seq);
+      }
+      await Payment.updateOne({ _id: payment._id, invoiceNumber: claim }, { $unset: { invoiceNumber: 1 } });
+      throw error;
+    }
+
+    // The claim was released as stale and taken over - hand the number back and wait for the new claim
+    if (issued.modifiedCount !== 1) {
+      await Counter.release(counterName, seq);
+      continue;
+    }
+
+    return Payment.findById(payment._id);
+  }
+
+  throw new Error('Timed out waiting for the invoice number to be issued');
+};
+
+/**
+ * Draw the next receipt number
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Receipt date (the sequence restarts every year)
+ * @param {ClientSession} [options.session] - Transaction to draw the number in
+ * @returns {Promise<string>}
+ */
+const nextReceiptNumber = async ({ date = new Date(), session } = {}) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`receipt-${year}`, { session });
+  return formatDocumentNumber(RECEIPT_PREFIX, year, seq);
+};
+
+/**
+ * Draw the next refund number
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Refund date (the sequence restarts every year)
+ * @param {ClientSession} [options.session] - Transaction to draw the number in
+ * @returns {Promise<string>}
+ */
+const nextRefundNumber = async ({ date = new Date(), session } = {}) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`refund-${year}`, { session });
+  return formatDocumentNumber(REFUND_PREFIX, year, seq);
+};
+
+/**
+ * Make sure a payment history entry has a receipt number
+ * Entries recorded before receipts existed are numbered the first time their receipt is requested
+ * @param {Object} payment - Payment document
+ * @param {Object} entry - Entry from payment.paymentHistory
+ * @returns {Promise<Object>} The entry with receiptNumber set
+ */
+const ensureReceiptNumber = async (payment, entry) => {
+  if (entry.receiptNumber) {
+    return entry;
+  }
+
+  const receiptNumber = await nextReceiptNumber();
+  const result = await Payment.updateOne(
+    { _id: payment._id, paymentHistory: { $elemMatch: { _id: entry._id, receiptNumber: null } } },
+    { $set: { 'paymentHistory.$.receiptNumber': receiptNumber } }
+  );
+
+  if (result.modifiedCount === 1) {
+    entry.receiptNumber = receiptNumber;
+    return entry;
+  }
+
+  // Numbered by a concurrent request in the meantime
+  const fresh = await Payment.findById(payment._id);
+  entry.receiptNumber = fresh.paymentHistory.id(entry._id)?.receiptNumber;
+  return entry;
+};
+
+const describeCustomer = (customer = {}) => {
+  const address = customer.deliveryAddress
+    ? [customer.deliveryAddress.flatNumber, customer.deliveryAddress.buildingName, customer.deliveryAddress.street, customer.deliveryAddress.area, customer.emirates]
+      .filter(Boolean)
+      .join(', ')
+    : '';
+
+  return {
+    name: customer.name || '',
+    lines: [customer.fullPhoneNumber || customer.phone, customer.email, address].filter(Boolean)
+  };
+};
+
+/**
+ * Collect everything an invoice shows from a payment
+ * @param {Object} payment - Payment document with customer populated
+ * @returns {Object} Document description for renderHtml / renderPdf
+ */
+const buildInvoiceData = (payment) => {
+  const plan = payment.planDetails || {};
+  const proratedAmount = plan.proratedAmount ?? plan.monthlyAmount;
+  const finalAmount = plan.finalAmount ?? payment.amountDue;
+  const creditApplied = plan.creditApplied || 0;
+  // Credit is deducted after the discount, so whatever is left over is the discount
+  const discountAmount = Math.max(0, round(proratedAmount - creditApplied - finalAmount));
+  const adjustment = round(payment.amountDue - finalAmount);
+
+  let discountLabel = 'Discount';
+  if (plan.discountApplied?.value > 0) {
+    discountLabel += plan.discountApplied.type === 'percentage'
+      ? ` (${plan.discountApplied.value}%)`
+      : ` (${plan.discountApplied.value} AED)`;
+    if (plan.discountApplied.reason) {
+      discountLabel += ` - ${plan.discountApplied.reason}`;
+    }
+  }
+
+  let daysLabel = '-';
+  if (plan.subscriptionDays) {
+    daysLabel = plan.monthDays ? `${plan.subscriptionDays} of ${plan.monthDays} days` : `${plan.subscriptionDays} days`;
+    if (plan.closedDays > 0) {
+      daysLabel += ` (${plan.closedDays} kitchen closure day(s) not billed)`;
+    }
+  }
+
+  const breakdown = [
+    { cells: ['Base monthly price', formatAmount(plan.monthlyAmount)] },
+    { cells: ['Billed days', daysLabel] },
+    { cells: ['Prorated amount', formatAmount(proratedAmount)] },
+    { cells: [discountLabel, `- ${formatAmount(discountAmount)}`] }
+  ];
+
+  if (creditApplied > 0) {
+    breakdown.push({ cells: ['Skipped-meal credit', `- ${formatAmount(creditApplied)}`] });
+  }
+
+  breakdown.push({ cells: ['Final amount', formatAmount(finalAmount)], emphasis: true });
+
+  if (adjustment !== 0) {
+    breakdown.push({ cells: ['Adjustments', `${adjustment < 0 ? '- ' : ''}${formatAmount(Math.abs(adjustment))}`] });
+  }
+
+  return {
+    title: 'INVOICE',
+    documentName: `Invoice ${payment.invoiceNumber}`,
+    company: getCompanyDetails(),
+    meta: [
+      `Invoice #: ${payment.invoiceNumber}`,
+      `Issued: ${formatDate(payment.invoiceIssuedAt)}`,
+      `Due: ${formatDate(payment.dueDate)}`,
+      `Status: ${payment.paymentStatus}`
+    ],
+    party: { heading: 'Bill to', ...describeCustomer(payment.customer) },
+    sections: [
+      {
+        heading: `${plan.planName} - ${plan.subscriptionPeriod || `${payment.month}/${payment.year}`}`,
+        rows: breakdown
+      },
+      {
+        heading: 'Payments received',
+        columns: ['Date', 'Receipt #', 'Method', 'Reference', 'Amount'],
+        rows: (payment.paymentHistory || []).map(entry => ({
+          cells: [formatDate(entry.paidDate), entry.receiptNumber || '-', entry.paymentMethod, entry.transactionId || '-', formatAmount(entry.amount)]
+        })),
+        emptyText: 'No payments received yet'
+      },
+      ...((payment.refunds || []).length > 0 ? [{
+        heading: 'Refunds',
+        columns: ['Date', 'Refund #', 'Method', 'Reason', 'Amount'],
+        rows: payment.refunds.map(refund => ({
+          cells: [formatDate(refund.refundedAt), refund.refundNumber || '-', refund.refundMethod, refund.reason, `- ${formatAmount(refund.amount)}`]
+        }))
+      }] : [])
+    ],
+    totals: [
+      { cells: ['Amount due', formatAmount(payment.amountDue)] },
+      payment.amountRefunded > 0 && { cells: ['Refunded', `- ${formatAmount(payment.amountRefunded)}`] },
+      { cells: ['Amount paid', formatAmount(payment.amountPaid)] },
+      { cells: ['Balance', formatAmount(Math.max(0, payment.amountDue - payment.amountPaid))], emphasis: true }
+    ].filter(Boolean)
+  };
+};
+
+/**
+ * Collect everything a receipt shows for one payment history entry
+ * @param {Object} payment - Payment document with customer populated
+ * @param {Object} entry - Entry from payment.paymentHistory
+ * @returns {Object} Document description for renderHtml / renderPdf
+ */
+const buildReceiptData = (payment, entry) => {
+  const history = payment.paymentHistory || [];
+  const index = history.findIndex(item => item._id.equals(entry._id));
+
+  let paidToDate = entry.paidToDate;
+  let balanceAfter = entry.balanceAfter;
+
+  // Entries recorded before receipts existed - rebuild the running totals from the history
+  if (paidToDate === undefined || balanceAfter === undefined) {
+    paidToDate = history.slice(0, index + 1).reduce((sum, item) => sum + item.amount - (item.creditedToWallet || 0), 0);
+    balanceAfter = Math.max(0, payment.amountDue - paidToDate);
+  }
+
+  const plan = payment.planDetails || {};
+
+  return {
+    title: 'RECEIPT',
+    documentName: `Receipt ${entry.receiptNumber}`,
+    company: getCompanyDetails(),
+    meta: [
+      `Receipt #: ${entry.receiptNumber}`,
+      `Date: ${formatDate(entry.paidDate)}`,
+      payment.invoiceNumber && `Invoice #: ${payment.invoiceNumber}`
+    ].filter(Boolean),
+    party: { heading: 'Received from', ...describeCustomer(payment.customer) },
+    sections: [
+      {
+        heading: 'Payment details',
+        rows: [
+          { cells: ['For', `${plan.planName} - ${plan.subscriptionPeriod || `${payment.month}/${payment.year}`}`] },
+          { cells: ['Method', entry.paymentMethod] },
+          { cells: ['Reference', entry.transactionId || '-'] },
+          entry.notes && { cells: ['Notes', entry.notes] }
+        ].filter(Boolean)
+      }
+    ],
+    totals: [
+      { cells: ['Amount received', formatAmount(entry.amount)], emphasis: true },
+      entry.creditedToWallet > 0 && { cells: ['Credited to wallet', formatAmount(entry.creditedToWallet)] },
+      { cells: ['Paid to date', formatAmount(paidToDate)] },
+      { cells: ['Remaining balance', formatAmount(balanceAfter)], emphasis: true }
+    ].filter(Boolean)
+  };
+};
+
+const htmlRows = (rows) => rows.map(row => `
+        <tr${row.emphasis ? ' class="emphasis"' : ''}>${row.cells.map((cell, i) =>
+    `<td${i === row.cells.length - 1 ? ' class="amount"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+
+/**
+ * Render a document description (invoice or receipt) as a standalone HTML page
+ * @param {Object} document - Output of buildInvoiceData / buildReceiptData
+ * @returns {string}
+ */
+const renderHtml = (document) => {
+  const { company, party } = document;
+
+  const companyLines = [company.address, company.phone, company.email, company.trn && `TRN: ${company.trn}`]
+    .filter(Boolean)
+    .map(line => `<div>${escapeHtml(line)}</div>`)
+    .join('');
+
+  const sections = document.sections.map(section => {
+    const header = section.columns
+      ? `
+    <thead>
+      <tr>${section.columns.map((column, i) => `<th${i === section.columns.length - 1 ? ' class="amount"' : ''}>${escapeHtml(column)}</th>`).join('')}</tr>
+    </thead>`
+      : '';
+    const body = section.rows.length > 0
+      ? htmlRows(section.rows)
+      : `
+        <tr><td colspan="${section.columns?.length || 2}" class="muted">${escapeHtml(section.emptyText)}</td></tr>`;
+
+    return `
+  <h2>${escapeHtml(section.heading)}</h2>
+  <table>${header}
+    <tbody>${body}
+    </tbody>
+  </table>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.documentName)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; font-size: 14px; }
+    header { display: flex; justify-content: space-between; border-bottom: 3px solid ${BRAND_COLOR}; padding-bottom: 16px; }
+    h1 { color: ${BRAND_COLOR}; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 28px 0 8px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #e0e0e0; text-align: left; }
+    th { background: #f5f5f5; }
+    .amount { text-align: right; }
+    .emphasis td { font-weight: bold; }
+    .muted { color: #888; }
+    .meta div, .party div { margin: 2px 0; }
+    .totals { width: 320px; margin-left: auto; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <header>
+    <div class="party">
+      <h1>${escapeHtml(company.name)}</h1>
+      ${companyLines}
+    </div>
+    <div class="meta">
+      <h1>${escapeHtml(document.title)}</h1>
+      ${document.meta.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+    </div>
+  </header>
+
+  <h2>${escapeHtml(party.heading)}</h2>
+  <div class="party">
+    <div><strong>${escapeHtml(party.name)}</strong></div>
+    ${party.lines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+  </div>
+${sections}
+
+  <table class="totals">
+    <tbody>${htmlRows(document.totals)}
+    </tbody>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Render a document description (invoice or receipt) as a PDF
+ * @param {Object} document - Output of buildInvoiceData / buildReceiptData
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (document) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { company, party } = document;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // The last column holds the amount and is right-aligned, the others share the remaining width
+  const row = (cells, options = {}) => {
+    const lastWidth = width * 0.3;
+    const otherWidth = cells.length > 1 ? (width - lastWidth) / (cells.length - 1) : width;
+    const y = doc.y;
+    let bottom = y;
+
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.small ? 9 : 10);
+    cells.forEach((cell, i) => {
+      const isLast = i === cells.length - 1;
+      doc.text(String(cell ?? ''), left + otherWidth * i, y, {
+        width: isLast ? lastWidth : otherWidth - 4,
+        align: isLast ? 'right' : 'left'
+      });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+
+  const heading = (text) => {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#222').text(text, left);
+    doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor('#e0e0e0').stroke();
+    doc.moveDown(0.5);
+  };
+
+  // Header
+  const headerTop = doc.y;
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOR).text(company.name, left, headerTop);
+  doc.font('Helvetica').fontSize(9).fillColor('#222');
+  [company.address, company.phone, company.email, company.trn && `TRN: ${company.trn}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, left));
+  const companyBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOR).text(document.title, left, headerTop, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor('#222');
+  document.meta.forEach(line => doc.text(line, { width, align: 'right' }));
+
+  doc.y = Math.max(companyBottom, doc.y) + 8;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(2).strokeColor(BRAND_COLOR).stroke();
+  doc.lineWidth(1);
+
+  // Customer
+  heading(party.heading);
+  doc.font('Helvetica-Bold').fontSize(10).text(party.name, left);
+  doc.font('Helvetica');
+  party.lines.forEach(line => doc.text(line, left));
+
+  document.sections.forEach(section => {
+    heading(section.heading);
+    if (section.columns) {
+      row(section.columns, { bold: true, small: true });
+    }
+    if (section.rows.length === 0) {
+      doc.font('Helvetica').fontSize(10).fillColor('#888').text(section.emptyText, left);
+      doc.fillColor('#222');
+    }
+    section.rows.forEach(line => row(line.cells, { bold: line.emphasis, small: Boolean(section.columns) }));
+  });
+
+  heading('Summary');
+  document.totals.forEach(line => row(line.cells, { bold: line.emphasis }));
+
+  doc.end();
+});
+
+module.exports = {
+  issueInvoiceNumber,
+  nextReceiptNumber,
+  nextRefundNumber,
+  ensureReceiptNumber,
+  buildInvoiceData,
+  buildReceiptData,
+  renderHtml,
+  renderPdf
+};
@@ -0,0 +1,169 @@
+/**
+ * Kitchen production sheet
+ * Counts the portions to cook for a day from the same drops the delivery report lists, so
+ * custom meal selections, pauses, skip days and closures are applied exactly once.
+ */
+
+const { buildDeliveryPlan } = require('./deliveryPlanService');
+const { MEAL_TYPES } = require('../utils/skipDayUtils');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+const BRAND_COLOR = '#2e7d32';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Count drops by a key, largest first
+const countBy = (drops, keyOf, describe) => {
+  const counts = new Map();
+  drops.forEach(drop => {
+    const key = keyOf(drop);
+    if (!counts.has(key)) {
+      counts.set(key, { ...describe(drop), portions: 0 });
+    }
+    counts.get(key).portions++;
+  });
+  return [...counts.values()].sort((a, b) => b.portions - a.portions);
+};
+
+/**
+ * Build the production sheet for a day
+ * @param {Object} options - { date, mealType } (mealType omitted = every meal)
+ * @returns {Promise<Object>} { date, meals: [{ mealType, totalPortions, byMealPlan, bySlot, byEmirate, byPlanAndSlot }], totalPortions }
+ */
+const buildProductionSheet = async ({ date, mealType }) => {
+  const mealTypes = mealType ? [mealType] : MEAL_TYPES;
+  const meals = [];
+
+  for (const type of mealTypes) {
+    const drops = await buildDeliveryPlan({ date, mealType: type, deliveryTime: 'all' });
+
+    meals.push({
+      mealType: type,
+      totalPortions: drops.length,
+      byMealPlan: countBy(drops, drop => String(drop.mealPlan.id), drop => ({
+        mealPlanId: drop.mealPlan.id,
+        planName: drop.mealPlan.name
+      })),
+      bySlot: countBy(drops, drop => drop.deliveryDetails.deliveryTime, drop => ({
+        deliveryTime: drop.deliveryDetails.deliveryTime,
+        deliveryTimeDisplay: drop.deliveryDetails.deliveryTimeDisplay
+      })),
+      byEmirate: countBy(drops, drop => drop.customer.emirates || 'Unknown', drop => ({
+        emirate: drop.customer.emirates || 'Unknown'
+      })),
+      byPlanAndSlot: countBy(drops, drop => `${drop.mealPlan.id}:${drop.deliveryDetails.deliveryTime}`, drop => ({
+        mealPlanId: drop.mealPlan.id,
+        planName: drop.mealPlan.name,
+        deliveryTime: drop.deliveryDetails.deliveryTime,
+        deliveryTimeDisplay: drop.deliveryDetails.deliveryTimeDisplay
+      }))
+    });
+  }
+
+  return {
+    date: date.toISOString().split('T')[0],
+    meals,
+    totalPortions: meals.reduce((sum, meal) => sum + meal.totalPortions, 0)
+  };
+};
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render the production sheet as CSV (one row per count)
+ * @param {Object} sheet - Output of buildProductionSheet
+ * @returns {string}
+ */
+const renderProductionCsv = (sheet) => {
+  const rows = [['Date', 'Meal', 'Breakdown', 'Meal Plan', 'Delivery Slot', 'Emirate', 'Portions']];
+
+  sheet.meals.forEach(meal => {
+    rows.push([sheet.date, meal.mealType, 'Total', '', '', '', meal.totalPortions]);
+    meal.byMealPlan.forEach(row => rows.push([sheet.date, meal.mealType, 'Meal plan', row.planName, '', '', row.portions]));
+    meal.bySlot.forEach(row => rows.push([sheet.date, meal.mealType, 'Delivery slot', '', row.deliveryTimeDisplay, '', row.portions]));
+    meal.byEmirate.forEach(row => rows.push([sheet.date, meal.mealType, 'Emirate', '', '', row.emirate, row.portions]));
+    meal.byPlanAndSlot.forEach(row => rows.push([sheet.date, meal.mealType, 'Meal plan by slot', row.planName, row.deliveryTimeDisplay, '', row.portions]));
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+};
+
+const htmlTable = (columns, rows, total) => `
+    <table>
+      <thead>
+        <tr>${columns.map((column, i) => `<th${i === columns.length - 1 ? ' class="count"' : ''}>${escapeHtml(column)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>${rows.map(cells => `
+        <tr>${cells.map((cell, i) => `<td${i === cells.length - 1 ? ' class="count"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+        <tr class="total"><td colspan="${columns.length - 1}">Total</td><td class="count">${total}</td></tr>
+      </tbody>
+    </table>`;
+
+/**
+ * Render the production sheet as a printable HTML page
+ * @param {Object} sheet - Output of buildProductionSheet
+ * @returns {string}
+ */
+const renderProductionHtml = (sheet) => {
+  const kitchenName = process.env.INVOICE_COMPANY_NAME || 'Food2Plate';
+
+  const sections = sheet.meals.map(meal => `
+  <section>
+    <h2>${escapeHtml(capitalize(meal.mealType))} <span class="muted">- ${meal.totalPortions} portions</span></h2>
+    <div class="grid">
+      <div>
+        <h3>By meal plan</h3>${htmlTable(['Meal plan', 'Portions'], meal.byMealPlan.map(row => [row.planName, row.portions]), meal.totalPortions)}
+      </div>
+      <div>
+        <h3>By delivery slot</h3>${htmlTable(['Slot', 'Portions'], meal.bySlot.map(row => [row.deliveryTimeDisplay, row.portions]), meal.totalPortions)}
+      </div>
+      <div>
+        <h3>By emirate</h3>${htmlTable(['Emirate', 'Portions'], meal.byEmirate.map(row => [row.emirate, row.portions]), meal.totalPortions)}
+      </div>
+    </div>
+    <h3>Meal plan by slot</h3>${htmlTable(['Meal plan', 'Slot', 'Portions'], meal.byPlanAndSlot.map(row => [row.planName, row.deliveryTimeDisplay, row.portions]), meal.totalPortions)}
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Production sheet ${escapeHtml(sheet.date)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 32px; font-size: 14px; }
+    header { display: flex; justify-content: space-between; border-bottom: 3px solid ${BRAND_COLOR}; padding-bottom: 12px; }
+    h1 { color: ${BRAND_COLOR}; margin: 0; }
+    h2 { font-size: 18px; margin: 24px 0 8px; }
+    h3 { font-size: 14px; margin: 12px 0 6px; }
+    .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 5px 8px; border-bottom: 1px solid #e0e0e0; text-align: left; }
+    th { background: #f5f5f5; }
+    .count { text-align: right; font-variant-numeric: tabular-nums; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+    .muted { color: #888; font-weight: normal; }
+    section { page-break-inside: avoid; }
+    @media print { body { margin: 12mm; } section + section { page-break-before: always; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(kitchenName)} - Production sheet</h1>
+    <div>
+      <div><strong>${escapeHtml(new Date(sheet.date).toDateString())}</strong></div>
+      <div>${sheet.totalPortions} portions in total</div>
+    </div>
+  </header>
+${sections}
+</body>
+</html>`;
+};
+
+module.exports = {
+  buildProductionSheet,
+  renderProductionCsv,
+  renderProductionHtml
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Outgoing SMS with pluggable providers
+ * SMS_PROVIDER picks the provider:
+ *   console - logs the message (default, for local development)
+ *   http    - POSTs { to, message } as JSON to SMS_HTTP_URL (Bearer SMS_HTTP_TOKEN if set)
+ * Other gateways can be added with registerSmsProvider(name, { send(to, message) }).
+ */
+
+const providers = {
+  console: {
+    send: async (to, message) => {
+      console.log(`📱 SMS to ${to}: ${message}`);
+      return { provider: 'console' };
+    }
+  },
+  http: {
+    send: async (to, message) => {
+      if (!process.env.SMS_HTTP_URL) {
+        throw new Error('SMS_HTTP_URL is not configured');
+      }
+
+      const response = await fetch(process.env.SMS_HTTP_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_HTTP_TOKEN && { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` })
+        },
+        body: JSON.stringify({ to, message })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+
+      return { provider: 'http', status: response.status };
+    }
+  }
+};
+
+/**
+ * Add (or replace) an SMS provider
+ * @param {string} name - Value of SMS_PROVIDER that selects it
+ * @param {Object} provider - { send: async (to, message) => result }
+ */
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Send a text message through the configured provider
+ * @param {string} to - Phone number in international format (e.g. +971501234567)
+ * @param {string} message
+ * @returns {Promise<Object>} Provider result
+ */
+const sendSms = async (to, message) => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return provider.send(to, message);
+};
+
+module.exports = {
+  registerSmsProvider,
+  sendSms
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Staff session tokens
+ * Logins get a short-lived JWT access token and a rotating refresh token stored hashed in Mongo.
+ * Each refresh revokes the presented token and issues the next one in the same family; presenting
+ * an already-rotated token revokes the whole family, since it means the token was copied.
+ * Access tokens carry the user's tokenVersion, so bumping it ends every session immediately.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Generate JWT access token
+const generateAccessToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+  });
+};
+
+const createRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip,
+    userAgent: req?.headers?.['user-agent']
+  });
+
+  return token;
+};
+
+/**
+ * Start a new session for a user
+ * @param {Object} user - User document
+ * @param {Object} [req] - Request (IP and user agent are stored with the refresh token)
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const issueTokens = async (user, req) => ({
+  token: generateAccessToken(user),
+  refreshToken: await createRefreshToken(user, crypto.randomUUID(), req)
+});
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken
+ * @param {Object} [req]
+ * @returns {Promise<Object|null>} { token, refreshToken, user }, or null if the token cannot be used
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // Claim the token; if it was already used, someone else has a copy of it
+  const claimed = await RefreshToken.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (claimed.modifiedCount !== 1) {
+    if (stored.revokedReason === 'rotated') {
+      await revokeFamily(stored.family, 'reuse_detected');
+    }
+    return null;
+  }
+
+  const user = await User.findById(stored.userId);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken: await createRefreshToken(user, stored.family, req),
+    user
+  };
+};
+
+/**
+ * Revoke every still-valid token in a session family
+ * @param {string} family
+ * @param {string} reason - RefreshToken.revokedReason value
+ * @returns {Promise}
+ */
+const revokeFamily = async (family, reason) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * End the session a refresh token belongs to
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} True if the token was known
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    return false;
+  }
+
+  await revokeFamily(stored.family, 'logout');
+  return true;
+};
+
+/**
+ * End every session of a user, including access tokens already handed out
+ * @param {string} userId
+ * @param {string} [reason] - RefreshToken.revokedReason value
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+
+  const result = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Soft delete, restore and purge for customers, subscriptions and payments
+ * Deleting a customer moves their subscriptions, payments and meal tracking to the trash with the
+ * same deletedAt, so restoring the customer brings back exactly what was deleted with them.
+ */
+
+const Customer = require('../models/Customer');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const Payment = require('../models/Payment');
+const DailyMealTracking = require('../models/DailyMealTracking');
+const SkipDay = require('../models/SkipDay');
+const WalletTransaction = require('../models/WalletTransaction');
+const { runInTransaction } = require('../utils/transactionUtils');
+
+// Entities exposed through the trash endpoints
+const TRASH_MODELS = {
+  customers: Customer,
+  subscriptions: CustomerSubscription,
+  payments: Payment
+};
+
+// How long deleted records are kept before the purge job removes them for good
+const getRetentionDays = () => parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+/**
+ * Move a customer and everything billed or tracked for them to the trash
+ * @param {string} customerId
+ * @param {string} deletedBy - Name recorded on the deleted records
+ * @returns {Promise<Object>} { deletedAt, subscriptions, payments, trackingRecords }
+ */
+const softDeleteCustomer = async (customerId, deletedBy) =>
+  runInTransaction(async (session) => {
+    const trash = { deletedAt: new Date(), deletedBy };
+
+    await Customer.updateOne({ _id: customerId }, { $set: trash }, { session });
+    const subscriptions = await CustomerSubscription.updateMany({ customerId }, { $set: trash }, { session });
+    const payments = await Payment.updateMany({ customer: customerId }, { $set: trash }, { session });
+    const trackingRecords = await DailyMealTracking.updateMany({ customerId }, { $set: trash }, { session });
+
+    return {
+      deletedAt: trash.deletedAt,
+      subscriptions: subscriptions.modifiedCount,
+      payments: payments.modifiedCount,
+      trackingRecords: trackingRecords.modifiedCount
+    };
+  });
+
+/**
+ * Move a single subscription or payment to the trash
+ * @param {string} entity - 'subscriptions' or 'payments'
+ * @param {string} id
+ * @param {string} deletedBy
+ * @returns {Promise<Date>} deletedAt
+ */
+const softDeleteRecord = async (entity, id, deletedBy) => {
+  const deletedAt = new Date();
+  await TRASH_MODELS[entity].updateOne({ _id: id }, { $set: { deletedAt, deletedBy } });
+  return deletedAt;
+};
+
+/**
+ * Bring a record back from the trash (a customer brings back what was deleted with it)
+ * @param {string} entity - Key of TRASH_MODELS
+ * @param {Object} record - The deleted document
+ * @returns {Promise<Object>} Counts of restored related records
+ */
+const restoreRecord = async (entity, record) =>
+  runInTransaction(async (session) => {
+    const restore = { $set: { deletedAt: null }, $unset: { deletedBy: 1 } };
+    const restored = {};
+
+    await TRASH_MODELS[entity].updateOne({ _id: record._id, deletedAt: record.deletedAt }, restore, { session });
+
+    if (entity === 'customers') {
+      const deletedWith = { deletedAt: record.deletedAt };
+      restored.subscriptions = (await CustomerSubscription.updateMany({ customerId: record._id, ...deletedWith }, restore, { session })).modifiedCount;
+      restored.payments = (await Payment.updateMany({ customer: record._id, ...deletedWith }, restore, { session })).modifiedCount;
+      restored.trackingRecords = (await DailyMealTracking.updateMany({ customerId: record._id, ...deletedWith }, restore, { session })).modifiedCount;
+    }
+
+    return restored;
+  });
+
+/**
+ * Permanently remove records that have been in the trash longer than the retention period
+ * Runs as one transaction, so a failure leaves the trash as it was. Subscriptions that still have
+ * payments stay in the trash until those payments are gone (as when deleting a subscription).
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to SOFT_DELETE_RETENTION_DAYS (30)
+ * @returns {Promise<Object>} { cutoff, customers, subscriptions, subscriptionsKept, payments }
+ */
+const purgeDeletedRecords = async ({ retentionDays = getRetentionDays() } = {}) => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  return runInTransaction(async (session) => {
+    // Customers go with everything that belongs to them
+    const customerIds = (await Customer.find(expired).select('_id').session(session).lean()).map(customer => customer._id);
+    if (customerIds.length > 0) {
+      await DailyMealTracking.deleteMany({ customerId: { $in: customerIds } }, { session });
+      await SkipDay.deleteMany({ customerId: { $in: customerIds } }, { session });
+      await WalletTransaction.deleteMany({ customerId: { $in: customerIds } }, { session });
+      await Payment.deleteMany({ customer: { $in: customerIds } }, { session });
+      await CustomerSubscription.deleteMany({ customerId: { $in: customerIds } }, { session });
+      await Customer.deleteMany({ _id: { $in: customerIds } }, { session });
+    }
+
+    // Payments first, so expired payments do not hold back their expired subscription
+    const paymentResult = await Payment.deleteMany(expired, { session });
+
+    // Subscriptions with payments left (in the trash or not) are kept
+    const expiredSubscriptionIds = (await CustomerSubscription.find(expired).select('_id').session(session).lean())
+      .map(subscription => subscription._id);
+    const billedIds = (await Payment.distinct('subscriptionId', { subscriptionId: { $in: expiredSubscriptionIds } })
+      .setOptions({ withDeleted: true })
+      .session(session))
+      .map(String);
+    const subscriptionIds = expiredSubscriptionIds.filter(id => !billedIds.includes(String(id)));
+
+    // Subscriptions: drop their skips and tracking, release skip credits they absorbed and unlink plan-change neighbours
+    if (subscriptionIds.length > 0) {
+      await SkipDay.deleteMany({ subscriptionId: { $in: subscriptionIds } }, { session });
+      await DailyMealTracking.deleteMany({ subscriptionId: { $in: subscriptionIds } }, { session });
+      await SkipDay.updateMany(
+        { creditAppliedTo: { $in: subscriptionIds } },
+        { $set: { creditAppliedTo: null }, $unset: { creditAppliedAt: 1 } },
+        { session }
+      );
+      await CustomerSubscription.updateMany(
+        { previousSubscriptionId: { $in: subscriptionIds } },
+        { $set: { previousSubscriptionId: null } },
+        { withDeleted: true, session }
+      );
+      await CustomerSubscription.updateMany(
+        { nextSubscriptionId: { $in: subscriptionIds } },
+        { $set: { nextSubscriptionId: null } },
+        { withDeleted: true, session }
+      );
+      await CustomerSubscription.deleteMany({ _id: { $in: subscriptionIds } }, { session });
+    }
+
+    return {
+      cutoff,
+      customers: customerIds.length,
+      subscriptions: subscriptionIds.length,
+      subscriptionsKept: billedIds.length,
+      payments: paymentResult.deletedCount
+    };
+  });
+};
+
+module.exports = {
+  TRASH_MODELS,
+  getRetentionDays,
+  softDeleteCustomer,
+  softDeleteRecord,
+  restoreRecord,
+  purgeDeletedRecords
+};
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Customer wallet (advance balance)
+ * Overpayments are credited here and drawn first when new payment records are created.
+ * Every balance change is recorded as a WalletTransaction.
+ */
+
+const Customer = require('../models/Customer');
+const WalletTransaction = require('../models/WalletTransaction');
+const { nextReceiptNumber } = require('./invoiceService');
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Add money to a customer's wallet
+ * @param {string} customerId
+ * @param {number} amount - Positive amount to credit
+ * @param {Object} details - { source, paymentId, notes, createdBy, session }
+ * @returns {Promise<Object>} The WalletTransaction
+ */
+const creditWallet = async (customerId, amount, { source, paymentId, notes, createdBy, session } = {}) => {
+  const credit = round(amount);
+
+  const customer = await Customer.findByIdAndUpdate(
+    customerId,
+    { $inc: { walletBalance: credit } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const [transaction] = await WalletTransaction.create([{
+    customerId,
+    type: 'credit',
+    amount: credit,
+    balanceAfter: round(customer.walletBalance),
+    source,
+    paymentId,
+    notes,
+    createdBy: createdBy || 'System'
+  }], { session });
+
+  return transaction;
+};
+
+/**
+ * Take up to `amount` out of a customer's wallet
+ * The decrement is conditional on the balance, so concurrent debits cannot overdraw it
+ * @param {string} customerId
+ * @param {number} amount - Maximum amount to debit
+ * @param {Object} details - { source, paymentId, notes, createdBy, session }
+ * @returns {Promise<Object|null>} The WalletTransaction, or null if the wallet is empty
+ */
+const debitWallet = async (customerId, amount, { source, paymentId, notes, createdBy, session } = {}) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const customer = await Customer.findById(customerId).select('walletBalance').session(session || null);
+    const debit = round(Math.min(customer?.walletBalance || 0, amount));
+
+    if (debit <= 0) {
+      return null;
+    }
+
+    const updated = await Customer.findOneAndUpdate(
+      { _id: customerId, walletBalance: { $gte: debit } },
+      { $inc: { walletBalance: -debit } },
+      { new: true, session }
+    );
+
+    // Balance changed underneath us - read it again
+    if (!updated) {
+      continue;
+    }
+
+    const [transaction] = await WalletTransaction.create([{
+      customerId,
+      type: 'debit',
+      amount: debit,
+      balanceAfter: round(updated.walletBalance),
+      source,
+      paymentId,
+      notes,
+      createdBy: createdBy || 'System'
+    }], { session });
+
+    return transaction;
+  }
+
+  throw new Error('Could not debit wallet, balance kept changing');
+};
+
+/**
+ * Pay as much of a payment record as possible from the customer's wallet
+ * The amount drawn is recorded as a 'wallet' entry in paymentHistory
+ * @param {Object} payment - Payment document
+ * @param {Object} options - { createdBy, recordedBy, session }
+ * @returns {Promise<number>} Amount applied from the wallet
+ */
+const applyWalletToPayment = async (payment, { createdBy, recordedBy, session } = {}) => {
+  const outstanding = round(payment.amountDue - payment.amountPaid);
+
+  if (outstanding <= 0) {
+    return 0;
+  }
+
+  const transaction = await debitWallet(payment.customer?._id || payment.customer, outstanding, {
+    source: 'payment_applied',
+    paymentId: payment._id,
+    notes: `Applied to ${payment.planDetails?.planName || 'payment'} for ${payment.month}/${payment.year}`,
+    createdBy,
+    session
+  });
+
+  if (!transaction) {
+    return 0;
+  }
+
+  const paidToDate = round(payment.amountPaid + transaction.amount);
+
+  payment.paymentHistory.push({
+    amount: transaction.amount,
+    paymentMethod: 'wallet',
+    transactionId: transaction._id.toString(),
+    notes: 'Paid from wallet balance',
+    receiptNumber: await nextReceiptNumber({ session }),
+    paidToDate,
+    balanceAfter: Math.max(0, round(payment.amountDue - paidToDate)),
+    ...(recordedBy && { recordedBy })
+  });
+  payment.amountPaid = paidToDate;
+
+  if (payment.amountPaid >= payment.amountDue) {
+    payment.paymentDate = new Date();
+  }
+
+  try {
+    await payment.save({ session });
+  } catch (error) {
+    // Inside a transaction the abort undoes the debit
+    if (session) {
+      throw error;
+    }
+
+    // Put the money back so a failed save does not lose it
+    await creditWallet(transaction.customerId, transaction.amount, {
+      source: 'reversal',
+      paymentId: payment._id,
+      notes: `Reversal of wallet debit ${transaction._id}`,
+      createdBy
+    });
+    throw error;
+  }
+
+  return transaction.amount;
+};
+
+module.exports = {
+  creditWallet,
+  debitWallet,
+  applyWalletToPayment
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * Mongoose plugin that writes an AuditLog entry for every change made while handling an API request
+ * Document saves are diffed against the values loaded from the database; update and delete
+ * queries read the affected documents before and after the write. Changes made outside a request
+ * (scheduled jobs, scripts) are not audited.
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { getCurrentRequest } = require('../middleware/requestContext');
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const SKIPPED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED_FIELDS = ['password'];
+
+const isLeaf = (value) =>
+  value === null ||
+  typeof value !== 'object' ||
+  value instanceof Date ||
+  Buffer.isBuffer(value) ||
+  value._bsontype !== undefined;
+
+// Flatten a plain object into { 'dot.path': leafValue }
+const flatten = (value, prefix = '', result = {}) => {
+  if (isLeaf(value)) {
+    if (prefix) result[prefix] = value;
+    return result;
+  }
+
+  const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+  if (entries.length === 0 && prefix) {
+    result[prefix] = value;
+  }
+  entries.forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : String(key), result));
+  return result;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// An empty array/object on one side is just the container of the other side's new entries
+const isEmptyContainer = (value) => !isLeaf(value) && Object.keys(value).length === 0;
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object|null} before - Plain document before the change (null for creates)
+ * @param {Object|null} after - Plain document after the change (null for deletes)
+ * @param {Array} ignoredFields - Top-level fields left out of the diff
+ * @returns {Array} [{ field, before, after }]
+ */
+const diffSnapshots = (before, after, ignoredFields = []) => {
+  const skipped = [...SKIPPED_FIELDS, ...ignoredFields];
+  const beforeFields = flatten(before || {});
+  const afterFields = flatten(after || {});
+  const fields = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+  return [...fields]
+    .filter(field => !skipped.includes(field.split('.')[0]) && !field.endsWith('.__v'))
+    .filter(field => !sameValue(beforeFields[field], afterFields[field]))
+    .filter(field => !isEmptyContainer(beforeFields[field]) && !isEmptyContainer(afterFields[field]))
+    .map(field => REDACTED_FIELDS.includes(field.split('.')[0])
+      ? { field, before: '[redacted]', after: '[redacted]' }
+      : { field, before: beforeFields[field], after: afterFields[field] });
+};
+
+const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false });
+
+// Only mutations made while serving a request are audited
+const shouldAudit = () => {
+  const req = getCurrentRequest();
+  return !!req && req.method !== 'GET';
+};
+
+const writeAuditLog = async ({ entity, entityId, action, before, after, ignoredFields, session }) => {
+  const req = getCurrentRequest();
+  if (!req) return;
+
+  const changes = diffSnapshots(before, after, ignoredFields);
+  if (action === 'update' && changes.length === 0) return;
+
+  try {
+    await AuditLog.create([{
+      actor: {
+        userId: req.user?._id || null,
+        name: req.user?.name || req.customer?.name || 'Anonymous',
+        role: req.user?.role || (req.customer ? 'customer' : undefined)
+      },
+      action,
+      entity,
+      entityId,
+      route: {
+        method: req.method,
+        path: req.originalUrl.split('?')[0]
+      },
+      ip: req.ip,
+      changes
+    }], { session });
+  } catch (error) {
+    // Never fail the change itself because the audit entry could not be written
+    console.error('Audit log error:', error);
+  }
+};
+
+/**
+ * @param {Schema} schema
+ * @param {Object} [options]
+ * @param {Array} [options.ignore] - Top-level fields whose changes are not worth recording (e.g. lastLogin)
+ */
+const auditPlugin = (schema, { ignore = [] } = {}) => {
+  // Remember what was loaded so saves can be diffed
+  schema.post('init', function() {
+    if (shouldAudit()) {
+      this.$locals.auditSnapshot = snapshot(this);
+    }
+  });
+
+  schema.pre('save', function() {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post('save', async function(doc) {
+    if (!shouldAudit()) return;
+
+    const after = snapshot(doc);
+    await writeAuditLog({
+      entity: doc.constructor.modelName,
+      entityId: doc._id,
+      action: doc.$locals.auditIsNew ? 'create' : 'update',
+      before: doc.$locals.auditIsNew ? null : doc.$locals.auditSnapshot,
+      after,
+      ignoredFields: ignore,
+      session: doc.$session()
+    });
+    doc.$locals.auditSnapshot = after;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    if (!shouldAudit()) return;
+
+    await writeAuditLog({
+      entity: doc.constructor.modelName,
+      entityId: doc._id,
+      action: 'delete',
+      before: doc.$locals.auditSnapshot || snapshot(doc),
+      after: null,
+      ignoredFields: ignore,
+      session: doc.$session()
+    });
+  });
+
+  // Queries: read the affected documents before the write
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function() {
+    if (!shouldAudit()) return;
+
+    const { session, sort } = this.getOptions();
+    const lookup = this.model.find(this.getFilter()).session(session || null).lean();
+    // Soft-deleted models: the filter already says which documents the write can touch
+    if (this.model.schema.path('deletedAt')) {
+      lookup.setOptions({ withDeleted: true });
+    }
+    if (!this.op.endsWith('Many')) {
+      lookup.sort(sort).limit(1);
+    }
+    this._auditBefore = await lookup;
+  });
+
+  schema.post(UPDATE_QUERIES, { document: false, query: true }, async function() {
+    if (!this._auditBefore?.length) return;
+
+    const { session } = this.getOptions();
+    const afterLookup = this.model.find({ _id: { $in: this._auditBefore.map(doc => doc._id) } })
+      .session(session || null)
+      .lean();
+    // A soft delete hides the document it just updated
+    if (this.model.schema.path('deletedAt')) {
+      afterLookup.setOptions({ withDeleted: true });
+    }
+    const afterDocs = await afterLookup;
+
+    for (const before of this._auditBefore) {
+      await writeAuditLog({
+        entity: this.model.modelName,
+        entityId: before._id,
+        action: 'update',
+        before,
+        after: afterDocs.find(doc => doc._id.equals(before._id)) || null,
+        ignoredFields: ignore,
+        session
+      });
+    }
+  });
+
+  schema.post(DELETE_QUERIES, { document: false, query: true }, async function() {
+    if (!this._auditBefore?.length) return;
+
+    const { session } = this.getOptions();
+    for (const before of this._auditBefore) {
+      await writeAuditLog({
+        entity: this.model.modelName,
+        entityId: before._id,
+        action: 'delete',
+        before,
+        after: null,
+        ignoredFields: ignore,
+        session
+      });
+    }
+  });
+};
+
+module.exports = auditPlugin;
\ No newline at end of file
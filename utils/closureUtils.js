@@ -0,0 +1,64 @@
+/**
+ * Helpers for kitchen-wide closure days
+ */
+
+const KitchenClosure = require('../models/KitchenClosure');
+const { getDayBounds, MEAL_TYPES } = require('./skipDayUtils');
+
+/**
+ * Get closures recorded between two dates (inclusive)
+ * @param {string|Date} startDate - First day
+ * @param {string|Date} endDate - Last day
+ * @returns {Promise<Array>} Closure documents
+ */
+const getClosuresInRange = async (startDate, endDate) => {
+  const { start } = getDayBounds(startDate);
+  const { end } = getDayBounds(endDate);
+  return KitchenClosure.find({ date: { $gte: start, $lt: end } });
+};
+
+/**
+ * Build a checker for whether a meal is closed on a given day
+ * @param {string|Date} date - Day to check
+ * @returns {Promise<Function>} (emirate, mealType) => boolean
+ */
+const getClosureChecker = async (date) => {
+  const closures = await getClosuresInRange(date, date);
+  return (emirate, mealType) => closures.some(closure => closure.appliesTo(emirate, mealType));
+};
+
+/**
+ * Count the closed days within a subscription period
+ * A day where only some of the subscription's meals are closed counts as a fraction of a day
+ * @param {string|Date} startDate - Subscription start date
+ * @param {string|Date} endDate - Subscription end date
+ * @param {string} emirate - Customer's emirate
+ * @param {string[]} mealTypes - Meals the subscription receives
+ * @returns {Promise<number>} Closed days (may be fractional)
+ */
+const countClosedDays = async (startDate, endDate, emirate, mealTypes = MEAL_TYPES) => {
+  const meals = mealTypes.length > 0 ? mealTypes : MEAL_TYPES;
+  const closures = await getClosuresInRange(startDate, endDate);
+
+  // Group closures by calendar day
+  const closuresByDay = closures.reduce((acc, closure) => {
+    const dayKey = getDayBounds(closure.date).start.toDateString();
+    (acc[dayKey] = acc[dayKey] || []).push(closure);
+    return acc;
+  }, {});
+
+  const closedDays = Object.values(closuresByDay).reduce((sum, dayClosures) => {
+    const closedMeals = meals.filter(mealType =>
+      dayClosures.some(closure => closure.appliesTo(emirate, mealType))
+    );
+    return sum + closedMeals.length / meals.length;
+  }, 0);
+
+  return Math.round(closedDays * 100) / 100;
+};
+
+module.exports = {
+  getClosuresInRange,
+  getClosureChecker,
+  countClosedDays
+};
\ No newline at end of file
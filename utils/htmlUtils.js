@@ -0,0 +1,19 @@
+/**
+ * HTML helpers for the documents and emails the API renders
+ */
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Anything; null and undefined become an empty string
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
\ No newline at end of file
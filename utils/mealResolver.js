@@ -0,0 +1,155 @@
+/**
+ * Which meals a subscription receives and at what delivery time
+ * Meal settings come in two formats, on meal plans and on subscription overrides alike:
+ *   boolean             - old format, enabled or not, standard delivery time
+ *   { enabled, deliveryTime } - new format
+ * A subscription's customMeals override the plan per meal; null/undefined means "use the plan".
+ * Subscription overrides may also carry an address, used instead of the customer's delivery
+ * address for that meal (e.g. lunch delivered to the office).
+ * Every report, the skip-credit maths and the model helpers resolve meals through here.
+ * Delivery slots come from the DeliverySlot collection: callers load the slot map with
+ * services/deliverySlotService and pass it in wherever delivery times are checked or displayed.
+ */
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+const DEFAULT_DELIVERY_TIME = 'standard';
+
+const EMIRATES = ['Abu Dhabi', 'Dubai', 'Sharjah', 'Ajman', 'Ras Al Khaimah', 'Fujairah', 'Umm Al Quwain'];
+
+/**
+ * Read a meal setting in either format
+ * @param {boolean|Object|null|undefined} value
+ * @returns {Object} { enabled: boolean|null, deliveryTime: string|null, address: Object|null } (null = not set)
+ */
+const normaliseMealSetting = (value) => {
+  if (typeof value === 'boolean') {
+    return { enabled: value, deliveryTime: null, address: null };
+  }
+  if (value && typeof value === 'object') {
+    return {
+      enabled: typeof value.enabled === 'boolean' ? value.enabled : null,
+      deliveryTime: value.deliveryTime || null,
+      address: value.address || null
+    };
+  }
+  return { enabled: null, deliveryTime: null, address: null };
+};
+
+/**
+ * Check a subscription's custom setting for one meal
+ * @param {string} mealType
+ * @param {*} value - null, boolean, or { enabled, deliveryTime, address }
+ * @param {Object} [slots] - Slot map from loadDeliverySlots; without it the delivery time is not checked
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateMealSetting = (mealType, value, slots) => {
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return `Custom ${mealType} must be true, false, null or an object with enabled, deliveryTime and address`;
+  }
+
+  const { enabled, deliveryTime, address } = value;
+
+  if (enabled !== undefined && enabled !== null && typeof enabled !== 'boolean') {
+    return `Custom ${mealType} enabled must be true, false or null`;
+  }
+
+  // Inactive slots stay valid for settings already stored; new choices are checked by the caller
+  const mealSlots = slots?.[mealType] || {};
+  if (slots && deliveryTime !== undefined && deliveryTime !== null && !mealSlots[deliveryTime]) {
+    const active = Object.keys(mealSlots).filter(key => mealSlots[key].isActive);
+    return `Invalid delivery time '${deliveryTime}' for ${mealType}. Valid options: ${active.join(', ')}`;
+  }
+
+  if (address !== undefined && address !== null) {
+    if (typeof address !== 'object' || Array.isArray(address)) {
+      return `Delivery address for ${mealType} must be an object`;
+    }
+    const missing = ['area', 'buildingName', 'flatNumber'].filter(field => !String(address[field] ?? '').trim());
+    if (missing.length > 0) {
+      return `Delivery address for ${mealType} is missing: ${missing.join(', ')}`;
+    }
+    if (address.emirates !== undefined && address.emirates !== null && !EMIRATES.includes(address.emirates)) {
+      return `Invalid emirate '${address.emirates}' in ${mealType} delivery address`;
+    }
+    const { latitude, longitude } = address.coordinates || {};
+    if ((latitude !== undefined && !(latitude >= -90 && latitude <= 90)) ||
+        (longitude !== undefined && !(longitude >= -180 && longitude <= 180))) {
+      return `Invalid coordinates in ${mealType} delivery address`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Display time of a delivery slot, falling back to the meal's standard slot
+ * @param {string} mealType
+ * @param {string} deliveryTime
+ * @param {Object} slots - Slot map from loadDeliverySlots
+ * @returns {string}
+ */
+const getDeliveryTimeDisplay = (mealType, deliveryTime, slots) =>
+  slots?.[mealType]?.[deliveryTime]?.displayTime ||
+  slots?.[mealType]?.[DEFAULT_DELIVERY_TIME]?.displayTime ||
+  'Standard Time';
+
+/**
+ * Resolve one meal for a subscription
+ * @param {Object|null} subscription - Anything with customMeals (null = plan defaults only)
+ * @param {Object|null} mealPlan - Anything with meals
+ * @param {string} mealType - breakfast, lunch or dinner
+ * @param {Object} [slots] - Slot map from loadDeliverySlots, needed for deliveryTimeDisplay
+ * @returns {Object} { enabled, deliveryTime, deliveryTimeDisplay, address, overridden }
+ *   deliveryTimeDisplay is null when no slots are given
+ *   address is the override address (null = the customer's delivery address)
+ *   overridden is true when the subscription changed the plan's setting
+ */
+const resolveMeal = (subscription, mealPlan, mealType, slots) => {
+  const plan = normaliseMealSetting(mealPlan?.meals?.[mealType]);
+  const custom = normaliseMealSetting(subscription?.customMeals?.[mealType]);
+
+  const enabled = custom.enabled !== null ? custom.enabled : plan.enabled === true;
+  const deliveryTime = custom.deliveryTime || plan.deliveryTime || DEFAULT_DELIVERY_TIME;
+
+  return {
+    enabled,
+    deliveryTime,
+    deliveryTimeDisplay: slots ? getDeliveryTimeDisplay(mealType, deliveryTime, slots) : null,
+    address: custom.address,
+    overridden: custom.enabled !== null || custom.deliveryTime !== null || custom.address !== null
+  };
+};
+
+/**
+ * Resolve every meal for a subscription
+ * @param {Object|null} subscription
+ * @param {Object|null} mealPlan
+ * @param {Object} [slots] - Slot map from loadDeliverySlots, needed for deliveryTimeDisplay
+ * @returns {Object} { breakfast, lunch, dinner } each as returned by resolveMeal
+ */
+const resolveMeals = (subscription, mealPlan, slots) =>
+  Object.fromEntries(MEAL_TYPES.map(mealType => [mealType, resolveMeal(subscription, mealPlan, mealType, slots)]));
+
+/**
+ * Get the meal types a subscription receives (custom selection overrides the plan)
+ * @param {Object|null} subscription
+ * @param {Object|null} mealPlan
+ * @returns {string[]} Enabled meal types
+ */
+const getEnabledMealTypes = (subscription, mealPlan) =>
+  MEAL_TYPES.filter(mealType => resolveMeal(subscription, mealPlan, mealType).enabled);
+
+module.exports = {
+  MEAL_TYPES,
+  DEFAULT_DELIVERY_TIME,
+  normaliseMealSetting,
+  validateMealSetting,
+  getDeliveryTimeDisplay,
+  resolveMeal,
+  resolveMeals,
+  getEnabledMealTypes
+};
\ No newline at end of file
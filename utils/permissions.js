@@ -0,0 +1,143 @@
+/**
+ * Staff roles and the permissions they grant
+ * Routes ask for a named permission (requirePermission('payments:refund')) instead of a role,
+ * so what each role can do is decided here in one place.
+ */
+
+const PERMISSIONS = {
+  'customers:view': 'View customers and their wallets',
+  'customers:create': 'Add customers',
+  'customers:update': 'Edit customer details',
+  'customers:delete': 'Delete customers',
+
+  'subscriptions:view': 'View subscriptions and skip days',
+  'subscriptions:create': 'Create subscriptions',
+  'subscriptions:update': 'Edit, pause, resume and change plans of subscriptions, manage skip days',
+  'subscriptions:cancel': 'Cancel subscriptions',
+  'subscriptions:delete': 'Delete subscriptions',
+  'subscriptions:auto-extend': 'Run and roll back subscription auto-extension',
+
+  'payments:view': 'View payments, invoices and receipts',
+  'payments:create': 'Create payment records',
+  'payments:record': 'Record payments received',
+  'payments:update': 'Edit payment records',
+  'payments:refund': 'Refund payments',
+  'payments:delete': 'Delete payment records',
+
+  'meal-plans:view': 'View meal plans and prices',
+  'meal-plans:manage': 'Create, edit and delete meal plans and change prices',
+
+  'tracking:view': 'View daily delivery tracking and the delivery report',
+  'tracking:update': 'Mark deliveries and attendance',
+
+  'deliveries:manage': 'Plan delivery routes and assign them to drivers',
+  'deliveries:drive': 'See own routes for today and mark drops',
+
+  'delivery-slots:view': 'View delivery slots',
+  'delivery-slots:manage': 'Create, edit, deactivate and delete delivery slots',
+
+  'reports:view': 'View dashboards and reports',
+
+  'kitchen:view': 'View kitchen production sheets',
+
+  'closures:view': 'View kitchen closures',
+  'closures:manage': 'Create, edit and delete kitchen closures',
+
+  'jobs:view': 'View scheduled jobs and their runs',
+  'jobs:run': 'Trigger scheduled jobs',
+
+  'users:view': 'View staff users',
+  'users:manage': 'Create, edit, delete and log out staff users',
+
+  'audit:view': 'View the audit log',
+  'trash:manage': 'View and restore deleted records'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// '*' grants every permission, including ones added later
+const ROLES = {
+  super_admin: {
+    label: 'Super Admin',
+    permissions: ['*']
+  },
+  admin: {
+    label: 'Admin',
+    permissions: [
+      'customers:view', 'customers:create', 'customers:update',
+      'subscriptions:view', 'subscriptions:create', 'subscriptions:update', 'subscriptions:cancel',
+      'subscriptions:auto-extend',
+      'payments:view', 'payments:create', 'payments:record', 'payments:update', 'payments:refund',
+      'meal-plans:view',
+      'tracking:view', 'tracking:update',
+      'deliveries:manage',
+      'delivery-slots:view',
+      'reports:view',
+      'kitchen:view',
+      'closures:view',
+      'jobs:view',
+      'users:view'
+    ]
+  },
+  accountant: {
+    label: 'Accountant',
+    permissions: [
+      'customers:view',
+      'subscriptions:view',
+      'payments:view', 'payments:create', 'payments:record', 'payments:update', 'payments:refund',
+      'meal-plans:view',
+      'reports:view'
+    ]
+  },
+  delivery_staff: {
+    label: 'Delivery Staff',
+    permissions: [
+      'customers:view',
+      'subscriptions:view',
+      'meal-plans:view',
+      'tracking:view', 'tracking:update',
+      'deliveries:manage',
+      'delivery-slots:view',
+      'kitchen:view',
+      'closures:view'
+    ]
+  },
+  // Only sees the routes assigned to them (see /api/driver)
+  driver: {
+    label: 'Driver',
+    permissions: [
+      'deliveries:drive'
+    ]
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Permissions granted by a role
+ * @param {string} role
+ * @returns {string[]} Permission names (empty for unknown roles)
+ */
+const getRolePermissions = (role) => {
+  const permissions = ROLES[role]?.permissions || [];
+  return permissions.includes('*') ? [...ALL_PERMISSIONS] : [...permissions];
+};
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const permissions = ROLES[role]?.permissions || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  getRolePermissions,
+  hasPermission
+};
\ No newline at end of file
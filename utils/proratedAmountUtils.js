@@ -38,16 +38,24 @@ const calculateDaysBetween = (startDate, endDate) => {
  * @param {string|Date} startDate - Subscription start date
  * @param {string|Date} endDate - Subscription end date
  * @param {Object} discount - Discount object with type and value
+ * @param {Object} adjustments - Optional billing adjustments
+ * @param {number} adjustments.credit - Carried-forward credit (e.g. skipped meals) deducted after the discount
+ * @param {number} adjustments.closedDays - Kitchen closure days within the period that are not billed
  * @returns {Object} Calculation details including prorated amount
  */
-const calculateProratedAmount = (basePricePerMonth, startDate, endDate, discount = null) => {
+const calculateProratedAmount = (basePricePerMonth, startDate, endDate, discount = null, adjustments = {}) => {
+  const { credit = 0, closedDays = 0 } = adjustments || {};
+
   if (!basePricePerMonth || !startDate || !endDate) {
     return {
       basePricePerMonth: 0,
       subscriptionDays: 0,
+      closedDays: 0,
+      billableDays: 0,
       monthDays: 30,
       proratedAmount: 0,
       discountAmount: 0,
+      creditApplied: 0,
       finalAmount: 0,
       proratedRatio: 0
     };
@@ -77,8 +85,11 @@ const calculateProratedAmount = (basePricePerMonth, startDate, endDate, discount
     monthDays = Math.round((startMonthDays + endMonthDays) / 2);
   }
   
+  // Only operating days are billed
+  const billableDays = Math.max(0, subscriptionDays - Math.min(closedDays || 0, subscriptionDays));
+  
   // Calculate prorated ratio
-  const proratedRatio = subscriptionDays / monthDays;
+  const proratedRatio = billableDays / monthDays;
   
   // Calculate prorated amount before discount
   const proratedAmount = Math.round((basePricePerMonth * proratedRatio) * 100) / 100;
@@ -98,12 +109,19 @@ const calculateProratedAmount = (basePricePerMonth, startDate, endDate, discount
     finalAmount = Math.max(0, proratedAmount - discountAmount);
   }
   
+  // Apply carried-forward credit, never more than what is still owed
+  const creditApplied = Math.min(Math.max(0, credit || 0), finalAmount);
+  finalAmount = finalAmount - creditApplied;
+  
   return {
     basePricePerMonth,
     subscriptionDays,
+    closedDays: subscriptionDays - billableDays,
+    billableDays,
     monthDays,
     proratedAmount: Math.round(proratedAmount * 100) / 100,
     discountAmount: Math.round(discountAmount * 100) / 100,
+    creditApplied: Math.round(creditApplied * 100) / 100,
     finalAmount: Math.round(finalAmount * 100) / 100,
     proratedRatio: Math.round(proratedRatio * 10000) / 10000, // 4 decimal places
   };
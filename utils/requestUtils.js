@@ -0,0 +1,25 @@
+/**
+ * Request body helpers
+ * Controllers copy only the fields a client may set, so server-managed fields (invoice numbers,
+ * ledgers, trash state, lifecycle) can only change through the endpoints that own them.
+ */
+
+/**
+ * Copy the listed fields that are present in a request body
+ * @param {Object} body - Request body
+ * @param {string[]} fields - Fields the client may set
+ * @returns {Object} New object with only those fields
+ */
+const pickFields = (body, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (body && Object.prototype.hasOwnProperty.call(body, field)) {
+      picked[field] = body[field];
+    }
+  });
+  return picked;
+};
+
+module.exports = {
+  pickFields
+};
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * Split a day's drops into driver routes and order each route
+ * Drops with coordinates are swept by bearing around the kitchen into routes of at most `capacity`
+ * drops, then ordered with nearest-neighbour and improved with 2-opt. Routes are open paths: they
+ * start at the kitchen and end at the last drop. Drops without coordinates borrow the location of
+ * another drop in the same building, otherwise they are clustered by area and building.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const hasLocation = (location) =>
+  Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+
+const buildingKey = (drop) =>
+  `${(drop.area || '').trim().toLowerCase()}|${(drop.buildingName || '').trim().toLowerCase()}`;
+
+// Area, building, flat, name - the order the delivery report has always used
+const compareByAddress = (a, b) =>
+  (a.area || '').localeCompare(b.area || '') ||
+  (a.buildingName || '').localeCompare(b.buildingName || '') ||
+  (a.flatNumber || '').localeCompare(b.flatNumber || '', undefined, { numeric: true }) ||
+  (a.name || '').localeCompare(b.name || '');
+
+// Length of an open path starting at the kitchen
+const pathLength = (start, points) => {
+  let total = 0;
+  let previous = start;
+  for (const point of points) {
+    total += distanceKm(previous, point.location);
+    previous = point.location;
+  }
+  return total;
+};
+
+// Greedy order: always drive to the closest drop not yet visited
+const nearestNeighbour = (start, drops) => {
+  const remaining = [...drops];
+  const ordered = [];
+  let current = start;
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestDistance = Infinity;
+    remaining.forEach((drop, index) => {
+      const distance = distanceKm(current, drop.location);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = index;
+      }
+    });
+    const [next] = remaining.splice(bestIndex, 1);
+    ordered.push(next);
+    current = next.location;
+  }
+
+  return ordered;
+};
+
+// Reverse segments while that shortens the path (open path, so the last drop has no return leg)
+const twoOpt = (start, drops, maxPasses = 50) => {
+  const route = [...drops];
+  const pointAt = (index) => (index < 0 ? start : route[index].location);
+  let improved = true;
+  let passes = 0;
+
+  while (improved && passes < maxPasses) {
+    improved = false;
+    passes++;
+
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        const before = distanceKm(pointAt(i - 1), pointAt(i)) +
+                       (j + 1 < route.length ? distanceKm(pointAt(j), pointAt(j + 1)) : 0);
+        const after = distanceKm(pointAt(i - 1), pointAt(j)) +
+                      (j + 1 < route.length ? distanceKm(pointAt(i), pointAt(j + 1)) : 0);
+
+        if (after + 1e-9 < before) {
+          const reversed = route.slice(i, j + 1).reverse();
+          route.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route;
+};
+
+// Split into `count` nearly equal consecutive chunks
+const splitEvenly = (items, count) => {
+  const chunks = [];
+  let offset = 0;
+  for (let index = 0; index < count; index++) {
+    const size = Math.ceil((items.length - offset) / (count - index));
+    chunks.push(items.slice(offset, offset + size));
+    offset += size;
+  }
+  return chunks.filter(chunk => chunk.length > 0);
+};
+
+// Pack area groups into routes, keeping an area on one route whenever it fits
+const clusterByArea = (drops, capacity) => {
+  const areas = new Map();
+  [...drops].sort(compareByAddress).forEach(drop => {
+    const area = (drop.area || '').trim().toLowerCase();
+    if (!areas.has(area)) areas.set(area, []);
+    areas.get(area).push(drop);
+  });
+
+  const routes = [];
+  let current = [];
+  for (const areaDrops of areas.values()) {
+    if (current.length > 0 && current.length + areaDrops.length > capacity) {
+      routes.push(current);
+      current = [];
+    }
+    for (const drop of areaDrops) {
+      if (current.length === capacity) {
+        routes.push(current);
+        current = [];
+      }
+      current.push(drop);
+    }
+  }
+  if (current.length > 0) routes.push(current);
+
+  return routes;
+};
+
+/**
+ * Plan driver routes for a list of drops
+ * @param {Array} drops - Items with { location: { latitude, longitude } | null, area, buildingName, flatNumber, name }
+ * @param {Object} options - { start: { latitude, longitude } | null, capacity }
+ * @returns {Object} { start, routes: [{ drops, optimised, distanceKm }] }
+ *   start is the kitchen, or the centre of the drops when no kitchen location is set
+ */
+const planRoutes = (drops, { start = null, capacity = 30 } = {}) => {
+  const maxDrops = Math.max(1, Math.floor(capacity));
+
+  // Drops in a building where another drop has coordinates use that location
+  const buildingLocations = new Map();
+  drops.filter(drop => hasLocation(drop.location) && drop.buildingName).forEach(drop => {
+    if (!buildingLocations.has(buildingKey(drop))) {
+      buildingLocations.set(buildingKey(drop), drop.location);
+    }
+  });
+
+  const located = [];
+  const unlocated = [];
+  drops.forEach(drop => {
+    if (hasLocation(drop.location)) {
+      located.push({ ...drop, approximateLocation: false });
+    } else if (drop.buildingName && buildingLocations.has(buildingKey(drop))) {
+      located.push({ ...drop, location: buildingLocations.get(buildingKey(drop)), approximateLocation: true });
+    } else {
+      unlocated.push(drop);
+    }
+  });
+
+  let origin = hasLocation(start) ? start : null;
+  if (!origin && located.length > 0) {
+    origin = {
+      latitude: located.reduce((sum, drop) => sum + drop.location.latitude, 0) / located.length,
+      longitude: located.reduce((sum, drop) => sum + drop.location.longitude, 0) / located.length
+    };
+  }
+
+  const routes = [];
+
+  if (located.length > 0) {
+    // Sweep by bearing from the kitchen so each route covers one wedge of the map
+    const bearing = (drop) => Math.atan2(drop.location.latitude - origin.latitude, drop.location.longitude - origin.longitude);
+    const swept = [...located].sort((a, b) => bearing(a) - bearing(b));
+
+    splitEvenly(swept, Math.ceil(swept.length / maxDrops)).forEach(group => {
+      const ordered = twoOpt(origin, nearestNeighbour(origin, group));
+      routes.push({
+        drops: ordered,
+        optimised: true,
+        distanceKm: Math.round(pathLength(origin, ordered) * 100) / 100
+      });
+    });
+  }
+
+  clusterByArea(unlocated, maxDrops).forEach(group => {
+    routes.push({
+      drops: group,
+      optimised: false,
+      distanceKm: null
+    });
+  });
+
+  return { start: origin, routes };
+};
+
+module.exports = {
+  distanceKm,
+  planRoutes
+};
\ No newline at end of file
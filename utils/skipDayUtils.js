@@ -0,0 +1,137 @@
+/**
+ * Helpers for per-customer skip days and the credits they generate
+ */
+
+const SkipDay = require('../models/SkipDay');
+const CustomerSubscription = require('../models/CustomerSubscription');
+const { calculateProratedAmount } = require('./proratedAmountUtils');
+const { MEAL_TYPES, getEnabledMealTypes } = require('./mealResolver');
+
+/**
+ * Get the local-midnight bounds of the day containing a date
+ * @param {string|Date} date - Any moment within the day
+ * @returns {Object} { start, end } where end is the following midnight
+ */
+const getDayBounds = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+/**
+ * Calculate the credit owed for skipping one meal on one day
+ * The prorated day price is split evenly across the subscription's enabled meals
+ * @param {Object} subscription - Subscription document
+ * @param {Object} mealPlan - Meal plan document
+ * @param {string|Date} date - Skipped day
+ * @returns {number} Credit amount
+ */
+const calculateSkipCredit = (subscription, mealPlan, date) => {
+  const mealCount = getEnabledMealTypes(subscription, mealPlan).length;
+  if (mealCount === 0) return 0;
+
+  const dayInfo = calculateProratedAmount(
+    subscription.pricing.basePricePerMonth,
+    date,
+    date,
+    subscription.pricing.discount
+  );
+
+  return Math.round((dayInfo.finalAmount / mealCount) * 100) / 100;
+};
+
+/**
+ * Get skips recorded for a day, optionally for one meal type
+ * @param {string|Date} date - Day to look up
+ * @param {string} [mealType] - Meal type filter
+ * @returns {Promise<Set<string>>} Keys in the form `${subscriptionId}:${mealType}`
+ */
+const getSkippedMealKeys = async (date, mealType = null) => {
+  const { start, end } = getDayBounds(date);
+  const query = { date: { $gte: start, $lt: end } };
+  if (mealType) {
+    query.mealType = mealType;
+  }
+
+  const skips = await SkipDay.find(query).select('subscriptionId mealType').lean();
+  return new Set(skips.map(skip => `${skip.subscriptionId}:${skip.mealType}`));
+};
+
+/**
+ * Get skip credits for a customer that have not been billed against yet
+ * Oldest credits are taken first; credits that would exceed maxAmount stay pending for a later bill
+ * Skips of subscriptions in the trash earn nothing until the subscription is restored
+ * @param {string|ObjectId} customerId - Customer ID
+ * @param {number} maxAmount - Largest total credit the next bill can absorb
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} { total, skipIds }
+ */
+const getPendingSkipCredits = async (customerId, maxAmount = Infinity, { session } = {}) => {
+  const deletedSubscriptionIds = await CustomerSubscription.distinct('_id', {
+    customerId,
+    deletedAt: { $ne: null }
+  }).session(session);
+
+  const skips = await SkipDay.find({
+    customerId,
+    subscriptionId: { $nin: deletedSubscriptionIds },
+    creditAmount: { $gt: 0 },
+    creditAppliedTo: null
+  }).select('_id creditAmount').sort({ date: 1 }).session(session).lean();
+
+  let total = 0;
+  const skipIds = [];
+  for (const skip of skips) {
+    if (total + skip.creditAmount > maxAmount + 0.001) break;
+    total += skip.creditAmount;
+    skipIds.push(skip._id);
+  }
+
+  return {
+    total: Math.round(total * 100) / 100,
+    skipIds
+  };
+};
+
+/**
+ * Claim pending skip credits for a subscription's bill (the same credits getPendingSkipCredits returns)
+ * Only credits nobody has claimed yet are taken, so two bills cannot absorb the same credit.
+ * Run it in the bill's transaction and price the bill with the total it returns.
+ * @param {string|ObjectId} customerId - Customer ID
+ * @param {string|ObjectId} subscriptionId - Subscription that absorbs the credit
+ * @param {number} maxAmount - Largest total credit the bill can absorb
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} { total, skipIds } of the credits actually claimed
+ */
+const claimSkipCredits = async (customerId, subscriptionId, maxAmount, { session } = {}) => {
+  const pending = await getPendingSkipCredits(customerId, maxAmount, { session });
+  if (pending.skipIds.length === 0) return pending;
+
+  await SkipDay.updateMany(
+    { _id: { $in: pending.skipIds }, creditAppliedTo: null },
+    { creditAppliedTo: subscriptionId, creditAppliedAt: new Date() },
+    { session }
+  );
+
+  const claimed = await SkipDay.find({ _id: { $in: pending.skipIds }, creditAppliedTo: subscriptionId })
+    .select('_id creditAmount')
+    .session(session)
+    .lean();
+
+  return {
+    total: Math.round(claimed.reduce((sum, skip) => sum + skip.creditAmount, 0) * 100) / 100,
+    skipIds: claimed.map(skip => skip._id)
+  };
+};
+
+module.exports = {
+  MEAL_TYPES,
+  getDayBounds,
+  getEnabledMealTypes,
+  calculateSkipCredit,
+  getSkippedMealKeys,
+  getPendingSkipCredits,
+  claimSkipCredits
+};
@@ -0,0 +1,58 @@
+/**
+ * Mongoose plugin for soft delete
+ * Adds deletedAt/deletedBy and hides deleted documents from every find, count, update and
+ * aggregate on the model. A query sees deleted documents only when its filter mentions
+ * deletedAt itself or it is run with the `withDeleted` option:
+ *   Model.find({ deletedAt: { $ne: null } })             // trash only
+ *   Model.findById(id).setOptions({ withDeleted: true }) // deleted or not
+ */
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'updateOne',
+  'updateMany',
+  'replaceOne'
+];
+
+// Read and strip the custom option so it never reaches the driver
+const takeWithDeleted = (options) => {
+  const withDeleted = !!options?.withDeleted;
+  if (options) delete options.withDeleted;
+  return withDeleted;
+};
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: String
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, { document: false, query: true }, function() {
+    const withDeleted = takeWithDeleted(this.options);
+    if (withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const withDeleted = takeWithDeleted(this.options);
+    const firstStage = this.pipeline()[0];
+    if (withDeleted || (firstStage?.$match && Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt'))) return;
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDeletePlugin;
\ No newline at end of file
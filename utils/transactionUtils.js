@@ -0,0 +1,30 @@
+/**
+ * MongoDB transaction helper
+ * Transactions need the database to run as a replica set (or sharded cluster)
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run a unit of work inside a transaction, committing if it resolves and aborting if it throws
+ * The driver retries the callback on transient transaction errors, so it must be safe to re-run
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Whatever work resolved with
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
\ No newline at end of file